@@ -0,0 +1,230 @@
+/**
+ * Registry of the attacker profiles for the crack time estimates
+ *
+ * @module AttackProfiles
+ */
+
+import is from 'is-it-check';
+
+// the number of seconds in the units of the durations
+const MINUTE = 60;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+const MONTH = 30.44 * DAY;
+const YEAR = 365.25 * DAY;
+
+// the age of the universe, about 13.8 billion years
+const AGE_OF_THE_UNIVERSE = 13.8e9 * YEAR;
+
+// the guesses per second are scaled by this factor, so they can be
+// fractions of a guess and still be used in BigInt arithmetic
+const GUESSES_SCALE = 1000000;
+
+/**
+ * The predefined attacker profiles, indexed by name, with:
+ * * description - what the attacker does
+ * * guessesPerSecond - the number of passwords the attacker tries
+ *   every second
+ *
+ * The numbers are the ones zxcvbn uses.
+ */
+const predefinedProfiles = {
+  ONLINE_THROTTLED: {
+    description: 'Online attack on a service that limits the number ' +
+      'of login attempts',
+    guessesPerSecond: 100 / HOUR,
+  },
+  ONLINE_UNTHROTTLED: {
+    description: 'Online attack on a service that does not limit ' +
+      'the number of login attempts',
+    guessesPerSecond: 10,
+  },
+  OFFLINE_SLOW_HASH: {
+    description: 'Offline attack on a stolen password database ' +
+      'hashed with a slow hash like bcrypt',
+    guessesPerSecond: 1e4,
+  },
+  OFFLINE_FAST_HASH: {
+    description: 'Offline attack on a stolen password database ' +
+      'hashed with a fast hash like MD5, on a rack of GPUs',
+    guessesPerSecond: 1e10,
+  },
+};
+
+/**
+ * All attacker profiles, the predefined ones and
+ * the ones added by register()
+ */
+const theProfiles = {...predefinedProfiles};
+
+/**
+ * Class that estimates how long an attacker needs
+ * to crack a password
+ *
+ * The attacker is described by a profile, which says how many
+ * passwords are tried every second. On average the attacker
+ * tries half of all permutations before finding the password.
+ *
+ * Register your own profile with, e.g.:
+ *
+ *     AttackProfiles.register('MY_GPU', {
+ *       description: 'My own GPU cracking SHA-1',
+ *       guessesPerSecond: 5e9,
+ *     });
+ *
+ * and remove it again with `AttackProfiles.unregister('MY_GPU')`.
+ *
+ * @class AttackProfiles
+ */
+class AttackProfiles {
+  /**
+   * Get the names of all profiles
+   *
+   * @return {Array} - names of the profiles
+   */
+  static names() {
+    return Object.keys(theProfiles);
+  }
+
+  /**
+   * Check if a name belongs to a profile
+   *
+   * @param {string} name - the name of the profile
+   * @return {boolean} - true if the profile exists
+   */
+  static isProfile(name) {
+    return Object.hasOwn(theProfiles, name);
+  }
+
+  /**
+   * Get a profile
+   *
+   * @param {string} name - the name of the profile
+   * @return {object} - a copy of the profile
+   * @throws {Error} - when the name is unknown
+   */
+  static profile(name) {
+    if (!AttackProfiles.isProfile(name)) {
+      throw new Error(`Unknown attack profile (${name}) found`);
+    }
+    return {...theProfiles[name]};
+  }
+
+  /**
+   * Register a profile under a name, or replace it
+   *
+   * @param {string} name - the name of the profile, e.g. 'MY_GPU'
+   * @param {object} profile - the profile with the number of
+   *  guessesPerSecond and an optional description
+   * @throws {Error} - when the name or the number of guesses
+   *  is not valid
+   */
+  static register(name, profile) {
+    if (is.not.string(name) || !/^[A-Z][A-Z0-9_]*$/.test(name)) {
+      throw new Error(`Invalid attack profile name (${name}) found`);
+    }
+    const guessesPerSecond = profile?.guessesPerSecond;
+    if (is.not.number(guessesPerSecond) ||
+      !Number.isFinite(guessesPerSecond) ||
+      Math.round(guessesPerSecond * GUESSES_SCALE) < 1) {
+      throw new Error(
+        `Invalid guesses per second (${guessesPerSecond}) found`);
+    }
+    theProfiles[name] = {
+      description: is.string(profile.description) ?
+        profile.description : '',
+      guessesPerSecond: guessesPerSecond,
+    };
+  }
+
+  /**
+   * Remove a registered profile, a predefined profile
+   * is reset to its original numbers instead
+   *
+   * @param {string} name - the name of the profile
+   * @throws {Error} - when the name is unknown
+   */
+  static unregister(name) {
+    if (!AttackProfiles.isProfile(name)) {
+      throw new Error(`Unknown attack profile (${name}) found`);
+    }
+    if (Object.hasOwn(predefinedProfiles, name)) {
+      theProfiles[name] = predefinedProfiles[name];
+    } else {
+      delete theProfiles[name];
+    }
+  }
+
+  /**
+   * Estimate how long an attacker needs to find a password
+   *
+   * Returns an object with:
+   *   * seconds - the number of seconds as a string of decimal digits,
+   *       like the permutations it is calculated from
+   *   * rendered - the duration for humans, e.g. '3 days'
+   *
+   * @param {BigInt} permutations - the number of passwords
+   *  the attacker has to choose from
+   * @param {string} name - the name of the profile
+   * @return {object} - the estimated time
+   * @throws {Error} - when the name is unknown
+   */
+  static crackTime(permutations, name) {
+    const profile = AttackProfiles.profile(name);
+    // on average half of the permutations are tried
+    const guesses = BigInt(Math.round(
+      profile.guessesPerSecond * GUESSES_SCALE)) * 2n;
+    const seconds = BigInt(permutations) * BigInt(GUESSES_SCALE) / guesses;
+    return {
+      seconds: seconds.toString(),
+      rendered: AttackProfiles.renderDuration(seconds),
+    };
+  }
+
+  /**
+   * Render a duration for humans, e.g. '5 minutes' or '12 million years'
+   *
+   * @param {BigInt|number} seconds - the duration in seconds
+   * @return {string} - the rendered duration
+   */
+  static renderDuration(seconds) {
+    // a BigInt beyond Number.MAX_VALUE becomes Infinity
+    const duration = Number(seconds);
+    const plural = (count, unit) =>
+      `${count} ${unit}${count === 1 ? '' : 's'}`;
+
+    if (duration < 1) {
+      return 'less than a second';
+    }
+    if (duration < MINUTE) {
+      return plural(Math.floor(duration), 'second');
+    }
+    if (duration < HOUR) {
+      return plural(Math.floor(duration / MINUTE), 'minute');
+    }
+    if (duration < DAY) {
+      return plural(Math.floor(duration / HOUR), 'hour');
+    }
+    if (duration < MONTH) {
+      return plural(Math.floor(duration / DAY), 'day');
+    }
+    if (duration < YEAR) {
+      return plural(Math.floor(duration / MONTH), 'month');
+    }
+    if (duration >= AGE_OF_THE_UNIVERSE) {
+      return 'longer than the age of the universe';
+    }
+
+    const years = duration / YEAR;
+    const magnitudes = [[1e9, 'billion'], [1e6, 'million'],
+      [1e3, 'thousand']];
+    for (const [size, word] of magnitudes) {
+      if (years >= size) {
+        return `${Math.floor(years / size)} ${word} years`;
+      }
+    }
+    return plural(Math.floor(years), 'year');
+  }
+}
+
+export {AttackProfiles};
@@ -0,0 +1,147 @@
+/**
+ * Testing class AttackProfiles
+ */
+import {AttackProfiles} from './attackprofiles.mjs';
+
+const DAY = 24 * 60 * 60;
+const YEAR = 365.25 * DAY;
+
+describe('Test class AttackProfiles', () => {
+  test('it knows the predefined profiles', () => {
+    expect(AttackProfiles.names()).toEqual(['ONLINE_THROTTLED',
+      'ONLINE_UNTHROTTLED', 'OFFLINE_SLOW_HASH', 'OFFLINE_FAST_HASH']);
+    expect(AttackProfiles.isProfile('OFFLINE_SLOW_HASH')).toBe(true);
+    expect(AttackProfiles.isProfile('toString')).toBe(false);
+    expect(AttackProfiles.profile('OFFLINE_SLOW_HASH').guessesPerSecond)
+      .toBe(1e4);
+  });
+
+  test('it throws an error for an unknown profile', () => {
+    expect(() => AttackProfiles.profile('XX'))
+      .toThrow('Unknown attack profile (XX) found');
+  });
+
+  test('it returns a copy of a profile', () => {
+    AttackProfiles.profile('ONLINE_UNTHROTTLED').guessesPerSecond = 1;
+    expect(AttackProfiles.profile('ONLINE_UNTHROTTLED').guessesPerSecond)
+      .toBe(10);
+  });
+
+  describe('Test function register', () => {
+    afterEach(() => {
+      ['MY_GPU', 'SLOW', 'OFFLINE_SLOW_HASH']
+        .filter((name) => AttackProfiles.isProfile(name))
+        .forEach((name) => AttackProfiles.unregister(name));
+    });
+
+    test('it adds a profile', () => {
+      AttackProfiles.register('MY_GPU', {
+        description: 'My own GPU',
+        guessesPerSecond: 5e9,
+      });
+      expect(AttackProfiles.names()).toContain('MY_GPU');
+      expect(AttackProfiles.profile('MY_GPU'))
+        .toEqual({description: 'My own GPU', guessesPerSecond: 5e9});
+    });
+
+    test('it replaces a profile', () => {
+      AttackProfiles.register('SLOW', {guessesPerSecond: 0.5});
+      AttackProfiles.register('SLOW', {guessesPerSecond: 2});
+      expect(AttackProfiles.profile('SLOW'))
+        .toEqual({description: '', guessesPerSecond: 2});
+    });
+
+    test('it replaces a predefined profile', () => {
+      AttackProfiles.register('OFFLINE_SLOW_HASH', {guessesPerSecond: 1});
+      expect(AttackProfiles.profile('OFFLINE_SLOW_HASH').guessesPerSecond)
+        .toBe(1);
+    });
+
+    test('it throws an error for an invalid name', () => {
+      expect(() => AttackProfiles.register('my gpu', {guessesPerSecond: 1}))
+        .toThrow('Invalid attack profile name (my gpu) found');
+    });
+
+    test('it throws an error for invalid guesses', () => {
+      [undefined, '10', 0, -1, NaN, Infinity].forEach((guesses) => {
+        expect(() => AttackProfiles.register('BAD',
+          {guessesPerSecond: guesses}))
+          .toThrow(`Invalid guesses per second (${guesses}) found`);
+      });
+      expect(() => AttackProfiles.register('BAD'))
+        .toThrow('Invalid guesses per second (undefined) found');
+      expect(AttackProfiles.isProfile('BAD')).toBe(false);
+    });
+  });
+
+  describe('Test function unregister', () => {
+    test('it removes a registered profile', () => {
+      AttackProfiles.register('MY_GPU', {guessesPerSecond: 5e9});
+      AttackProfiles.unregister('MY_GPU');
+      expect(AttackProfiles.isProfile('MY_GPU')).toBe(false);
+      expect(AttackProfiles.names()).toHaveLength(4);
+    });
+
+    test('it resets a predefined profile', () => {
+      AttackProfiles.register('ONLINE_UNTHROTTLED', {guessesPerSecond: 1});
+      AttackProfiles.unregister('ONLINE_UNTHROTTLED');
+      expect(AttackProfiles.profile('ONLINE_UNTHROTTLED').guessesPerSecond)
+        .toBe(10);
+      AttackProfiles.unregister('ONLINE_UNTHROTTLED');
+      expect(AttackProfiles.isProfile('ONLINE_UNTHROTTLED')).toBe(true);
+    });
+
+    test('it throws an error for an unknown profile', () => {
+      expect(() => AttackProfiles.unregister('XX'))
+        .toThrow('Unknown attack profile (XX) found');
+    });
+  });
+
+  describe('Test function crackTime', () => {
+    test('it takes half of the permutations on average', () => {
+      expect(AttackProfiles.crackTime(200000n, 'OFFLINE_SLOW_HASH'))
+        .toEqual({seconds: '10', rendered: '10 seconds'});
+    });
+
+    test('it handles fractions of a guess per second', () => {
+      // 100 guesses per hour
+      expect(AttackProfiles.crackTime(200n, 'ONLINE_THROTTLED').seconds)
+        .toBe('3599');
+    });
+
+    test('it handles huge numbers of permutations', () => {
+      const actual = AttackProfiles.crackTime(95n ** 999n,
+        'OFFLINE_FAST_HASH');
+      expect(actual.seconds).toHaveLength(1966);
+      expect(actual.rendered).toBe('longer than the age of the universe');
+    });
+  });
+
+  describe('Test function renderDuration', () => {
+    test('it renders short durations', () => {
+      expect(AttackProfiles.renderDuration(0)).toBe('less than a second');
+      expect(AttackProfiles.renderDuration(0n)).toBe('less than a second');
+      expect(AttackProfiles.renderDuration(1)).toBe('1 second');
+      expect(AttackProfiles.renderDuration(59.9)).toBe('59 seconds');
+      expect(AttackProfiles.renderDuration(60)).toBe('1 minute');
+      expect(AttackProfiles.renderDuration(7200n)).toBe('2 hours');
+      expect(AttackProfiles.renderDuration(3 * DAY)).toBe('3 days');
+      expect(AttackProfiles.renderDuration(100 * DAY)).toBe('3 months');
+    });
+
+    test('it renders long durations', () => {
+      expect(AttackProfiles.renderDuration(YEAR)).toBe('1 year');
+      expect(AttackProfiles.renderDuration(999 * YEAR)).toBe('999 years');
+      expect(AttackProfiles.renderDuration(12e3 * YEAR))
+        .toBe('12 thousand years');
+      expect(AttackProfiles.renderDuration(5e6 * YEAR))
+        .toBe('5 million years');
+      expect(AttackProfiles.renderDuration(13e9 * YEAR))
+        .toBe('13 billion years');
+      expect(AttackProfiles.renderDuration(14e9 * YEAR))
+        .toBe('longer than the age of the universe');
+      expect(AttackProfiles.renderDuration(10n ** 400n))
+        .toBe('longer than the age of the universe');
+    });
+  });
+});
@@ -0,0 +1,228 @@
+/**
+ * Import of Crypt::HSXKPasswd configs and preset files
+ *
+ * @module ConfigImporter
+ */
+
+import is from 'is-it-check';
+
+import {ConfigKeys} from './configkeys.mjs';
+import {ConfigValidator} from './configvalidator.mjs';
+import {Presets} from './presets.mjs';
+
+/**
+ * Class to import the JSON documents of Crypt::HSXKPasswd
+ *
+ * It accepts:
+ * * a config, in the old (Perl) or the new layout
+ * * a preset with a description and a config
+ * * a presets file as written by presets_json() in the Perl module,
+ *   with the keys defined_presets, preset_descriptions and presets
+ *
+ * Everything that can be mapped is imported, everything else is
+ * left out and listed in the report. A report entry has the keys:
+ * * path - the path to the key, e.g. `presets.WEB32.dessert`
+ * * value - the value found
+ * * message - what happened to it
+ *
+ * @class ConfigImporter
+ */
+class ConfigImporter {
+  /**
+   * Import a JSON document
+   *
+   * @param {string|object} json - the JSON text or the parsed object
+   * @return {object} - `{presets, report}`, where presets is an object
+   *  with a Presets instance per name (CUSTOM for a single config)
+   * @throws {Error} - when the document is not JSON or not an object,
+   *  or a config has a problem that can not be left out
+   */
+  static import(json) {
+    let document = json;
+    if (is.string(json)) {
+      try {
+        document = JSON.parse(json);
+      } catch (e) {
+        throw new Error(`Invalid JSON (${e.message}) found`);
+      }
+    }
+    if (is.not.json(document)) {
+      throw new Error('The document is not an object');
+    }
+
+    const report = [];
+    const presets = {};
+
+    if (is.json(document.presets)) {
+      // a presets file
+      const names = is.array(document.defined_presets) ?
+        document.defined_presets : Object.keys(document.presets);
+      const descriptions = is.json(document.preset_descriptions) ?
+        document.preset_descriptions : {};
+
+      names.forEach((name) => {
+        const preset = document.presets[name];
+        if (is.not.json(preset)) {
+          report.push({path: `presets.${name}`, value: preset,
+            message: 'The preset is missing and was left out'});
+          return;
+        }
+        const isPreset = is.json(preset.config);
+        const description = descriptions[name] ??
+          (isPreset ? preset.description : undefined);
+        presets[name] = ConfigImporter.__importConfig(
+          isPreset ? preset.config : preset, description,
+          `presets.${name}.`, report);
+      });
+    } else if (is.json(document.config)) {
+      // a preset with a description
+      presets.CUSTOM = ConfigImporter.__importConfig(
+        document.config, document.description, 'config.', report);
+    } else {
+      presets.CUSTOM = ConfigImporter.__importConfig(
+        document, undefined, '', report);
+    }
+
+    return {presets: presets, report: report};
+  }
+
+  /**
+   * Import a single config
+   *
+   * @param {object} config - the config in the old or the new layout
+   * @param {string} description - the description of the preset
+   * @param {string} prefix - the prefix of the paths in the report
+   * @param {Array} report - the report to add to
+   * @return {Presets} - the imported preset
+   *
+   * @private
+   */
+  static __importConfig(config, description, prefix, report) {
+    const mapped = {};
+    for (const [key, value] of Object.entries(config)) {
+      const path = `${prefix}${key}`;
+      if (!ConfigKeys.isKey(key)) {
+        report.push({path: path, value: value,
+          message: 'Unknown key, it was left out'});
+        continue;
+      }
+      mapped[key] = ConfigImporter.__mapValue(key, value, path, report);
+    }
+
+    // leave out the values that are still invalid, this can take more
+    // than one round because a key can make another key invalid
+    let problems = ConfigValidator.validate(mapped);
+    while (problems.length > 0) {
+      const leftOut = problems.map((problem) =>
+        ConfigImporter.__leaveOut(mapped, problem, prefix, report));
+      if (!leftOut.includes(true)) {
+        // nothing changed, another round gives the same problems
+        throw new Error('Invalid config: ' + problems
+          .map((problem) => `${prefix}${problem.path}: ${problem.message}`)
+          .join('; '));
+      }
+      problems = ConfigValidator.validate(mapped);
+    }
+
+    const preset = new Presets({
+      description: is.string(description) ? description : 'Imported preset',
+      config: mapped,
+    });
+
+    // the characters removed from the alphabets are left out as well
+    for (const [key, removed] of Object.entries(preset.report())) {
+      report.push({path: `${prefix}${key}`, value: mapped[key],
+        message: `Removed ${Presets.describeRemoved(removed)}`});
+    }
+    return preset;
+  }
+
+  /**
+   * Leave the cause of a problem out of the config
+   *
+   * @param {object} config - the mapped config
+   * @param {object} problem - the problem found by the validator
+   * @param {string} prefix - the prefix of the paths in the report
+   * @param {Array} report - the report to add to
+   * @return {boolean} - true if something was left out
+   *
+   * @private
+   */
+  static __leaveOut(config, problem, prefix, report) {
+    const key = problem.key ?? problem.path;
+    const sub = problem.sub;
+
+    // a single bad substitution does not spoil the others
+    if (is.not.undefined(sub)) {
+      if (!Object.hasOwn(config[key] ?? {}, sub)) {
+        return false;
+      }
+      report.push({path: `${prefix}${problem.path}`, value: config[key][sub],
+        message: `${problem.message}, it was left out`});
+      delete config[key][sub];
+      return true;
+    }
+
+    // a missing character makes the type that needs it invalid
+    const cause = (key in config) ? key : {
+      separator_character: 'separator_type',
+      padding_character: 'padding_character_type',
+    }[key];
+    if (!(cause in config)) {
+      // already left out because of an earlier problem
+      return false;
+    }
+    report.push({path: `${prefix}${cause}`, value: config[cause],
+      message: `${problem.message}, it was left out`});
+    delete config[cause];
+    return true;
+  }
+
+  /**
+   * Map the value of a key from the Perl module onto this one
+   *
+   * @param {string} key - the key
+   * @param {any} value - the value in the Perl config
+   * @param {string} path - the path of the key for the report
+   * @param {Array} report - the report to add to
+   * @return {any} - the value for this module
+   *
+   * @private
+   */
+  static __mapValue(key, value, path, report) {
+    const definition = ConfigKeys.definition(key);
+
+    // the Perl JSON encoder sometimes writes numbers as strings
+    if (definition.type === 'integer' && is.string(value) &&
+      /^\d+$/.test(value)) {
+      return parseInt(value);
+    }
+
+    if (definition.type === 'boolean' && (value === 0 || value === 1)) {
+      return value === 1;
+    }
+
+    // clone to avoid side effects on the original config
+    if ((definition.type === 'alphabet' ||
+      definition.type === 'word_list') && is.array(value)) {
+      return [...value];
+    }
+    if (definition.type === 'substitutions' && is.json(value)) {
+      return {...value};
+    }
+
+    // the Perl random number generators are Perl classes
+    // or code references, which do not exist here
+    if (key === 'random_function' &&
+      (is.not.string(value) || value.includes('::'))) {
+      report.push({path: path, value: value,
+        message: 'The Perl random function can not be used, ' +
+          'it was replaced by AUTO'});
+      return 'AUTO';
+    }
+
+    return value;
+  }
+}
+
+export {ConfigImporter};
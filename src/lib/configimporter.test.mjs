@@ -0,0 +1,201 @@
+/**
+ * Testing class ConfigImporter
+ */
+import fs from 'fs';
+import {jest} from '@jest/globals';
+import log from 'loglevel';
+
+import {ConfigImporter} from './configimporter.mjs';
+import {ConfigValidator} from './configvalidator.mjs';
+import {DictionaryEN} from './dictionaryEN.mjs';
+import {Presets} from './presets.mjs';
+import {Statistics} from './statistics.mjs';
+
+/* helper function to read a document from the test directory */
+const readFile = (name) => fs.readFileSync(
+  new URL(`../../test/${name}`, import.meta.url), 'utf8');
+
+describe('Test class ConfigImporter', () => {
+  describe('Test a single config', () => {
+    test('it imports the old layout without a report', () => {
+      const {presets, report} = ConfigImporter.import(
+        readFile('old-layout.json'));
+      expect(report).toEqual([]);
+
+      const config = presets.CUSTOM.config();
+      expect(config.symbol_alphabet).toEqual(['!', '@', '$', '%', '^', '&',
+        '*', '-', '_', '+', '=', ':', '|', '~', '?', '/', '.', ';']);
+      expect(config.separator_type).toBe('RANDOM');
+      expect(config.padding_character_type).toBe('RANDOM');
+      expect(config.random_function).toBe('RandomBasic');
+      expect(config.random_increment).toBe('AUTO');
+    });
+
+    test('it imports a config of the Perl module', () => {
+      const {presets, report} = ConfigImporter.import(
+        readFile('hsxkpasswd-config.json'));
+      expect(report).toEqual([{
+        path: 'random_function',
+        value: 'Crypt::HSXKPasswd::RNG::Basic',
+        message: 'The Perl random function can not be used, ' +
+          'it was replaced by AUTO',
+      }]);
+
+      const config = presets.CUSTOM.config();
+      expect(config.character_substitutions).toEqual(
+        {a: '@', i: '!', o: '0'});
+      expect(config.substitution_mode).toBe('ALWAYS');
+      expect(config.allow_accents).toBe(false);
+      expect(config.random_function).toBe('AUTO');
+      expect(config.padding_character_type).toBe('SEPARATOR');
+      expect(config.padding_character).toBe('');
+      expect(presets.CUSTOM.description()).toBe('Imported preset');
+    });
+
+    test('it leaves out and reports what can not be mapped', () => {
+      const {presets, report} = ConfigImporter.import(
+        readFile('invalid-elements.json'));
+      expect(report.map((entry) => entry.path)).toEqual(
+        ['wordlengthmin', 'dessert', 'case_transform', 'padding_type']);
+      expect(report[2]).toEqual({
+        path: 'case_transform',
+        value: 'TRUE',
+        message: 'Unknown case_transform (TRUE), expected one of NONE, ' +
+          'UPPER, LOWER, CAPITALISE, INVERT, ALTERNATE, RANDOM, ' +
+          'it was left out',
+      });
+
+      const config = presets.CUSTOM.config();
+      expect(config.case_transform).toBe('NONE');
+      expect(config.word_length_max).toBe(8);
+      expect(Presets.isValidConfig(config)).toBe(true);
+    });
+
+    test('it keeps the valid substitutions', () => {
+      const {presets, report} = ConfigImporter.import({
+        character_substitutions: {a: '@', ab: 'x'},
+      });
+      expect(report.map((entry) => entry.path))
+        .toEqual(['character_substitutions.ab']);
+      expect(presets.CUSTOM.config().character_substitutions)
+        .toEqual({a: '@'});
+    });
+
+    test('it leaves out a bad substitution with a dotted key', () => {
+      const {presets, report} = ConfigImporter.import({
+        num_words: 3,
+        character_substitutions: {'a': '@', '.': 5, 'a.b': 'x'},
+      });
+      expect(report.map((entry) => entry.path)).toEqual(
+        ['character_substitutions..', 'character_substitutions.a.b']);
+      expect(presets.CUSTOM.config().character_substitutions)
+        .toEqual({a: '@'});
+    });
+
+    test('it leaves out a type that misses its character', () => {
+      const {presets, report} = ConfigImporter.import({
+        separator_type: 'FIXED',
+        padding_character_type: 'FIXED',
+        padding_character: 'xy',
+      });
+      expect(report.map((entry) => entry.path)).toEqual(
+        ['padding_character', 'separator_type', 'padding_character_type']);
+      expect(presets.CUSTOM.config().separator_type).toBe('NONE');
+    });
+
+    test('it converts numbers and booleans', () => {
+      const {presets, report} = ConfigImporter.import({
+        num_words: '4',
+        allow_accents: 1,
+      });
+      expect(report).toEqual([]);
+      expect(presets.CUSTOM.config().num_words).toBe(4);
+      expect(presets.CUSTOM.config().allow_accents).toBe(true);
+    });
+
+    test('it reports the characters removed from the alphabets', () => {
+      const spy = jest.spyOn(log, 'warn').mockImplementation(() => {});
+      const {presets, report} = ConfigImporter.import({
+        config: {symbol_alphabet: ['!', 'a', '!', '@']},
+      });
+      expect(presets.CUSTOM.config().symbol_alphabet).toEqual(['!', '@']);
+      expect(report).toEqual([{
+        path: 'config.symbol_alphabet',
+        value: ['!', 'a', '!', '@'],
+        message: 'Removed duplicates (\'!\'), letters (\'a\')',
+      }]);
+
+      spy.mockRestore();
+    });
+
+    test('it does not change the original document', () => {
+      const document = {
+        symbol_alphabet: ['!', '@'],
+        character_substitutions: {a: '@', ab: 'x'},
+      };
+      ConfigImporter.import(document);
+      expect(document).toEqual({
+        symbol_alphabet: ['!', '@'],
+        character_substitutions: {a: '@', ab: 'x'},
+      });
+    });
+
+    test('it imports a preset with a description', () => {
+      const {presets, report} = ConfigImporter.import({
+        description: 'My preset',
+        config: {num_words: 4, dessert: 'waffles'},
+      });
+      expect(presets.CUSTOM.description()).toBe('My preset');
+      expect(report.map((entry) => entry.path)).toEqual(['config.dessert']);
+    });
+  });
+
+  describe('Test a presets file', () => {
+    test.each(new Presets().getPresets())(
+      'preset %s imports with identical stats', (name) => {
+        const {presets, report} = ConfigImporter.import(
+          readFile('hsxkpasswd-presets.json'));
+        expect(report).toEqual([]);
+
+        const imported = presets[name];
+        const original = new Presets(name);
+        expect(imported.description()).toBe(original.description());
+
+        const dict = new DictionaryEN();
+        expect(new Statistics(imported.config(), dict).calculateStats())
+          .toEqual(new Statistics(original.config(), dict).calculateStats());
+      });
+
+    test('it reports a missing preset', () => {
+      const {presets, report} = ConfigImporter.import({
+        defined_presets: ['MINE', 'GONE'],
+        presets: {MINE: {num_words: 4}},
+      });
+      expect(Object.keys(presets)).toEqual(['MINE']);
+      expect(report).toEqual([{path: 'presets.GONE', value: undefined,
+        message: 'The preset is missing and was left out'}]);
+    });
+  });
+
+  describe('Test invalid documents', () => {
+    test('it throws an error for invalid JSON', () => {
+      expect(() => ConfigImporter.import('{"num_words":'))
+        .toThrow('Invalid JSON');
+    });
+
+    test('it throws an error if the document is not an object', () => {
+      expect(() => ConfigImporter.import('[1, 2]'))
+        .toThrow('The document is not an object');
+    });
+
+    test('it stops when a problem can not be left out', () => {
+      const spy = jest.spyOn(ConfigValidator, 'validate')
+        .mockReturnValue([{path: 'dessert', message: 'Unknown key'}]);
+
+      expect(() => ConfigImporter.import({num_words: 3}))
+        .toThrow('Invalid config: dessert: Unknown key');
+
+      spy.mockRestore();
+    });
+  });
+});
@@ -0,0 +1,301 @@
+/**
+ * The definitions of all config keys
+ *
+ * This is the JavaScript version of config_key_definitions()
+ * in Crypt::HSXKPasswd.
+ *
+ * @module ConfigKeys
+ */
+
+import is from 'is-it-check';
+
+import {Dictionaries} from './dictionaries.mjs';
+
+/**
+ * This object defines every config key with:
+ * * type - the kind of value, one of integer, enum, character,
+ *   alphabet, boolean, word_list, substitutions, random_function
+ *   or random_increment
+ * * values - the allowed values of an enum, or the codes a character
+ *   key accepts next to a single character
+ * * min, max - the range of an integer
+ * * default - the value used when the key is missing
+ * * derived - true if the default depends on other keys,
+ *   the normalization of the config takes care of these keys
+ * * description - what the key does
+ */
+const theKeys = {
+  symbol_alphabet: {
+    type: 'alphabet',
+    default: '!@$%^&*-_+=:|~?/.;',
+    description: 'The symbols to choose from when no separator or ' +
+      'padding alphabet is given.',
+  },
+  separator_alphabet: {
+    type: 'alphabet',
+    default: '!@$%^&*-_+=:|~?/.;',
+    derived: true,
+    description: 'The symbols to choose from when separator_type ' +
+      'is RANDOM, defaults to the symbol_alphabet.',
+  },
+  padding_alphabet: {
+    type: 'alphabet',
+    default: '!@$%^&*-_+=:|~?/.;',
+    derived: true,
+    description: 'The symbols to choose from when padding_character_type ' +
+      'is RANDOM, defaults to the symbol_alphabet.',
+  },
+  max_alphabet_size: {
+    type: 'integer',
+    min: 1,
+    default: 20,
+    description: 'The maximum number of symbols kept of every alphabet, ' +
+      'the symbols after that are dropped.',
+  },
+  dictionary: {
+    type: 'enum',
+    // a getter, so registered dictionaries are included
+    get values() {
+      return Dictionaries.names();
+    },
+    default: 'EN',
+    description: 'The bundled dictionary the words are chosen from.',
+  },
+  word_length_min: {
+    type: 'integer',
+    min: 3,
+    default: 4,
+    description: 'The minimum length of the words.',
+  },
+  word_length_max: {
+    type: 'integer',
+    min: 3,
+    default: 8,
+    description: 'The maximum length of the words.',
+  },
+  num_words: {
+    type: 'integer',
+    min: 2,
+    default: 3,
+    description: 'The number of words in the password.',
+  },
+  separator_type: {
+    type: 'enum',
+    values: ['NONE', 'FIXED', 'RANDOM'],
+    default: 'NONE',
+    derived: true,
+    description: 'How the words are separated: not at all, ' +
+      'by the separator_character or by a random symbol.',
+  },
+  separator_character: {
+    type: 'character',
+    values: ['NONE', 'RANDOM'],
+    default: '',
+    derived: true,
+    description: 'The character between the words when separator_type ' +
+      'is FIXED. Configs without a separator_type use NONE, RANDOM or ' +
+      'a single character.',
+  },
+  padding_digits_before: {
+    type: 'integer',
+    min: 0,
+    default: 0,
+    description: 'The number of random digits before the words.',
+  },
+  padding_digits_after: {
+    type: 'integer',
+    min: 0,
+    default: 0,
+    description: 'The number of random digits after the words.',
+  },
+  padding_type: {
+    type: 'enum',
+    values: ['NONE', 'FIXED', 'ADAPTIVE'],
+    default: 'NONE',
+    description: 'How the password is padded with symbols: not at all, ' +
+      'with a fixed number of symbols or up to pad_to_length.',
+  },
+  pad_to_length: {
+    type: 'integer',
+    min: 8,
+    max: 999,
+    default: 12,
+    description: 'The length of the password when padding_type ' +
+      'is ADAPTIVE.',
+  },
+  padding_character_type: {
+    type: 'enum',
+    values: ['NONE', 'FIXED', 'RANDOM', 'SEPARATOR'],
+    default: 'NONE',
+    derived: true,
+    description: 'Which symbol is used for padding: none, the ' +
+      'padding_character, a random symbol or the separator.',
+  },
+  padding_character: {
+    type: 'character',
+    values: ['NONE', 'RANDOM', 'SEPARATOR'],
+    default: '',
+    derived: true,
+    description: 'The padding symbol when padding_character_type is FIXED. ' +
+      'Configs without a padding_character_type use NONE, RANDOM, ' +
+      'SEPARATOR or a single character.',
+  },
+  padding_characters_before: {
+    type: 'integer',
+    min: 0,
+    default: 0,
+    description: 'The number of padding symbols before the password ' +
+      'when padding_type is FIXED.',
+  },
+  padding_characters_after: {
+    type: 'integer',
+    min: 0,
+    default: 0,
+    description: 'The number of padding symbols after the password ' +
+      'when padding_type is FIXED.',
+  },
+  case_transform: {
+    type: 'enum',
+    values: ['NONE', 'UPPER', 'LOWER', 'CAPITALISE',
+      'INVERT', 'ALTERNATE', 'RANDOM'],
+    default: 'NONE',
+    description: 'The case transformation applied to the words.',
+  },
+  allow_accents: {
+    type: 'boolean',
+    default: false,
+    description: 'Whether the words may contain accented characters.',
+  },
+  excluded_words: {
+    type: 'word_list',
+    default: [],
+    description: 'Words that are never used, whatever their case ' +
+      'or accents.',
+  },
+  exclude_offensive_words: {
+    type: 'boolean',
+    default: true,
+    description: 'Whether the bundled list of offensive words is ' +
+      'excluded as well.',
+  },
+  character_substitutions: {
+    type: 'substitutions',
+    default: {},
+    derived: true,
+    description: 'Characters in the words to replace, e.g. ' +
+      '{"a": "@", "e": ["3", "€"]}.',
+  },
+  substitution_mode: {
+    type: 'enum',
+    values: ['NEVER', 'ALWAYS', 'RANDOM'],
+    default: 'NEVER',
+    derived: true,
+    description: 'When the character_substitutions are made, ' +
+      'defaults to ALWAYS when there are substitutions.',
+  },
+  random_function: {
+    type: 'random_function',
+    default: 'AUTO',
+    description: 'The source of the random numbers, AUTO picks the ' +
+      'best one available.',
+  },
+  random_increment: {
+    type: 'random_increment',
+    default: 'AUTO',
+    description: 'The number of random numbers to cache at a time, ' +
+      'AUTO caches enough for one password.',
+  },
+};
+
+/**
+ * Class that gives access to the config key definitions
+ *
+ * All functions return copies, so the definitions can not
+ * be changed by accident.
+ *
+ * @class ConfigKeys
+ */
+class ConfigKeys {
+  /**
+   * Get the names of all config keys
+   *
+   * @return {Array} - the names of the keys
+   */
+  static keys() {
+    return Object.keys(theKeys);
+  }
+
+  /**
+   * Check if a key is a known config key
+   *
+   * @param {string} key - the name of the key
+   * @return {boolean} - true if the key is known
+   */
+  static isKey(key) {
+    return Object.hasOwn(theKeys, key);
+  }
+
+  /**
+   * Get the definition of a single config key
+   *
+   * @param {string} key - the name of the key
+   * @return {object} - the definition
+   * @throws {Error} - when the key is unknown
+   */
+  static definition(key) {
+    if (!ConfigKeys.isKey(key)) {
+      throw new Error(`Unknown config key (${key}) found`);
+    }
+    return structuredClone(theKeys[key]);
+  }
+
+  /**
+   * Get the definitions of all config keys
+   *
+   * @return {object} - the definitions indexed by key
+   */
+  static definitions() {
+    return structuredClone(theKeys);
+  }
+
+  /**
+   * Get the default values of all keys that do not
+   * depend on other keys
+   *
+   * @return {object} - the default values indexed by key
+   */
+  static defaults() {
+    const defaults = {};
+    for (const [key, definition] of Object.entries(theKeys)) {
+      if (!definition.derived) {
+        defaults[key] = structuredClone(definition.default);
+      }
+    }
+    return defaults;
+  }
+
+  /**
+   * Describe a config key in one line, e.g. for help texts
+   *
+   * @param {string} key - the name of the key
+   * @return {string} - the description with the allowed values
+   * @throws {Error} - when the key is unknown
+   */
+  static describe(key) {
+    const definition = ConfigKeys.definition(key);
+    let allowed = '';
+    if (definition.type === 'character') {
+      allowed = ' Allowed: a single character, ' +
+        `${definition.values.join(', ')}.`;
+    } else if (is.not.undefined(definition.values)) {
+      allowed = ` Allowed: ${definition.values.join(', ')}.`;
+    } else if (definition.type === 'integer') {
+      allowed = is.undefined(definition.max) ?
+        ` Allowed: ${definition.min} or more.` :
+        ` Allowed: ${definition.min} to ${definition.max}.`;
+    }
+    return `${definition.description}${allowed}`;
+  }
+}
+
+export {ConfigKeys};
@@ -0,0 +1,79 @@
+/**
+ * Testing class ConfigKeys
+ */
+import {ConfigKeys} from './configkeys.mjs';
+import {ConfigValidator} from './configvalidator.mjs';
+import {Presets} from './presets.mjs';
+
+describe('Test class ConfigKeys', () => {
+  test('every key has a type, a default and a description', () => {
+    const definitions = ConfigKeys.definitions();
+    ConfigKeys.keys().forEach((key) => {
+      expect(definitions[key].type).toEqual(expect.any(String));
+      expect(definitions[key]).toHaveProperty('default');
+      expect(definitions[key].description).toEqual(expect.any(String));
+    });
+  });
+
+  test('every key of the predefined presets is known', () => {
+    new Presets().getPresets().forEach((name) => {
+      Object.keys(new Presets(name).config()).forEach((key) => {
+        expect(ConfigKeys.isKey(key)).toBe(true);
+      });
+    });
+  });
+
+  test('the defaults are a valid config', () => {
+    expect(ConfigValidator.validate(ConfigKeys.defaults())).toEqual([]);
+  });
+
+  describe('Test function definition', () => {
+    test('it returns the definition of a key', () => {
+      expect(ConfigKeys.definition('num_words')).toEqual({
+        type: 'integer',
+        min: 2,
+        default: 3,
+        description: 'The number of words in the password.',
+      });
+    });
+
+    test('it returns a copy', () => {
+      ConfigKeys.definition('case_transform').values.push('TITLE');
+      ConfigKeys.definitions().num_words.min = 1;
+      expect(ConfigKeys.definition('case_transform').values)
+        .not.toContain('TITLE');
+      expect(ConfigKeys.definition('num_words').min).toBe(2);
+    });
+
+    test('it throws an error for an unknown key', () => {
+      expect(() => ConfigKeys.definition('dessert'))
+        .toThrow('Unknown config key (dessert) found');
+      expect(ConfigKeys.isKey('toString')).toBe(false);
+    });
+  });
+
+  describe('Test function defaults', () => {
+    test('it leaves out the keys that depend on other keys', () => {
+      const defaults = ConfigKeys.defaults();
+      expect(defaults.num_words).toBe(3);
+      expect(defaults.random_function).toBe('AUTO');
+      expect(defaults).not.toHaveProperty('separator_type');
+      expect(defaults).not.toHaveProperty('padding_character');
+    });
+  });
+
+  describe('Test function describe', () => {
+    test('it adds the allowed values', () => {
+      expect(ConfigKeys.describe('padding_type')).toMatch(
+        /Allowed: NONE, FIXED, ADAPTIVE\.$/);
+      expect(ConfigKeys.describe('num_words')).toMatch(
+        /Allowed: 2 or more\.$/);
+      expect(ConfigKeys.describe('pad_to_length')).toMatch(
+        /Allowed: 8 to 999\.$/);
+      expect(ConfigKeys.describe('separator_character')).toMatch(
+        /Allowed: a single character, NONE, RANDOM\.$/);
+      expect(ConfigKeys.describe('allow_accents')).toBe(
+        'Whether the words may contain accented characters.');
+    });
+  });
+});
@@ -0,0 +1,257 @@
+/**
+ * Validation of a config
+ *
+ * @module ConfigValidator
+ */
+
+import is from 'is-it-check';
+
+import {ConfigKeys} from './configkeys.mjs';
+import {Graphemes} from './graphemes.mjs';
+import {RandomFactory} from './randomfactory.mjs';
+
+/**
+ * Class to validate a config and report every problem
+ *
+ * The keys and their allowed values come from ConfigKeys.
+ *
+ * A problem is an object with the keys:
+ * * path - the path to the offending key, e.g. `character_substitutions.a`
+ * * message - a description of the problem
+ *
+ * A problem of a single character substitution also has the keys:
+ * * key - the config key, `character_substitutions`
+ * * sub - the substituted character, e.g. `a`, which can be a `.`
+ *   so the path can not be split
+ *
+ * @class ConfigValidator
+ */
+class ConfigValidator {
+  /**
+   * Validate a config
+   *
+   * @param {object} config - the config to validate
+   * @return {Array} - the list of problems, empty if the config is valid
+   */
+  static validate(config) {
+    if (is.not.json(config)) {
+      return [{path: '', message: 'The config is not an object'}];
+    }
+
+    const problems = [];
+    for (const [key, value] of Object.entries(config)) {
+      // a key without a value is the same as a missing key
+      if (is.undefined(value)) {
+        continue;
+      }
+      if (!ConfigKeys.isKey(key)) {
+        problems.push({path: key, message: ConfigValidator.__unknownKey(key)});
+        continue;
+      }
+      problems.push(...ConfigValidator.__checkValue(key, value));
+    }
+
+    // only check the combinations of keys that are valid on their own
+    const invalid = new Set(problems.map((problem) =>
+      problem.key ?? problem.path));
+    problems.push(...ConfigValidator.__checkConsistency(config, invalid));
+
+    return problems;
+  }
+
+  /**
+   * Check if a config is valid
+   *
+   * @param {object} config - the config to validate
+   * @return {boolean} - true if there are no problems
+   */
+  static isValid(config) {
+    return ConfigValidator.validate(config).length === 0;
+  }
+
+  /**
+   * Create the message for an unknown key,
+   * with a suggestion if it looks like a misspelled known key
+   *
+   * @param {string} key - the unknown key
+   * @return {string} - the message
+   *
+   * @private
+   */
+  static __unknownKey(key) {
+    const simplify = (str) => str.toLowerCase().replace(/[^a-z]/g, '');
+    const suggestion = ConfigKeys.keys()
+      .find((known) => simplify(known) === simplify(key));
+    return is.undefined(suggestion) ?
+      `Unknown key (${key})` :
+      `Unknown key (${key}), did you mean ${suggestion}?`;
+  }
+
+  /**
+   * Check the value of a single key
+   *
+   * @param {string} key - the key
+   * @param {any} value - the value
+   * @return {Array} - the list of problems
+   *
+   * @private
+   */
+  static __checkValue(key, value) {
+    const spec = ConfigKeys.definition(key);
+    const problem = (message) => [{path: key, message: message}];
+
+    switch (spec.type) {
+    case 'integer':
+      if (is.not.integer(value)) {
+        return problem(`${key} (${value}) is not an integer`);
+      }
+      if (is.not.undefined(spec.min) && value < spec.min) {
+        return problem(`${key} (${value}) must be at least ${spec.min}`);
+      }
+      if (is.not.undefined(spec.max) && value > spec.max) {
+        return problem(`${key} (${value}) must be at most ${spec.max}`);
+      }
+      return [];
+
+    case 'enum':
+      if (!spec.values.includes(value)) {
+        return problem(`Unknown ${key} (${value}), ` +
+          `expected one of ${spec.values.join(', ')}`);
+      }
+      return [];
+
+    case 'character':
+      // an empty string means no character at all
+      if (is.not.string(value) ||
+        (Graphemes.length(value) > 1 && !spec.values.includes(value))) {
+        return problem(`${key} (${value}) must be a single character ` +
+          `or one of ${spec.values.join(', ')}`);
+      }
+      return [];
+
+    case 'alphabet':
+      if (is.string(value)) {
+        return [];
+      }
+      if (is.array(value) &&
+        value.every((char) => is.string(char) &&
+          Graphemes.length(char) === 1)) {
+        return [];
+      }
+      return problem(
+        `${key} must be a string or an array of single characters`);
+
+    case 'boolean':
+      if (is.boolean(value) || value === 0 || value === 1) {
+        return [];
+      }
+      return problem(`${key} (${value}) must be true, false, 0 or 1`);
+
+    case 'word_list':
+      if (is.array(value) &&
+        value.every((word) => is.string(word) && word.trim() !== '')) {
+        return [];
+      }
+      return problem(`${key} must be an array of words`);
+
+    case 'substitutions':
+      return ConfigValidator.__checkSubstitutions(key, value);
+
+    case 'random_function':
+      try {
+        RandomFactory.sourceName(value);
+        return [];
+      } catch (e) {
+        return problem(e.message);
+      }
+
+    case 'random_increment':
+      if (value === 'AUTO' || (is.integer(value) && value > 0)) {
+        return [];
+      }
+      return problem(
+        `${key} (${value}) must be AUTO or a positive integer`);
+
+    /* istanbul ignore next @preserve : every key has a known type */
+    default:
+      return [];
+    }
+  }
+
+  /**
+   * Check the character substitutions
+   *
+   * @param {string} key - the key
+   * @param {any} value - the substitutions
+   * @return {Array} - the list of problems
+   *
+   * @private
+   */
+  static __checkSubstitutions(key, value) {
+    if (is.not.json(value)) {
+      return [{path: key, message: `${key} must be an object`}];
+    }
+
+    const problems = [];
+    for (const [char, sub] of Object.entries(value)) {
+      const path = `${key}.${char}`;
+      if (Graphemes.length(char) !== 1) {
+        problems.push({path: path, key: key, sub: char,
+          message: `Character substitution key (${char}) ` +
+            'is not a single character'});
+        continue;
+      }
+      const replacements = is.array(sub) ? sub : [sub];
+      if (replacements.length === 0 ||
+        replacements.some((el) => is.not.string(el) || el.length === 0)) {
+        problems.push({path: path, key: key, sub: char,
+          message: `Invalid substitution(s) (${sub}) for character ${char}`});
+      }
+    }
+    return problems;
+  }
+
+  /**
+   * Check the keys that depend on each other
+   *
+   * @param {object} config - the config
+   * @param {Set} invalid - the keys that already have a problem
+   * @return {Array} - the list of problems
+   *
+   * @private
+   */
+  static __checkConsistency(config, invalid) {
+    const problems = [];
+    const isSet = (key) => is.not.undefined(config[key]) && !invalid.has(key);
+
+    if (isSet('word_length_min') && isSet('word_length_max') &&
+      config.word_length_min > config.word_length_max) {
+      problems.push({path: 'word_length_min',
+        message: `word_length_min (${config.word_length_min}) is larger ` +
+          `than word_length_max (${config.word_length_max})`});
+    }
+
+    if (isSet('separator_type') && config.separator_type === 'FIXED' &&
+      !invalid.has('separator_character') &&
+      (is.undefined(config.separator_character) ||
+        Graphemes.length(config.separator_character) !== 1)) {
+      problems.push({path: 'separator_character',
+        message: 'separator_character must be a single character ' +
+          'when separator_type is FIXED'});
+    }
+
+    if (isSet('padding_character_type') &&
+      config.padding_character_type === 'FIXED' &&
+      !invalid.has('padding_character') &&
+      (is.undefined(config.padding_character) ||
+        Graphemes.length(config.padding_character) !== 1)) {
+      problems.push({path: 'padding_character',
+        message: 'padding_character must be a single character ' +
+          'when padding_character_type is FIXED'});
+    }
+
+    return problems;
+  }
+}
+
+export {ConfigValidator};
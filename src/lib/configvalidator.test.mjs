@@ -0,0 +1,178 @@
+/**
+ * Testing class ConfigValidator
+ */
+import fs from 'fs';
+
+import {ConfigValidator} from './configvalidator.mjs';
+import {Presets} from './presets.mjs';
+
+/* helper function to read a config from the test directory */
+const readConfig = (name) => JSON.parse(fs.readFileSync(
+  new URL(`../../test/${name}`, import.meta.url), 'utf8'));
+
+describe('Test class ConfigValidator', () => {
+  describe('Test function validate', () => {
+    test('it accepts all predefined presets', () => {
+      const presets = new Presets().getPresets();
+      presets.forEach((name) => {
+        expect(ConfigValidator.validate(new Presets(name).config()))
+          .toEqual([]);
+      });
+    });
+
+    test('it accepts the new and the old layout', () => {
+      expect(ConfigValidator.validate(readConfig('new-layout.json')))
+        .toEqual([]);
+      expect(ConfigValidator.validate(readConfig('old-layout.json')))
+        .toEqual([]);
+    });
+
+    test('it reports every problem in invalid-elements.json', () => {
+      const problems = ConfigValidator.validate(
+        readConfig('invalid-elements.json'));
+      expect(problems.map((problem) => problem.path)).toEqual(
+        ['wordlengthmin', 'dessert', 'case_transform', 'padding_type']);
+      expect(problems[0].message).toBe(
+        'Unknown key (wordlengthmin), did you mean word_length_min?');
+      expect(problems[1].message).toBe('Unknown key (dessert)');
+      expect(problems[2].message).toMatch(/Unknown case_transform \(TRUE\)/);
+    });
+
+    test('it reports a config that is not an object', () => {
+      expect(ConfigValidator.validate('DEFAULT')).toEqual(
+        [{path: '', message: 'The config is not an object'}]);
+      expect(ConfigValidator.validate([])).toHaveLength(1);
+    });
+
+    test('it ignores keys without a value', () => {
+      expect(ConfigValidator.validate({padding_character: undefined}))
+        .toEqual([]);
+    });
+
+    test('it reports wrong types and out-of-range numbers', () => {
+      const problems = ConfigValidator.validate({
+        num_words: '3',
+        word_length_min: 2,
+        pad_to_length: 1000,
+        allow_accents: 'yes',
+        symbol_alphabet: ['!', '@@'],
+        separator_character: 'AB',
+      });
+      expect(problems).toEqual([
+        {path: 'num_words', message: 'num_words (3) is not an integer'},
+        {path: 'word_length_min',
+          message: 'word_length_min (2) must be at least 3'},
+        {path: 'pad_to_length',
+          message: 'pad_to_length (1000) must be at most 999'},
+        {path: 'allow_accents',
+          message: 'allow_accents (yes) must be true, false, 0 or 1'},
+        {path: 'symbol_alphabet', message:
+          'symbol_alphabet must be a string or an array of single characters'},
+        {path: 'separator_character', message:
+          'separator_character (AB) must be a single character ' +
+          'or one of NONE, RANDOM'},
+      ]);
+    });
+
+    test('it accepts symbols of several code points', () => {
+      expect(ConfigValidator.validate({
+        symbol_alphabet: ['\u{1F44D}\u{1F3FD}', '\u{1F3B2}'],
+        separator_character: 'e\u0301',
+      })).toEqual([]);
+      expect(ConfigValidator.validate({
+        symbol_alphabet: ['\u{1F44D}\u{1F3B2}'],
+      })).toHaveLength(1);
+      expect(ConfigValidator.validate({
+        separator_type: 'FIXED',
+        separator_character: '\u{1F44D}\u{1F3FD}',
+        padding_character_type: 'FIXED',
+        padding_character: '\u{1F3B2}',
+      })).toEqual([]);
+    });
+
+    test('it reports excluded words that are not a list of words', () => {
+      expect(ConfigValidator.validate({excluded_words: ['Paris']}))
+        .toEqual([]);
+      expect(ConfigValidator.validate({excluded_words: 'Paris'})).toEqual([
+        {path: 'excluded_words',
+          message: 'excluded_words must be an array of words'},
+      ]);
+      expect(ConfigValidator.isValid({excluded_words: ['Paris', '']}))
+        .toBe(false);
+    });
+
+    test('it reports inconsistent min and max word lengths', () => {
+      expect(ConfigValidator.validate({
+        word_length_min: 8,
+        word_length_max: 4,
+      })).toEqual([{path: 'word_length_min',
+        message: 'word_length_min (8) is larger than word_length_max (4)'}]);
+    });
+
+    test('it reports missing characters', () => {
+      const problems = ConfigValidator.validate({
+        separator_type: 'FIXED',
+        padding_character_type: 'FIXED',
+        padding_character: '',
+      });
+      expect(problems.map((problem) => problem.path)).toEqual(
+        ['separator_character', 'padding_character']);
+    });
+
+    test('it does not repeat problems of invalid keys', () => {
+      const problems = ConfigValidator.validate({
+        word_length_min: 'eight',
+        word_length_max: 4,
+      });
+      expect(problems).toHaveLength(1);
+    });
+
+    test('it reports the path of a bad substitution', () => {
+      const problems = ConfigValidator.validate({
+        character_substitutions: {a: '@', ab: 'x', e: []},
+        substitution_mode: 'SOMETIMES',
+      });
+      expect(problems.map((problem) => problem.path)).toEqual([
+        'character_substitutions.ab',
+        'character_substitutions.e',
+        'substitution_mode',
+      ]);
+      expect(problems[0]).toMatchObject(
+        {key: 'character_substitutions', sub: 'ab'});
+      expect(ConfigValidator.validate({character_substitutions: 'a@'}))
+        .toEqual([{path: 'character_substitutions',
+          message: 'character_substitutions must be an object'}]);
+    });
+
+    test('it counts the characters of a substitution key', () => {
+      expect(ConfigValidator.validate({
+        character_substitutions: {'e\u0301': '3', '\u{1F3B2}': '6'},
+      })).toEqual([]);
+    });
+
+    test('it reports a bad random function and increment', () => {
+      const problems = ConfigValidator.validate({
+        random_function: 'RandomFake',
+        random_increment: -1,
+      });
+      expect(problems).toEqual([
+        {path: 'random_function',
+          message: 'Unknown random function (RandomFake) found'},
+        {path: 'random_increment',
+          message: 'random_increment (-1) must be AUTO or a positive integer'},
+      ]);
+    });
+  });
+
+  describe('Test function isValid', () => {
+    test('it returns true for a valid config', () => {
+      expect(ConfigValidator.isValid(readConfig('new-layout.json')))
+        .toBe(true);
+    });
+
+    test('it returns false for an invalid config', () => {
+      expect(ConfigValidator.isValid(readConfig('invalid-elements.json')))
+        .toBe(false);
+    });
+  });
+});
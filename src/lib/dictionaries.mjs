@@ -0,0 +1,223 @@
+/**
+ * Registry of the bundled dictionaries
+ *
+ * @module Dictionaries
+ */
+
+import is from 'is-it-check';
+
+import {Dictionary} from './dictionary.mjs';
+import {DictionaryEN} from './dictionaryEN.mjs';
+
+/**
+ * All dictionaries that can be chosen through the config,
+ * indexed by the name used in the `dictionary` key.
+ *
+ * Every entry holds either `loaded`, the class or instance of a
+ * dictionary that is ready to use, or `load`, a function that resolves
+ * to that class or instance. Only the default dictionary is imported
+ * statically, the other ones are split off by webpack and only
+ * downloaded when they are loaded.
+ * More dictionaries are added by register().
+ */
+const theDictionaries = {
+  EN: {loaded: DictionaryEN},
+  DE: {
+    load: async () => (await import(
+      /* webpackChunkName: "dictionaryDE" */ './dictionaryDE.mjs'))
+      .DictionaryDE,
+  },
+  ES: {
+    load: async () => (await import(
+      /* webpackChunkName: "dictionaryES" */ './dictionaryES.mjs'))
+      .DictionaryES,
+  },
+  FR: {
+    load: async () => (await import(
+      /* webpackChunkName: "dictionaryFR" */ './dictionaryFR.mjs'))
+      .DictionaryFR,
+  },
+  IT: {
+    load: async () => (await import(
+      /* webpackChunkName: "dictionaryIT" */ './dictionaryIT.mjs'))
+      .DictionaryIT,
+  },
+  NL: {
+    load: async () => (await import(
+      /* webpackChunkName: "dictionaryNL" */ './dictionaryNL.mjs'))
+      .DictionaryNL,
+  },
+  PT: {
+    load: async () => (await import(
+      /* webpackChunkName: "dictionaryPT" */ './dictionaryPT.mjs'))
+      .DictionaryPT,
+  },
+  EN_LARGE: {
+    load: async () => (await import(
+      /* webpackChunkName: "dictionaryENLarge" */ './dictionaryENLarge.mjs'))
+      .DictionaryENLarge,
+  },
+};
+
+// the bundled dictionaries can not be unregistered
+const BUNDLED = Object.freeze(Object.keys(theDictionaries));
+
+/**
+ * Class that loads and creates the dictionaries
+ *
+ * The config key `dictionary` selects the dictionary by name,
+ * e.g. 'EN' for DictionaryEN.
+ *
+ * Only EN is available right away. Every other dictionary must be
+ * loaded first with `await Dictionaries.load(name)`, after that
+ * create() returns it like any other dictionary.
+ *
+ * @class Dictionaries
+ */
+class Dictionaries {
+  /**
+   * Get the names of all dictionaries, loaded or not
+   *
+   * @return {Array} - names of the dictionaries
+   */
+  static names() {
+    return Object.keys(theDictionaries);
+  }
+
+  /**
+   * Check if a name belongs to a dictionary
+   *
+   * @param {string} name - the name of the dictionary
+   * @return {boolean} - true if the dictionary exists
+   */
+  static isDictionary(name) {
+    return Object.hasOwn(theDictionaries, name);
+  }
+
+  /**
+   * Check if a dictionary is ready to be created
+   *
+   * @param {string} name - the name of the dictionary
+   * @return {boolean} - true if the dictionary is loaded
+   */
+  static isLoaded(name) {
+    return Dictionaries.isDictionary(name) &&
+      is.not.undefined(theDictionaries[name].loaded);
+  }
+
+  /**
+   * Register a dictionary under a name
+   *
+   * The dictionary is either a Dictionary class, which is ready
+   * to use, or a function that loads it and resolves to a Dictionary
+   * class or instance, e.g. to read a word list from a file:
+   *
+   *     Dictionaries.register('MINE',
+   *       () => DictionaryCustom.fromFile('words.txt'));
+   *
+   * Registering the same class or function again under its name
+   * does nothing.
+   *
+   * @param {string} name - the name of the dictionary, e.g. 'MINE'
+   * @param {class|function} dictionary - the class of the dictionary,
+   *  its constructor must not need arguments, or the function that
+   *  loads it
+   * @throws {Error} - when the name is not valid or already taken,
+   *  or when the dictionary is not a Dictionary or a function
+   */
+  static register(name, dictionary) {
+    if (is.not.string(name) || !/^[A-Z][A-Z0-9_]*$/.test(name)) {
+      throw new Error(`Invalid dictionary name (${name}) found`);
+    }
+    if (is.not.function(dictionary)) {
+      throw new Error('The dictionary is not a Dictionary');
+    }
+    const isClass = dictionary.prototype instanceof Dictionary;
+    if (Dictionaries.isDictionary(name)) {
+      const entry = theDictionaries[name];
+      if (entry.loaded !== dictionary && entry.load !== dictionary) {
+        throw new Error(`The dictionary (${name}) is already registered`);
+      }
+      return;
+    }
+    theDictionaries[name] = isClass ?
+      {loaded: dictionary} : {load: dictionary};
+  }
+
+  /**
+   * Remove a registered dictionary, the bundled dictionaries
+   * can not be removed
+   *
+   * @param {string} name - the name of the dictionary
+   * @throws {Error} - when the name is unknown or belongs
+   *  to a bundled dictionary
+   */
+  static unregister(name) {
+    if (!Dictionaries.isDictionary(name)) {
+      throw new Error(`Unknown dictionary (${name}) found`);
+    }
+    if (BUNDLED.includes(name)) {
+      throw new Error(`The dictionary (${name}) is bundled`);
+    }
+    delete theDictionaries[name];
+  }
+
+  /**
+   * Load a dictionary, so it can be created
+   *
+   * Loading a dictionary that is already loaded, or is being loaded,
+   * does not load it again.
+   *
+   * @param {string} name - the name of the dictionary, defaults to EN
+   * @return {Promise<Dictionary>} - the dictionary
+   * @throws {Error} - when the name is unknown or the dictionary
+   *  could not be loaded
+   */
+  static async load(name = 'EN') {
+    if (!Dictionaries.isDictionary(name)) {
+      throw new Error(`Unknown dictionary (${name}) found`);
+    }
+    const entry = theDictionaries[name];
+    if (is.undefined(entry.loaded)) {
+      // share the loading between callers that ask at the same time
+      entry.loading ??= entry.load();
+      try {
+        const dictionary = await entry.loading;
+        if (!(dictionary instanceof Dictionary) &&
+          !(is.function(dictionary) &&
+            dictionary.prototype instanceof Dictionary)) {
+          throw new Error('The dictionary is not a Dictionary');
+        }
+        entry.loaded = dictionary;
+      } finally {
+        // a failed load can be tried again
+        delete entry.loading;
+      }
+    }
+    return Dictionaries.create(name);
+  }
+
+  /**
+   * Create a dictionary that is loaded
+   *
+   * @param {string} name - the name of the dictionary, defaults to EN
+   * @return {Dictionary} - the dictionary
+   * @throws {Error} - when the name is unknown or the dictionary
+   *  is not loaded yet
+   */
+  static create(name = 'EN') {
+    if (!Dictionaries.isDictionary(name)) {
+      throw new Error(`Unknown dictionary (${name}) found`);
+    }
+    const DictionaryType = theDictionaries[name].loaded;
+    if (is.undefined(DictionaryType)) {
+      throw new Error(`The dictionary (${name}) is not loaded yet, ` +
+        'load it with Dictionaries.load()');
+    }
+    // an instance was loaded from a function, it is shared
+    return DictionaryType instanceof Dictionary ?
+      DictionaryType : new DictionaryType();
+  }
+}
+
+export {Dictionaries};
@@ -0,0 +1,150 @@
+/**
+ * Testing class Dictionaries
+ */
+import {jest} from '@jest/globals';
+import {Dictionaries} from './dictionaries.mjs';
+import {Dictionary} from './dictionary.mjs';
+import {DictionaryCustom} from './dictionarycustom.mjs';
+import {DictionaryEN} from './dictionaryEN.mjs';
+
+/**
+ * Optional dictionary to register
+ */
+class DictionaryExtra extends DictionaryEN {
+}
+
+describe('Test class Dictionaries', () => {
+  afterAll(() => {
+    ['EXTRA', 'LOADED', 'BROKEN']
+      .filter((name) => Dictionaries.isDictionary(name))
+      .forEach((name) => Dictionaries.unregister(name));
+  });
+
+  test('it knows the bundled dictionaries', () => {
+    expect(Dictionaries.names()).toEqual(
+      ['EN', 'DE', 'ES', 'FR', 'IT', 'NL', 'PT', 'EN_LARGE']);
+    expect(Dictionaries.isDictionary('DE')).toBe(true);
+    expect(Dictionaries.isDictionary('XX')).toBe(false);
+    expect(Dictionaries.isDictionary('toString')).toBe(false);
+  });
+
+  test('it creates the English dictionary by default', () => {
+    expect(Dictionaries.create().source()).toBe('DictionaryEN');
+  });
+
+  test('it throws an error for an unknown dictionary', () => {
+    expect(() => Dictionaries.create('XX'))
+      .toThrow('Unknown dictionary (XX) found');
+  });
+
+  describe('Test function register', () => {
+    test('it adds an optional dictionary', () => {
+      Dictionaries.register('EXTRA', DictionaryExtra);
+      Dictionaries.register('EXTRA', DictionaryExtra);
+      expect(Dictionaries.isDictionary('EXTRA')).toBe(true);
+      expect(Dictionaries.create('EXTRA')).toBeInstanceOf(DictionaryExtra);
+    });
+
+    test('it throws an error for an invalid registration', () => {
+      expect(() => Dictionaries.register('extra', DictionaryExtra))
+        .toThrow('Invalid dictionary name (extra) found');
+      expect(() => Dictionaries.register('OTHER', ['alpha']))
+        .toThrow('The dictionary is not a Dictionary');
+      expect(() => Dictionaries.register('EN', DictionaryExtra))
+        .toThrow('The dictionary (EN) is already registered');
+    });
+  });
+
+  describe('Test function unregister', () => {
+    test('it removes a registered dictionary', () => {
+      Dictionaries.register('REMOVED', DictionaryExtra);
+      Dictionaries.unregister('REMOVED');
+      expect(Dictionaries.isDictionary('REMOVED')).toBe(false);
+      expect(() => Dictionaries.create('REMOVED'))
+        .toThrow('Unknown dictionary (REMOVED) found');
+    });
+
+    test('it throws an error for an unknown or bundled dictionary', () => {
+      expect(() => Dictionaries.unregister('XX'))
+        .toThrow('Unknown dictionary (XX) found');
+      expect(() => Dictionaries.unregister('DE'))
+        .toThrow('The dictionary (DE) is bundled');
+      expect(Dictionaries.isDictionary('DE')).toBe(true);
+    });
+  });
+
+  describe('Test function load', () => {
+    test('it loads a dictionary on demand', async () => {
+      expect(Dictionaries.isLoaded('EN')).toBe(true);
+      expect(Dictionaries.isLoaded('FR')).toBe(false);
+      expect(() => Dictionaries.create('FR'))
+        .toThrow('The dictionary (FR) is not loaded yet');
+
+      const [first, second] = await Promise.all(
+        [Dictionaries.load('FR'), Dictionaries.load('FR')]);
+      expect(first.source()).toBe('DictionaryFR');
+      expect(second.source()).toBe('DictionaryFR');
+      expect(Dictionaries.isLoaded('FR')).toBe(true);
+      expect(Dictionaries.create('FR').language()).toBe('fr');
+    });
+
+    test('it loads a dictionary from a function', async () => {
+      const loader = jest.fn(() => DictionaryCustom.fromFile(
+        new URL('../../test/wordlist.txt', import.meta.url)));
+      Dictionaries.register('LOADED', loader);
+      expect(Dictionaries.isLoaded('LOADED')).toBe(false);
+
+      const dict = await Dictionaries.load('LOADED');
+      await Dictionaries.load('LOADED');
+      expect(loader).toHaveBeenCalledTimes(1);
+      expect(dict).toBeInstanceOf(DictionaryCustom);
+      expect(Dictionaries.create('LOADED')).toBe(dict);
+    });
+
+    test('it rejects a function that does not load a Dictionary', async () => {
+      const loader = jest.fn(async () => ['alpha']);
+      Dictionaries.register('BROKEN', loader);
+      await expect(Dictionaries.load('BROKEN'))
+        .rejects.toThrow('The dictionary is not a Dictionary');
+      await expect(Dictionaries.load('BROKEN')).rejects.toThrow(Error);
+      expect(loader).toHaveBeenCalledTimes(2);
+      await expect(Dictionaries.load('XX'))
+        .rejects.toThrow('Unknown dictionary (XX) found');
+    });
+  });
+
+  describe.each([
+    ['EN', 'en', 'DictionaryEN'],
+    ['DE', 'de', 'DictionaryDE'],
+    ['ES', 'es', 'DictionaryES'],
+    ['FR', 'fr', 'DictionaryFR'],
+    ['IT', 'it', 'DictionaryIT'],
+    ['NL', 'nl', 'DictionaryNL'],
+    ['PT', 'pt', 'DictionaryPT'],
+    ['EN_LARGE', 'en', 'DictionaryENLarge'],
+  ])('Test dictionary %s', (name, language, source) => {
+    let dict;
+
+    beforeAll(async () => {
+      dict = await Dictionaries.load(name);
+    });
+
+    test('it has a language and a source', () => {
+      expect(dict).toBeInstanceOf(Dictionary);
+      expect(dict.language()).toBe(language);
+      expect(dict.source()).toBe(source);
+    });
+
+    test('it only contains clean words', () => {
+      // the EFF list has a few words with a hyphen, like t-shirt
+      const words = dict.wordList().filter((word) => !word.includes('-'));
+      expect(DictionaryCustom.distilToWords(words).words).toEqual(words);
+    });
+
+    test('it knows the word lengths', () => {
+      expect(dict.getLength()).toBe(dict.wordList().length);
+      expect(dict.getMinWordLength()).toBeGreaterThanOrEqual(3);
+      expect(dict.word(dict.getLength() - 1)).toEqual(expect.any(String));
+    });
+  });
+});
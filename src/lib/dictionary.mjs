@@ -5,7 +5,14 @@
  * @module Dictionary
  */
 
+import is from 'is-it-check';
 import log from 'loglevel';
+
+import {Graphemes} from './graphemes.mjs';
+
+// all combining marks, these are the accents after decomposition
+const COMBINING_MARKS = /\p{M}/gu;
+
 /**
  * class for a Dictionary
  * @class
@@ -14,6 +21,8 @@ class Dictionary {
   #wordListLength; // length of the word list, convenience variable
   #minWordLength; // shortest word length
   #maxWordLength; // longest word length
+  #containsAccents; // whether the list contains accents, set on first use
+  #lengthIndex; // the words indexed by length, see __lengthIndex()
 
   /**
    * Constructor for English Dictionary
@@ -26,6 +35,56 @@ class Dictionary {
     this.#wordListLength = 0;
     this.#minWordLength = 0;
     this.#maxWordLength = 0;
+    this.#containsAccents = undefined;
+    this.#lengthIndex = {};
+  }
+
+  /**
+   * Read the text of a word list file
+   *
+   * In the browser the file is a File (or Blob), e.g. from an
+   * input element. In Node it is the path or URL of the file.
+   *
+   * @param {File|Blob|string|URL} file - the file to read
+   * @return {Promise<string>} - the text of the file
+   * @throws {Error} - when the file is unknown or can not be read
+   *
+   * @private
+   */
+  static async __readText(file) {
+    if (is.not.undefined(file) && is.function(file.text)) {
+      return file.text();
+    }
+    if (is.string(file) || file instanceof URL) {
+      // In the browser bundle fs is replaced by an empty module
+      // (see resolve.fallback in webpack.config.mjs)
+      const fs = await import('fs');
+      return fs.promises.readFile(file, 'utf8');
+    }
+    throw new Error(`Unknown file (${file}) found`);
+  }
+
+  /**
+   * Check if a word contains accented characters
+   *
+   * @param {string} word - the word to check
+   * @return {boolean} - true if the word contains accents
+   */
+  static hasAccents(word) {
+    return word.normalize('NFD').search(COMBINING_MARKS) > -1;
+  }
+
+  /**
+   * Remove the accents from a word, e.g. `café` becomes `cafe`
+   *
+   * The word is decomposed, stripped of its combining marks and
+   * composed again, so the result is always NFC normalized.
+   *
+   * @param {string} word - the word to strip
+   * @return {string} - the word without accents
+   */
+  static stripAccents(word) {
+    return word.normalize('NFD').replace(COMBINING_MARKS, '').normalize('NFC');
   }
 
 
@@ -38,6 +97,24 @@ class Dictionary {
   //   return this;
   // }
 
+  /**
+   * Return the language of the words, as ISO 639-1 code
+   *
+   * @return {string} - the language code, empty when unknown
+   */
+  language() {
+    return '';
+  }
+
+  /**
+   * Return the name of the source of the words
+   *
+   * @return {string} - name of the source
+   */
+  source() {
+    return '';
+  }
+
   /**
    * Return the word list of the dictionary
    *
@@ -83,17 +160,46 @@ class Dictionary {
     return this.#maxWordLength;
   }
 
+  /**
+   * Check if any word in the list contains accented characters
+   *
+   * @return {boolean} - true if the list contains accents
+   */
+  containsAccents() {
+    if (this.#containsAccents === undefined) {
+      this.#containsAccents = false;
+      const maxDict = this.getLength();
+      for (let i = 0; i < maxDict; i++) {
+        if (Dictionary.hasAccents(this.word(i))) {
+          this.#containsAccents = true;
+          break;
+        }
+      }
+    }
+    return this.#containsAccents;
+  }
+
   /**
    * Find the list of words with a length that
    * falls in the range of the min and max parameters
    *
+   * When accents are not allowed, the accents are stripped
+   * before the length is checked. Words that become equal
+   * by stripping are only listed once.
+   * Excluded words are left out, see Exclusions.
+   * The words keep the order of the dictionary.
+   * The length is the number of graphemes, see Graphemes.
+   *
+   * The words are looked up in an index by length, so only
+   * the words in the range are visited.
+   *
    * @param {number} minLen - minimum length
    * @param {number} maxLen - maximum length
+   * @param {boolean} allowAccents - keep the accents, defaults to true
+   * @param {Exclusions} exclusions - the words to leave out, optional
    * @return {Array} - list of filtered words
    */
-  filteredWordList(minLen, maxLen) {
-    const maxDict = this.getLength();
-
+  filteredWordList(minLen, maxLen, allowAccents = true, exclusions) {
     // if undefined, make it 0
     minLen = minLen ? minLen : 0;
     maxLen = maxLen ? maxLen : 0;
@@ -105,18 +211,70 @@ class Dictionary {
 
     log.trace(`about to filter words with ${minLength} - ${maxLength}`);
 
-    const list = [];
-    let word = '';
-    for (let i = 0; i < maxDict; i++) {
-      word = this.word(i);
-      if (word.length >= minLength && word.length <= maxLength) {
-        list.push(word);
+    const {words, positions} = this.__lengthIndex(allowAccents);
+    let selected = [];
+    let numLengths = 0;
+    positions.forEach((list, length) => {
+      if (length >= minLength && length <= maxLength) {
+        selected = selected.concat(list);
+        numLengths++;
       }
+    });
+    // the positions of a single length are in order already
+    if (numLengths > 1) {
+      selected.sort((a, b) => a - b);
     }
+
+    const list = [];
+    selected.forEach((position) => {
+      if (!exclusions?.has(words[position])) {
+        list.push(words[position]);
+      }
+    });
     log.trace(`pushed words: ${list.length}`);
     return list;
   }
 
+  /**
+   * Index the distinct words of the list by their length,
+   * the index is built on first use
+   *
+   * Returns an object with:
+   *   * words - the distinct words, in the order of the dictionary
+   *   * positions - a Map from word length to the positions
+   *       of the words with that length in `words`, in order
+   *
+   * @param {boolean} allowAccents - keep the accents, otherwise
+   *  they are stripped before the words are compared and measured
+   * @return {object} - the index
+   *
+   * @private
+   */
+  __lengthIndex(allowAccents) {
+    const key = allowAccents ? 'accents' : 'stripped';
+    if (this.#lengthIndex[key] === undefined) {
+      const words = [];
+      const positions = new Map();
+      const seen = new Set();
+      const maxDict = this.getLength();
+      for (let i = 0; i < maxDict; i++) {
+        const word = allowAccents ?
+          this.word(i) : Dictionary.stripAccents(this.word(i));
+        if (!seen.has(word)) {
+          seen.add(word);
+          const length = Graphemes.length(word);
+          if (!positions.has(length)) {
+            positions.set(length, []);
+          }
+          positions.get(length).push(words.length);
+          words.push(word);
+        }
+      }
+      this.#lengthIndex[key] = {words: words, positions: positions};
+    }
+    return this.#lengthIndex[key];
+  }
+
   /**
    * Set the length of the word list
    *
@@ -129,17 +287,19 @@ class Dictionary {
   }
 
   /**
-   * Set the word length min and max values
+   * Set the word length min and max values,
+   * in graphemes
    *
    * @private
    */
   __setWordLength() {
     const list = this.wordList();
-    let minlen = list[0].length;
+    let minlen = Graphemes.length(list[0]);
     let maxlen = minlen;
     for (let i = 1; i < this.#wordListLength; i++) {
-      minlen = Math.min(minlen, list[i].length);
-      maxlen = Math.max(maxlen, list[i].length);
+      const length = Graphemes.length(list[i]);
+      minlen = Math.min(minlen, length);
+      maxlen = Math.max(maxlen, length);
     }
     this.#minWordLength = minlen;
     this.#maxWordLength = maxlen;
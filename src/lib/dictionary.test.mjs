@@ -0,0 +1,85 @@
+/**
+ * Testing class Dictionary
+ */
+import {jest} from '@jest/globals';
+import {Dictionary} from './dictionary.mjs';
+import {DictionaryEN} from './dictionaryEN.mjs';
+import {Exclusions} from './exclusions.mjs';
+import {DictionaryAccents} from '../../test/dictionaryaccents.mjs';
+
+describe('Test class Dictionary', () => {
+  test('it can not be instantiated', () => {
+    expect(() => new Dictionary())
+      .toThrow('You cannot instantiate the abstract class');
+  });
+
+  describe('Test the accent functions', () => {
+    test('it detects accents in composed and decomposed words', () => {
+      expect(Dictionary.hasAccents('café')).toBe(true);
+      expect(Dictionary.hasAccents('café')).toBe(true);
+      expect(Dictionary.hasAccents('cafe')).toBe(false);
+    });
+
+    test('it strips the accents', () => {
+      expect(Dictionary.stripAccents('café')).toBe('cafe');
+      expect(Dictionary.stripAccents('café')).toBe('cafe');
+      expect(Dictionary.stripAccents('Crème Brûlée'))
+        .toBe('Creme Brulee');
+      // letters that are not decomposable stay as they are
+      expect(Dictionary.stripAccents('straße')).toBe('straße');
+    });
+
+    test('it detects if a dictionary contains accents', () => {
+      expect(new DictionaryAccents().containsAccents()).toBe(true);
+      expect(new DictionaryEN().containsAccents()).toBe(false);
+    });
+  });
+
+  describe('Test function filteredWordList', () => {
+    const dict = new DictionaryAccents();
+
+    test('it keeps the accents by default', () => {
+      expect(dict.filteredWordList(4, 5)).toEqual(
+        ['café', 'café', 'cafe', 'crème', 'naïve', 'über']);
+    });
+
+    test('it strips the accents and removes the duplicates', () => {
+      expect(dict.filteredWordList(4, 5, false)).toEqual(
+        ['cafe', 'creme', 'naive', 'uber']);
+    });
+
+    test('it leaves out the excluded words', () => {
+      const exclusions = new Exclusions(['cafe', 'UBER']);
+      expect(dict.filteredWordList(4, 5, false, exclusions)).toEqual(
+        ['creme', 'naive']);
+      expect(dict.filteredWordList(4, 5, true, exclusions)).toEqual(
+        ['crème', 'naïve']);
+    });
+
+    test('it measures the length in graphemes', () => {
+      // the decomposed word has 5 code units, but only 4 graphemes
+      expect(dict.filteredWordList(4, 4, true)).toEqual(
+        ['caf\u00e9', 'cafe\u0301', 'cafe', '\u00fcber']);
+      expect(dict.filteredWordList(5, 5, true)).toEqual(['crème', 'naïve']);
+      expect(dict.getMaxWordLength()).toBe(5);
+    });
+
+    test('it keeps the order of the dictionary over all lengths', () => {
+      expect(dict.filteredWordList(3, 5, false)).toEqual(
+        ['cafe', 'creme', 'naive', 'uber', 'big']);
+      expect(dict.filteredWordList(6, 20)).toEqual([]);
+    });
+
+    test('it reads the words only once to index them', () => {
+      const indexed = new DictionaryAccents();
+      const spy = jest.spyOn(indexed, 'word');
+      indexed.filteredWordList(4, 5);
+      indexed.filteredWordList(3, 3);
+      expect(spy).toHaveBeenCalledTimes(indexed.getLength());
+
+      // the stripped words have an index of their own
+      indexed.filteredWordList(4, 5, false);
+      expect(spy).toHaveBeenCalledTimes(indexed.getLength() * 2);
+    });
+  });
+});
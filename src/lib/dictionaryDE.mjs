@@ -0,0 +1,659 @@
+/**
+ * Class containing a German dictionary
+ *
+ * @module DictionaryDE
+ */
+
+import {Dictionary} from './dictionary.mjs';
+
+// the word list
+const THE_WORDS = [
+  'Abend',
+  'Abenteuer',
+  'Abfahrt',
+  'Adler',
+  'Affe',
+  'Ahorn',
+  'Akte',
+  'Alltag',
+  'Ampel',
+  'Ananas',
+  'Angel',
+  'Angst',
+  'Anker',
+  'Antwort',
+  'Apfel',
+  'Apotheke',
+  'April',
+  'Arbeit',
+  'Arm',
+  'Arzt',
+  'Asche',
+  'Ast',
+  'Atem',
+  'Auge',
+  'August',
+  'Ausflug',
+  'Auto',
+  'Axt',
+  'Bach',
+  'Backofen',
+  'Bad',
+  'Bahn',
+  'Bahnhof',
+  'Balkon',
+  'Ball',
+  'Banane',
+  'Bank',
+  'Bart',
+  'Bauch',
+  'Bauer',
+  'Baum',
+  'Beere',
+  'Berg',
+  'Besen',
+  'Bett',
+  'Beutel',
+  'Biene',
+  'Bier',
+  'Bild',
+  'Birne',
+  'Blatt',
+  'Blei',
+  'Blick',
+  'Blitz',
+  'Blume',
+  'Bluse',
+  'Blut',
+  'Boden',
+  'Bogen',
+  'Bohne',
+  'Boot',
+  'Brief',
+  'Brille',
+  'Brot',
+  'Bruder',
+  'Brunnen',
+  'Brücke',
+  'Buch',
+  'Buche',
+  'Burg',
+  'Butter',
+  'Bäcker',
+  'Bär',
+  'Büro',
+  'Bürste',
+  'Dach',
+  'Dackel',
+  'Dame',
+  'Dampf',
+  'Dank',
+  'Daumen',
+  'Decke',
+  'Deckel',
+  'Delfin',
+  'Dezember',
+  'Dichter',
+  'Dieb',
+  'Ding',
+  'Donner',
+  'Dorf',
+  'Dose',
+  'Drache',
+  'Draht',
+  'Dreieck',
+  'Duft',
+  'Dunkel',
+  'Durst',
+  'Dusche',
+  'Ecke',
+  'Efeu',
+  'Ehre',
+  'Eiche',
+  'Eichel',
+  'Eimer',
+  'Eis',
+  'Eisen',
+  'Elch',
+  'Elefant',
+  'Ende',
+  'Engel',
+  'Ente',
+  'Erbse',
+  'Erde',
+  'Ernte',
+  'Esel',
+  'Essig',
+  'Eule',
+  'Fabrik',
+  'Faden',
+  'Fahne',
+  'Fahrrad',
+  'Falke',
+  'Falter',
+  'Familie',
+  'Farbe',
+  'Fass',
+  'Feder',
+  'Fee',
+  'Fehler',
+  'Feier',
+  'Feld',
+  'Fels',
+  'Fenster',
+  'Ferien',
+  'Ferse',
+  'Fest',
+  'Feuer',
+  'Fieber',
+  'Film',
+  'Finger',
+  'Fisch',
+  'Flagge',
+  'Flasche',
+  'Fleisch',
+  'Fliege',
+  'Fluss',
+  'Flöte',
+  'Flügel',
+  'Fohlen',
+  'Form',
+  'Frage',
+  'Frau',
+  'Freund',
+  'Frieden',
+  'Frosch',
+  'Frucht',
+  'Frühling',
+  'Fuchs',
+  'Funke',
+  'Futter',
+  'Fuß',
+  'Gabel',
+  'Gans',
+  'Garten',
+  'Gast',
+  'Gebirge',
+  'Geduld',
+  'Gefühl',
+  'Geige',
+  'Geist',
+  'Geld',
+  'Gemüse',
+  'Gesang',
+  'Gesicht',
+  'Gewitter',
+  'Giraffe',
+  'Gitarre',
+  'Glas',
+  'Glocke',
+  'Glück',
+  'Gold',
+  'Gras',
+  'Grenze',
+  'Groschen',
+  'Gruß',
+  'Gurke',
+  'Gürtel',
+  'Haar',
+  'Hafen',
+  'Hafer',
+  'Hagel',
+  'Hahn',
+  'Hai',
+  'Hals',
+  'Hammer',
+  'Hand',
+  'Handy',
+  'Harfe',
+  'Hase',
+  'Haus',
+  'Haut',
+  'Heft',
+  'Heimat',
+  'Held',
+  'Helm',
+  'Hemd',
+  'Herbst',
+  'Herd',
+  'Herz',
+  'Heu',
+  'Hexe',
+  'Himmel',
+  'Hirsch',
+  'Hitze',
+  'Hobel',
+  'Hof',
+  'Holz',
+  'Honig',
+  'Horn',
+  'Hose',
+  'Hotel',
+  'Huhn',
+  'Hummel',
+  'Hund',
+  'Hunger',
+  'Hut',
+  'Höhle',
+  'Hütte',
+  'Igel',
+  'Insel',
+  'Jacke',
+  'Jahr',
+  'Januar',
+  'Juli',
+  'Juni',
+  'Jäger',
+  'Kabel',
+  'Kaffee',
+  'Kakao',
+  'Kalb',
+  'Kamel',
+  'Kamin',
+  'Kamm',
+  'Kammer',
+  'Kanne',
+  'Kante',
+  'Kappe',
+  'Karte',
+  'Kasse',
+  'Kasten',
+  'Katze',
+  'Kegel',
+  'Keller',
+  'Kerze',
+  'Kessel',
+  'Kette',
+  'Kiefer',
+  'Kind',
+  'Kino',
+  'Kirche',
+  'Kirsche',
+  'Kissen',
+  'Kiste',
+  'Klang',
+  'Klavier',
+  'Klee',
+  'Kleid',
+  'Knopf',
+  'Koch',
+  'Koffer',
+  'Kohle',
+  'Kopf',
+  'Korb',
+  'Korn',
+  'Kraft',
+  'Kragen',
+  'Kran',
+  'Kreide',
+  'Kreis',
+  'Kreuz',
+  'Krone',
+  'Krug',
+  'Kröte',
+  'Kuchen',
+  'Kugel',
+  'Kuh',
+  'Kunst',
+  'Kurve',
+  'Kuss',
+  'Käfer',
+  'Käse',
+  'Küche',
+  'Küste',
+  'Lachs',
+  'Lager',
+  'Lampe',
+  'Land',
+  'Laterne',
+  'Laub',
+  'Laune',
+  'Leben',
+  'Leder',
+  'Lehrer',
+  'Leiter',
+  'Lerche',
+  'Licht',
+  'Liebe',
+  'Lied',
+  'Linde',
+  'Lineal',
+  'Linie',
+  'Lippe',
+  'Loch',
+  'Luft',
+  'Lunge',
+  'Löffel',
+  'Löwe',
+  'Magen',
+  'Mai',
+  'Mais',
+  'Maler',
+  'Mandel',
+  'Mantel',
+  'Markt',
+  'Marmor',
+  'Mauer',
+  'Maus',
+  'Meer',
+  'Mehl',
+  'Meise',
+  'Messer',
+  'Metall',
+  'Milch',
+  'Minute',
+  'Mittag',
+  'Monat',
+  'Mond',
+  'Moor',
+  'Moos',
+  'Morgen',
+  'Motor',
+  'Mund',
+  'Muschel',
+  'Musik',
+  'Mutter',
+  'Mädchen',
+  'Märchen',
+  'Möbel',
+  'Möhre',
+  'Möwe',
+  'Mücke',
+  'Mühle',
+  'Münze',
+  'Mütze',
+  'Nacht',
+  'Nadel',
+  'Nagel',
+  'Name',
+  'Nase',
+  'Nebel',
+  'Neffe',
+  'Nest',
+  'Netz',
+  'Nichte',
+  'Norden',
+  'Not',
+  'Nudel',
+  'Nuss',
+  'Ofen',
+  'Ohr',
+  'Oktober',
+  'Oma',
+  'Onkel',
+  'Opa',
+  'Orange',
+  'Ordner',
+  'Orgel',
+  'Osten',
+  'Otter',
+  'Paket',
+  'Palme',
+  'Papier',
+  'Pappe',
+  'Park',
+  'Pech',
+  'Perle',
+  'Pfad',
+  'Pfanne',
+  'Pfeffer',
+  'Pfeife',
+  'Pferd',
+  'Pflanze',
+  'Pflaume',
+  'Pilz',
+  'Pinsel',
+  'Platz',
+  'Pony',
+  'Post',
+  'Preis',
+  'Puppe',
+  'Quelle',
+  'Rabe',
+  'Rad',
+  'Rahmen',
+  'Rasen',
+  'Rathaus',
+  'Raum',
+  'Raupe',
+  'Regen',
+  'Reh',
+  'Reise',
+  'Rezept',
+  'Riese',
+  'Ring',
+  'Rock',
+  'Roggen',
+  'Rose',
+  'Ruder',
+  'Ruhe',
+  'Rätsel',
+  'Rücken',
+  'Saal',
+  'Sache',
+  'Sack',
+  'Saft',
+  'Salat',
+  'Salz',
+  'Samen',
+  'Sand',
+  'Satz',
+  'Schaf',
+  'Schal',
+  'Schatten',
+  'Schatz',
+  'Schaukel',
+  'Schere',
+  'Schiff',
+  'Schild',
+  'Schinken',
+  'Schirm',
+  'Schlaf',
+  'Schloss',
+  'Schlüssel',
+  'Schmerz',
+  'Schnee',
+  'Schnur',
+  'Schrank',
+  'Schraube',
+  'Schuh',
+  'Schule',
+  'Schwan',
+  'Schwein',
+  'See',
+  'Seele',
+  'Segel',
+  'Seide',
+  'Seife',
+  'Seil',
+  'Sekunde',
+  'Semmel',
+  'Senf',
+  'Sessel',
+  'Sieb',
+  'Silber',
+  'Sofa',
+  'Sohn',
+  'Sommer',
+  'Sonne',
+  'Spaten',
+  'Spiegel',
+  'Spiel',
+  'Spinne',
+  'Sprache',
+  'Stadt',
+  'Stahl',
+  'Stall',
+  'Stamm',
+  'Stein',
+  'Stern',
+  'Stiefel',
+  'Stift',
+  'Stimme',
+  'Stirn',
+  'Storch',
+  'Strand',
+  'Strauch',
+  'Straße',
+  'Streit',
+  'Strom',
+  'Stuhl',
+  'Stunde',
+  'Sturm',
+  'Suppe',
+  'Säge',
+  'Süden',
+  'Tag',
+  'Tal',
+  'Tanne',
+  'Tante',
+  'Tanz',
+  'Tasche',
+  'Tasse',
+  'Taube',
+  'Tee',
+  'Teich',
+  'Teller',
+  'Tennis',
+  'Teppich',
+  'Tiger',
+  'Tisch',
+  'Tochter',
+  'Tomate',
+  'Ton',
+  'Topf',
+  'Tor',
+  'Torte',
+  'Traum',
+  'Treppe',
+  'Trommel',
+  'Tropfen',
+  'Tuch',
+  'Tulpe',
+  'Turm',
+  'Tür',
+  'Ufer',
+  'Uhr',
+  'Umschlag',
+  'Unfall',
+  'Urlaub',
+  'Vase',
+  'Vater',
+  'Veilchen',
+  'Vogel',
+  'Volk',
+  'Vorhang',
+  'Waage',
+  'Wagen',
+  'Wald',
+  'Wand',
+  'Wange',
+  'Wasser',
+  'Watte',
+  'Wecker',
+  'Weg',
+  'Weide',
+  'Wein',
+  'Weizen',
+  'Welle',
+  'Welt',
+  'Wespe',
+  'Westen',
+  'Wetter',
+  'Wiese',
+  'Wind',
+  'Winter',
+  'Wirt',
+  'Woche',
+  'Wolf',
+  'Wolke',
+  'Wolle',
+  'Wort',
+  'Wunder',
+  'Wurm',
+  'Wurst',
+  'Wurzel',
+  'Wärme',
+  'Wüste',
+  'Zahl',
+  'Zahn',
+  'Zange',
+  'Zaun',
+  'Zebra',
+  'Zehe',
+  'Zeit',
+  'Zeitung',
+  'Zelt',
+  'Ziege',
+  'Ziel',
+  'Zimmer',
+  'Zirkus',
+  'Zitrone',
+  'Zucker',
+  'Zug',
+  'Zunge',
+  'Zwerg',
+  'Zwiebel',
+  'Ärger',
+  'Ärmel',
+];
+
+/**
+ * class for German Dictionary
+ * @class
+ */
+class DictionaryDE extends Dictionary {
+  /**
+   * Constructor for German Dictionary
+   * @constructor
+   */
+  constructor() {
+    super();
+    super.__setLength(THE_WORDS.length);
+    super.__setWordLength();
+  }
+
+  /**
+   * Return the language of the words
+   *
+   * @return {string} - the language code
+   */
+  language() {
+    return 'de';
+  }
+
+  /**
+   * Return the name of the source of the words
+   *
+   * @return {string} - name of the source
+   */
+  source() {
+    return 'DictionaryDE';
+  }
+
+  /**
+   * Return the word list of this dictionary
+   *
+   * @return {Array} - list of words
+   */
+  wordList() {
+    return THE_WORDS;
+  }
+
+  /**
+   * Return a word from the list
+   *
+   * @param {number} index
+   * @return {string} - the word at the index position
+   */
+  word(index) {
+    if (index === undefined || (typeof index !== 'number') ||
+      index < 0 || index >= THE_WORDS.length
+    ) {
+      throw new Error('Parameter "index" not valid');
+    }
+    return THE_WORDS[index];
+  }
+}
+
+export {DictionaryDE};
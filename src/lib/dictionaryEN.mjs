@@ -1297,6 +1297,24 @@ class DictionaryEN extends Dictionary {
   //   return this;
   // }
 
+  /**
+   * Return the language of the words
+   *
+   * @return {string} - the language code
+   */
+  language() {
+    return 'en';
+  }
+
+  /**
+   * Return the name of the source of the words
+   *
+   * @return {string} - name of the source
+   */
+  source() {
+    return 'DictionaryEN';
+  }
+
   /**
    * Return the word list of this dictionary
    *
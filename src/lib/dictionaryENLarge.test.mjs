@@ -0,0 +1,64 @@
+/**
+ * Testing class DictionaryENLarge
+ */
+import {Dictionaries} from './dictionaries.mjs';
+import {DictionaryDiceware} from './dictionarydiceware.mjs';
+import {DictionaryENLarge} from './dictionaryENLarge.mjs';
+import {Presets} from './presets.mjs';
+import {XKPasswd} from './xkpasswd.mjs';
+
+describe('Test class DictionaryENLarge', () => {
+  const dict = new DictionaryENLarge();
+
+  test('it holds the EFF large word list', () => {
+    expect(dict).toBeInstanceOf(DictionaryDiceware);
+    expect(dict.getLength()).toBe(7776);
+    expect(dict.numDice()).toBe(5);
+    expect(dict.getMinWordLength()).toBe(3);
+    expect(dict.getMaxWordLength()).toBe(9);
+    expect(dict.language()).toBe('en');
+    expect(dict.source()).toBe('DictionaryENLarge');
+  });
+
+  test('it keeps the words at their dice index', () => {
+    expect(dict.wordByDice('11111')).toBe('abacus');
+    expect(dict.wordByDice('66666')).toBe('zoom');
+    expect(dict.diceIndex(dict.wordList().indexOf('drop-down')))
+      .toBe('24255');
+  });
+
+  test('it is loaded as EN_LARGE', async () => {
+    expect(Dictionaries.names()).toContain('EN_LARGE');
+    expect(await Dictionaries.load('EN_LARGE'))
+      .toBeInstanceOf(DictionaryENLarge);
+  });
+
+  test('a preset can choose it by name', async () => {
+    const config = {
+      ...new Presets('XKCD').config(),
+      dictionary: 'EN_LARGE',
+    };
+    expect(Presets.isValidConfig(config)).toBe(true);
+
+    const me = new XKPasswd();
+    await me.loadPreset({description: 'mock preset', config: config});
+    expect(me.getDictionary()).toBeInstanceOf(DictionaryENLarge);
+  });
+
+  test('the stats show the extra entropy per word', async () => {
+    const config = new Presets('XKCD').config();
+    const me = new XKPasswd();
+    me.setPreset({description: 'mock preset', config: config});
+    const small = me.generatePassword(1).stats;
+    await me.loadPreset({
+      description: 'mock preset',
+      config: {...config, dictionary: 'EN_LARGE'},
+    });
+    const large = me.generatePassword(1).stats;
+
+    expect(large.dictionary.bitsPerWord)
+      .toBeGreaterThan(small.dictionary.bitsPerWord + 2);
+    expect(large.entropy.entropySeen.value)
+      .toBeGreaterThan(small.entropy.entropySeen.value);
+  });
+});
@@ -0,0 +1,620 @@
+/**
+ * Class containing a Spanish dictionary
+ *
+ * @module DictionaryES
+ */
+
+import {Dictionary} from './dictionary.mjs';
+
+// the word list
+const THE_WORDS = [
+  'abanico',
+  'abeja',
+  'abogado',
+  'abrazo',
+  'abril',
+  'abuelo',
+  'aceite',
+  'aceituna',
+  'acera',
+  'agosto',
+  'agua',
+  'aguacate',
+  'aguja',
+  'ajedrez',
+  'ajo',
+  'alas',
+  'alba',
+  'aldea',
+  'alegría',
+  'alfombra',
+  'algodón',
+  'almendra',
+  'almohada',
+  'altura',
+  'alumno',
+  'amigo',
+  'amor',
+  'ancla',
+  'anillo',
+  'antena',
+  'arco',
+  'ardilla',
+  'arena',
+  'armario',
+  'arroyo',
+  'arroz',
+  'artista',
+  'asiento',
+  'atún',
+  'avena',
+  'aventura',
+  'avión',
+  'azulejo',
+  'azúcar',
+  'año',
+  'bahía',
+  'baile',
+  'ballena',
+  'ballesta',
+  'banco',
+  'bandera',
+  'barco',
+  'barranco',
+  'barro',
+  'bastón',
+  'batalla',
+  'baño',
+  'baúl',
+  'bebida',
+  'bellota',
+  'besugo',
+  'biblioteca',
+  'bicicleta',
+  'bigote',
+  'billete',
+  'blusa',
+  'boca',
+  'bocadillo',
+  'bolsa',
+  'bolígrafo',
+  'bombero',
+  'bosque',
+  'bota',
+  'botella',
+  'brazo',
+  'brisa',
+  'broma',
+  'bruja',
+  'bufanda',
+  'burro',
+  'buzón',
+  'búho',
+  'caballero',
+  'caballo',
+  'cabeza',
+  'cabra',
+  'cacao',
+  'cadena',
+  'café',
+  'caja',
+  'cajón',
+  'calabaza',
+  'calcetín',
+  'caldero',
+  'calle',
+  'cama',
+  'camello',
+  'camino',
+  'camisa',
+  'camión',
+  'campana',
+  'campo',
+  'canasta',
+  'canción',
+  'cangrejo',
+  'canica',
+  'canoa',
+  'cara',
+  'caracol',
+  'carne',
+  'carta',
+  'cartero',
+  'casa',
+  'cascada',
+  'castillo',
+  'cebolla',
+  'cebra',
+  'cena',
+  'cepillo',
+  'cerdo',
+  'cereal',
+  'cereza',
+  'cesta',
+  'chaqueta',
+  'chimenea',
+  'chocolate',
+  'cielo',
+  'cigarra',
+  'cisne',
+  'ciudad',
+  'clavel',
+  'coche',
+  'cocina',
+  'cocodrilo',
+  'cohete',
+  'cojín',
+  'colegio',
+  'colina',
+  'collar',
+  'columpio',
+  'comedor',
+  'cometa',
+  'conejo',
+  'copa',
+  'corazón',
+  'corcho',
+  'cordero',
+  'corona',
+  'cortina',
+  'cosecha',
+  'cristal',
+  'cuaderno',
+  'cuadro',
+  'cubo',
+  'cuchara',
+  'cuchillo',
+  'cuello',
+  'cuento',
+  'cuerda',
+  'cueva',
+  'cámara',
+  'dado',
+  'dedo',
+  'delfín',
+  'desierto',
+  'destino',
+  'diamante',
+  'dibujo',
+  'diente',
+  'dinero',
+  'docena',
+  'domingo',
+  'dragón',
+  'ducha',
+  'dulce',
+  'durazno',
+  'eclipse',
+  'edificio',
+  'elefante',
+  'enano',
+  'enero',
+  'equipo',
+  'escalera',
+  'escalón',
+  'escoba',
+  'escritorio',
+  'escuela',
+  'espada',
+  'espalda',
+  'espejo',
+  'espiga',
+  'esponja',
+  'esquina',
+  'estación',
+  'estanque',
+  'estatua',
+  'estrella',
+  'estufa',
+  'falda',
+  'familia',
+  'faro',
+  'farola',
+  'febrero',
+  'fideo',
+  'fiesta',
+  'flauta',
+  'flor',
+  'foca',
+  'fresa',
+  'frontera',
+  'fruta',
+  'fuego',
+  'fuente',
+  'fábrica',
+  'fútbol',
+  'gafas',
+  'galaxia',
+  'galleta',
+  'gallina',
+  'gallo',
+  'ganso',
+  'garaje',
+  'garbanzo',
+  'gato',
+  'gigante',
+  'girasol',
+  'globo',
+  'golondrina',
+  'gorila',
+  'gorra',
+  'granero',
+  'granja',
+  'grillo',
+  'grúa',
+  'guante',
+  'guisante',
+  'guitarra',
+  'gusano',
+  'hada',
+  'hamaca',
+  'harina',
+  'helado',
+  'helecho',
+  'hermana',
+  'hermano',
+  'herradura',
+  'hielo',
+  'hierba',
+  'hierro',
+  'higo',
+  'hija',
+  'hijo',
+  'hilo',
+  'hocico',
+  'hoja',
+  'hombre',
+  'hongo',
+  'hora',
+  'hormiga',
+  'hormigón',
+  'horno',
+  'hotel',
+  'huerto',
+  'hueso',
+  'huevo',
+  'huracán',
+  'iglesia',
+  'imán',
+  'invierno',
+  'isla',
+  'jabón',
+  'jamón',
+  'jardín',
+  'jarra',
+  'jaula',
+  'jazmín',
+  'jinete',
+  'jirafa',
+  'joya',
+  'juego',
+  'jueves',
+  'juguete',
+  'julio',
+  'junio',
+  'labio',
+  'ladera',
+  'ladrillo',
+  'lagartija',
+  'lagarto',
+  'lago',
+  'laguna',
+  'lana',
+  'langosta',
+  'leche',
+  'lechuga',
+  'lengua',
+  'lenteja',
+  'letra',
+  'león',
+  'libro',
+  'limón',
+  'linterna',
+  'llanura',
+  'llave',
+  'lluvia',
+  'lobo',
+  'lombriz',
+  'loro',
+  'luna',
+  'lunes',
+  'luz',
+  'lámina',
+  'lámpara',
+  'lápiz',
+  'madera',
+  'madre',
+  'maestro',
+  'maleta',
+  'manguera',
+  'mano',
+  'mantel',
+  'mantequilla',
+  'manzana',
+  'mapa',
+  'mar',
+  'marinero',
+  'mariposa',
+  'martes',
+  'martillo',
+  'marzo',
+  'mayo',
+  'maíz',
+  'medalla',
+  'medusa',
+  'mejilla',
+  'mejillón',
+  'melón',
+  'mercado',
+  'mesa',
+  'miel',
+  'mirlo',
+  'miércoles',
+  'mochila',
+  'molinero',
+  'molino',
+  'moneda',
+  'mono',
+  'montaña',
+  'mosca',
+  'mostaza',
+  'muelle',
+  'mundo',
+  'museo',
+  'muñeca',
+  'mármol',
+  'médico',
+  'música',
+  'naranja',
+  'nariz',
+  'nevera',
+  'nido',
+  'niebla',
+  'nieve',
+  'niño',
+  'noche',
+  'nogal',
+  'norte',
+  'novela',
+  'noviembre',
+  'nube',
+  'nuez',
+  'octubre',
+  'océano',
+  'ojo',
+  'ola',
+  'oliva',
+  'olla',
+  'ombligo',
+  'oreja',
+  'oro',
+  'orquesta',
+  'oso',
+  'ostra',
+  'otoño',
+  'oveja',
+  'padre',
+  'pala',
+  'palabra',
+  'palacio',
+  'palmera',
+  'paloma',
+  'pan',
+  'panadero',
+  'pantalón',
+  'papel',
+  'paraguas',
+  'paraíso',
+  'parque',
+  'pasillo',
+  'pastel',
+  'patata',
+  'patio',
+  'pato',
+  'pavo',
+  'payaso',
+  'país',
+  'pañuelo',
+  'peine',
+  'pelota',
+  'película',
+  'pepino',
+  'pera',
+  'perdiz',
+  'perro',
+  'pescado',
+  'pesebre',
+  'pez',
+  'piano',
+  'pie',
+  'piedra',
+  'pierna',
+  'pimienta',
+  'pincel',
+  'pingüino',
+  'pino',
+  'pirata',
+  'piscina',
+  'pizarra',
+  'piña',
+  'planeta',
+  'plato',
+  'playa',
+  'plaza',
+  'pluma',
+  'plátano',
+  'pollo',
+  'pozo',
+  'pradera',
+  'primavera',
+  'puente',
+  'puerta',
+  'pulpo',
+  'pulsera',
+  'pájaro',
+  'queso',
+  'rama',
+  'rana',
+  'rastrillo',
+  'ratón',
+  'receta',
+  'refugio',
+  'regalo',
+  'reina',
+  'reloj',
+  'relámpago',
+  'remo',
+  'rincón',
+  'roca',
+  'rocío',
+  'rodilla',
+  'rosa',
+  'rubí',
+  'rueda',
+  'río',
+  'sabana',
+  'sal',
+  'salmón',
+  'salón',
+  'sandía',
+  'sapo',
+  'sartén',
+  'selva',
+  'semana',
+  'sendero',
+  'septiembre',
+  'serpiente',
+  'servilleta',
+  'silla',
+  'sirena',
+  'sobre',
+  'sobrino',
+  'sofá',
+  'sol',
+  'sombra',
+  'sombrero',
+  'sopa',
+  'suelo',
+  'sueño',
+  'sábado',
+  'tambor',
+  'tarta',
+  'taza',
+  'teatro',
+  'techo',
+  'tejado',
+  'telaraña',
+  'teléfono',
+  'tenedor',
+  'tesoro',
+  'tetera',
+  'tiburón',
+  'tiempo',
+  'tienda',
+  'tierra',
+  'tigre',
+  'tijeras',
+  'tiza',
+  'toalla',
+  'tobillo',
+  'tomate',
+  'tormenta',
+  'tornillo',
+  'toro',
+  'torre',
+  'tortuga',
+  'tren',
+  'trigo',
+  'trineo',
+  'trompeta',
+  'trueno',
+  'trébol',
+  'tubo',
+  'túnel',
+  'uva',
+  'vaca',
+  'vagón',
+  'valle',
+  'vaso',
+  'vela',
+  'ventana',
+  'ventilador',
+  'verano',
+  'vereda',
+  'vestido',
+  'viaje',
+  'viento',
+  'viernes',
+  'vino',
+  'violeta',
+  'violín',
+  'volcán',
+  'yate',
+  'yogur',
+  'zanahoria',
+  'zapatilla',
+  'zapato',
+  'zorro',
+  'águila',
+  'árbol',
+];
+
+/**
+ * class for Spanish Dictionary
+ * @class
+ */
+class DictionaryES extends Dictionary {
+  /**
+   * Constructor for Spanish Dictionary
+   * @constructor
+   */
+  constructor() {
+    super();
+    super.__setLength(THE_WORDS.length);
+    super.__setWordLength();
+  }
+
+  /**
+   * Return the language of the words
+   *
+   * @return {string} - the language code
+   */
+  language() {
+    return 'es';
+  }
+
+  /**
+   * Return the name of the source of the words
+   *
+   * @return {string} - name of the source
+   */
+  source() {
+    return 'DictionaryES';
+  }
+
+  /**
+   * Return the word list of this dictionary
+   *
+   * @return {Array} - list of words
+   */
+  wordList() {
+    return THE_WORDS;
+  }
+
+  /**
+   * Return a word from the list
+   *
+   * @param {number} index
+   * @return {string} - the word at the index position
+   */
+  word(index) {
+    if (index === undefined || (typeof index !== 'number') ||
+      index < 0 || index >= THE_WORDS.length
+    ) {
+      throw new Error('Parameter "index" not valid');
+    }
+    return THE_WORDS[index];
+  }
+}
+
+export {DictionaryES};
@@ -0,0 +1,550 @@
+/**
+ * Class containing a French dictionary
+ *
+ * @module DictionaryFR
+ */
+
+import {Dictionary} from './dictionary.mjs';
+
+// the word list
+const THE_WORDS = [
+  'abeille',
+  'abricot',
+  'acier',
+  'affiche',
+  'agneau',
+  'aigle',
+  'aiguille',
+  'aile',
+  'aimant',
+  'air',
+  'album',
+  'alouette',
+  'ami',
+  'amour',
+  'ananas',
+  'ancre',
+  'ange',
+  'anneau',
+  'année',
+  'arbre',
+  'arc',
+  'argent',
+  'armoire',
+  'arrosoir',
+  'artiste',
+  'assiette',
+  'atelier',
+  'aube',
+  'auberge',
+  'automne',
+  'autruche',
+  'avenir',
+  'avion',
+  'avril',
+  'bague',
+  'baguette',
+  'baie',
+  'bain',
+  'balcon',
+  'baleine',
+  'ballon',
+  'banane',
+  'banc',
+  'bateau',
+  'beurre',
+  'biche',
+  'bijou',
+  'billet',
+  'biscuit',
+  'bleuet',
+  'blé',
+  'bocal',
+  'bois',
+  'boisson',
+  'bol',
+  'bonbon',
+  'bonheur',
+  'bord',
+  'bottes',
+  'bouche',
+  'bougie',
+  'boulanger',
+  'bouquet',
+  'bourgeon',
+  'bouteille',
+  'boutique',
+  'boîte',
+  'branche',
+  'bras',
+  'brebis',
+  'brioche',
+  'brique',
+  'brosse',
+  'brouillard',
+  'bruit',
+  'bureau',
+  'bâton',
+  'cabane',
+  'cadeau',
+  'café',
+  'cahier',
+  'caillou',
+  'caisse',
+  'camion',
+  'campagne',
+  'canard',
+  'canne',
+  'carotte',
+  'carte',
+  'casque',
+  'castor',
+  'cerf',
+  'cerise',
+  'cerveau',
+  'chaise',
+  'chaleur',
+  'chambre',
+  'chameau',
+  'champ',
+  'chanson',
+  'chapeau',
+  'charbon',
+  'chariot',
+  'chat',
+  'chaton',
+  'chaussure',
+  'chemin',
+  'cheminée',
+  'chemise',
+  'chenille',
+  'cheval',
+  'cheveu',
+  'chien',
+  'chocolat',
+  'chou',
+  'château',
+  'chèvre',
+  'chêne',
+  'ciel',
+  'cigale',
+  'cinéma',
+  'cirque',
+  'citron',
+  'clairière',
+  'cloche',
+  'clown',
+  'clé',
+  'cochon',
+  'coeur',
+  'coffre',
+  'colline',
+  'colombe',
+  'comète',
+  'concert',
+  'copain',
+  'coq',
+  'coquille',
+  'corde',
+  'corps',
+  'costume',
+  'coton',
+  'cou',
+  'couleur',
+  'coussin',
+  'couteau',
+  'crabe',
+  'craie',
+  'crayon',
+  'crocodile',
+  'crêpe',
+  'cuillère',
+  'cuisine',
+  'cygne',
+  'côte',
+  'dame',
+  'dauphin',
+  'dent',
+  'dessert',
+  'dessin',
+  'diamant',
+  'dimanche',
+  'dindon',
+  'disque',
+  'doigt',
+  'domino',
+  'dos',
+  'douche',
+  'dragon',
+  'drapeau',
+  'début',
+  'décembre',
+  'eau',
+  'enfant',
+  'escalier',
+  'escargot',
+  'fable',
+  'facteur',
+  'farine',
+  'fauteuil',
+  'façade',
+  'fenêtre',
+  'fer',
+  'ferme',
+  'feu',
+  'feuille',
+  'ficelle',
+  'figue',
+  'fil',
+  'fille',
+  'flamme',
+  'fleur',
+  'fleuve',
+  'flèche',
+  'flûte',
+  'foin',
+  'fontaine',
+  'forêt',
+  'fourchette',
+  'fourmi',
+  'fraise',
+  'framboise',
+  'fromage',
+  'fruit',
+  'frère',
+  'fumée',
+  'fusée',
+  'fée',
+  'février',
+  'gant',
+  'garage',
+  'gare',
+  'gazon',
+  'gelée',
+  'genou',
+  'girafe',
+  'glace',
+  'gomme',
+  'gorge',
+  'goutte',
+  'graine',
+  'grenier',
+  'grenouille',
+  'grotte',
+  'guitare',
+  'guêpe',
+  'gâteau',
+  'haricot',
+  'heure',
+  'hibou',
+  'hirondelle',
+  'hiver',
+  'homard',
+  'horloge',
+  'huile',
+  'huître',
+  'hérisson',
+  'hôtel',
+  'image',
+  'insecte',
+  'jambe',
+  'jambon',
+  'janvier',
+  'jardin',
+  'jeudi',
+  'joue',
+  'jouet',
+  'journal',
+  'juillet',
+  'juin',
+  'jument',
+  'jupe',
+  'jus',
+  'kiwi',
+  'lac',
+  'laine',
+  'lait',
+  'lampe',
+  'langue',
+  'lapin',
+  'larme',
+  'lavande',
+  'lettre',
+  'lime',
+  'limonade',
+  'linge',
+  'lion',
+  'lit',
+  'livre',
+  'lièvre',
+  'loup',
+  'lumière',
+  'lundi',
+  'lune',
+  'lunettes',
+  'lèvre',
+  'légume',
+  'lézard',
+  'machine',
+  'maison',
+  'marché',
+  'mardi',
+  'marin',
+  'marteau',
+  'matin',
+  'maître',
+  'melon',
+  'menton',
+  'mer',
+  'mercredi',
+  'miel',
+  'miroir',
+  'montagne',
+  'montre',
+  'moto',
+  'mouche',
+  'mouchoir',
+  'mouette',
+  'moulin',
+  'mouton',
+  'mur',
+  'musique',
+  'mère',
+  'médecin',
+  'nappe',
+  'navire',
+  'neige',
+  'nez',
+  'nid',
+  'noisette',
+  'noix',
+  'nom',
+  'nuage',
+  'nuit',
+  'oeil',
+  'oeuf',
+  'oie',
+  'oignon',
+  'oiseau',
+  'olive',
+  'ombre',
+  'oncle',
+  'orage',
+  'orange',
+  'oreille',
+  'oreiller',
+  'orteil',
+  'ours',
+  'outil',
+  'page',
+  'paille',
+  'pain',
+  'palais',
+  'panier',
+  'pantalon',
+  'papier',
+  'papillon',
+  'parapluie',
+  'parc',
+  'pastèque',
+  'patte',
+  'paupière',
+  'peigne',
+  'peintre',
+  'pelle',
+  'perle',
+  'perroquet',
+  'phare',
+  'piano',
+  'pied',
+  'pierre',
+  'pinceau',
+  'pirate',
+  'piscine',
+  'placard',
+  'plage',
+  'planche',
+  'plante',
+  'plat',
+  'plume',
+  'poche',
+  'poire',
+  'poisson',
+  'poivre',
+  'pomme',
+  'pont',
+  'porte',
+  'poule',
+  'poupée',
+  'poêle',
+  'prairie',
+  'prince',
+  'prune',
+  'puits',
+  'pull',
+  'pêche',
+  'quai',
+  'queue',
+  'radis',
+  'raisin',
+  'rame',
+  'rat',
+  'renard',
+  'requin',
+  'rideau',
+  'rivière',
+  'riz',
+  'robe',
+  'rocher',
+  'roi',
+  'rose',
+  'roue',
+  'ruban',
+  'rue',
+  'ruisseau',
+  'sable',
+  'sac',
+  'salade',
+  'samedi',
+  'sapin',
+  'saucisse',
+  'saumon',
+  'savon',
+  'scie',
+  'seau',
+  'sel',
+  'semaine',
+  'serpent',
+  'serviette',
+  'singe',
+  'soeur',
+  'soir',
+  'soldat',
+  'soleil',
+  'soupe',
+  'souris',
+  'stylo',
+  'sucre',
+  'tableau',
+  'tambour',
+  'tante',
+  'tapis',
+  'tasse',
+  'taupe',
+  'tempête',
+  'terre',
+  'thé',
+  'tigre',
+  'tiroir',
+  'toit',
+  'tomate',
+  'tonnerre',
+  'tortue',
+  'tour',
+  'train',
+  'trésor',
+  'tulipe',
+  'tuyau',
+  'téléphone',
+  'tête',
+  'usine',
+  'vache',
+  'vague',
+  'valise',
+  'vase',
+  'veau',
+  'vendredi',
+  'vent',
+  'verre',
+  'veste',
+  'village',
+  'ville',
+  'violon',
+  'voile',
+  'voiture',
+  'volcan',
+  'vélo',
+  'wagon',
+  'yaourt',
+  'zèbre',
+  'âne',
+  'écharpe',
+  'échelle',
+  'école',
+  'écorce',
+  'écureuil',
+  'église',
+  'élève',
+  'éléphant',
+  'épaule',
+  'épice',
+  'épine',
+  'éponge',
+  'épée',
+  'étable',
+  'étang',
+  'étoile',
+  'été',
+  'éventail',
+  'île',
+];
+
+/**
+ * class for French Dictionary
+ * @class
+ */
+class DictionaryFR extends Dictionary {
+  /**
+   * Constructor for French Dictionary
+   * @constructor
+   */
+  constructor() {
+    super();
+    super.__setLength(THE_WORDS.length);
+    super.__setWordLength();
+  }
+
+  /**
+   * Return the language of the words
+   *
+   * @return {string} - the language code
+   */
+  language() {
+    return 'fr';
+  }
+
+  /**
+   * Return the name of the source of the words
+   *
+   * @return {string} - name of the source
+   */
+  source() {
+    return 'DictionaryFR';
+  }
+
+  /**
+   * Return the word list of this dictionary
+   *
+   * @return {Array} - list of words
+   */
+  wordList() {
+    return THE_WORDS;
+  }
+
+  /**
+   * Return a word from the list
+   *
+   * @param {number} index
+   * @return {string} - the word at the index position
+   */
+  word(index) {
+    if (index === undefined || (typeof index !== 'number') ||
+      index < 0 || index >= THE_WORDS.length
+    ) {
+      throw new Error('Parameter "index" not valid');
+    }
+    return THE_WORDS[index];
+  }
+}
+
+export {DictionaryFR};
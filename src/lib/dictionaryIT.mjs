@@ -0,0 +1,580 @@
+/**
+ * Class containing a Italian dictionary
+ *
+ * @module DictionaryIT
+ */
+
+import {Dictionary} from './dictionary.mjs';
+
+// the word list
+const THE_WORDS = [
+  'abete',
+  'abito',
+  'acciuga',
+  'aceto',
+  'acqua',
+  'aereo',
+  'aglio',
+  'agnello',
+  'ago',
+  'agosto',
+  'airone',
+  'aiuola',
+  'alba',
+  'albero',
+  'albicocca',
+  'alce',
+  'alloro',
+  'alveare',
+  'ambulanza',
+  'ametista',
+  'amico',
+  'amore',
+  'ananas',
+  'anatra',
+  'ancora',
+  'anello',
+  'angelo',
+  'anguria',
+  'anno',
+  'antenna',
+  'ape',
+  'aprile',
+  'aquila',
+  'aquilone',
+  'arachide',
+  'arancia',
+  'aratro',
+  'arco',
+  'arcobaleno',
+  'argento',
+  'armadio',
+  'armatura',
+  'arpa',
+  'arte',
+  'asino',
+  'astuccio',
+  'autunno',
+  'baffi',
+  'bagno',
+  'balena',
+  'ballo',
+  'bambola',
+  'banana',
+  'banco',
+  'bandiera',
+  'barba',
+  'barca',
+  'basilico',
+  'bastone',
+  'battello',
+  'baule',
+  'becco',
+  'bicchiere',
+  'bicicletta',
+  'biglietto',
+  'binario',
+  'biscotto',
+  'bistecca',
+  'bocca',
+  'borraccia',
+  'borsa',
+  'bosco',
+  'bottiglia',
+  'bottone',
+  'braccio',
+  'brina',
+  'brodo',
+  'bruco',
+  'bufera',
+  'burro',
+  'burrone',
+  'bussola',
+  'cachi',
+  'caffè',
+  'calamaro',
+  'calendario',
+  'calice',
+  'calza',
+  'camera',
+  'camicia',
+  'camino',
+  'cammello',
+  'campana',
+  'campo',
+  'candela',
+  'cane',
+  'canguro',
+  'cannella',
+  'cantina',
+  'canzone',
+  'capanna',
+  'capello',
+  'cappello',
+  'capra',
+  'carciofo',
+  'carota',
+  'carrello',
+  'carrozza',
+  'carta',
+  'casa',
+  'castagna',
+  'castello',
+  'cavallo',
+  'cavolo',
+  'cena',
+  'cervo',
+  'cespuglio',
+  'cetriolo',
+  'chiave',
+  'chiesa',
+  'chiodo',
+  'chitarra',
+  'cicogna',
+  'cielo',
+  'cigno',
+  'ciliegia',
+  'cioccolato',
+  'cipolla',
+  'cipresso',
+  'città',
+  'coccinella',
+  'coccodrillo',
+  'colomba',
+  'colonna',
+  'colore',
+  'coltello',
+  'cometa',
+  'conchiglia',
+  'coniglio',
+  'coperta',
+  'corda',
+  'cornice',
+  'corona',
+  'corpo',
+  'cortile',
+  'cravatta',
+  'cucchiaio',
+  'cucina',
+  'cuoco',
+  'cuore',
+  'cupola',
+  'cuscino',
+  'dado',
+  'data',
+  'dattero',
+  'delfino',
+  'dente',
+  'deserto',
+  'diamante',
+  'dicembre',
+  'dipinto',
+  'dito',
+  'divano',
+  'dolce',
+  'domanda',
+  'domenica',
+  'drago',
+  'eclissi',
+  'edera',
+  'elefante',
+  'elmo',
+  'erba',
+  'estate',
+  'fabbrica',
+  'faggio',
+  'fagiolo',
+  'faina',
+  'falco',
+  'famiglia',
+  'farfalla',
+  'farina',
+  'faro',
+  'fazzoletto',
+  'febbraio',
+  'fenicottero',
+  'ferro',
+  'fico',
+  'fieno',
+  'finestra',
+  'fiocco',
+  'fionda',
+  'fiore',
+  'fischietto',
+  'fiume',
+  'flauto',
+  'focaccia',
+  'foglia',
+  'fontana',
+  'forbici',
+  'forchetta',
+  'foresta',
+  'formaggio',
+  'formica',
+  'fornaio',
+  'fragola',
+  'francobollo',
+  'fratello',
+  'fulmine',
+  'fumo',
+  'fungo',
+  'fuoco',
+  'gabbia',
+  'gallina',
+  'gallo',
+  'gamba',
+  'gambero',
+  'gattino',
+  'gatto',
+  'gazza',
+  'gelato',
+  'gelsomino',
+  'gennaio',
+  'ghiaccio',
+  'ghianda',
+  'giacca',
+  'giardino',
+  'giglio',
+  'ginestra',
+  'ginocchio',
+  'giocattolo',
+  'giorno',
+  'giovedì',
+  'giraffa',
+  'girasole',
+  'giugno',
+  'gnomo',
+  'gola',
+  'gomma',
+  'gonna',
+  'grano',
+  'grillo',
+  'grotta',
+  'gufo',
+  'incudine',
+  'insalata',
+  'isola',
+  'lago',
+  'lampada',
+  'lampone',
+  'lana',
+  'lanterna',
+  'lattuga',
+  'lavagna',
+  'lavanda',
+  'legno',
+  'lenticchia',
+  'leone',
+  'lepre',
+  'lettera',
+  'letto',
+  'libellula',
+  'libro',
+  'limone',
+  'lingua',
+  'lucciola',
+  'lucertola',
+  'luglio',
+  'luna',
+  'lunedì',
+  'lupo',
+  'macchina',
+  'madre',
+  'maggio',
+  'maglia',
+  'maiale',
+  'mandorla',
+  'mano',
+  'mantello',
+  'mappa',
+  'mare',
+  'marito',
+  'marmellata',
+  'marmo',
+  'martedì',
+  'martello',
+  'marzo',
+  'matita',
+  'mattina',
+  'medusa',
+  'mela',
+  'melone',
+  'mercato',
+  'mercoledì',
+  'merlo',
+  'miele',
+  'mirtillo',
+  'mondo',
+  'moneta',
+  'mongolfiera',
+  'montagna',
+  'mosca',
+  'mulino',
+  'mulo',
+  'muro',
+  'musica',
+  'naso',
+  'nave',
+  'nebbia',
+  'negozio',
+  'neve',
+  'nido',
+  'nocciola',
+  'noce',
+  'nonna',
+  'nonno',
+  'notte',
+  'novembre',
+  'nuvola',
+  'oca',
+  'occhio',
+  'oceano',
+  'olio',
+  'oliva',
+  'ombrello',
+  'onda',
+  'orchestra',
+  'orecchio',
+  'oro',
+  'orologio',
+  'orso',
+  'ortica',
+  'orto',
+  'ottobre',
+  'padre',
+  'paese',
+  'pagina',
+  'paglia',
+  'palazzo',
+  'palla',
+  'palma',
+  'palude',
+  'panca',
+  'pane',
+  'panino',
+  'pantaloni',
+  'pantera',
+  'papavero',
+  'pappagallo',
+  'pasta',
+  'patata',
+  'pavone',
+  'pecora',
+  'penna',
+  'pennello',
+  'pepe',
+  'peperone',
+  'pera',
+  'pesca',
+  'pesce',
+  'pettine',
+  'pettirosso',
+  'piano',
+  'pianta',
+  'piatto',
+  'piazza',
+  'piccione',
+  'piede',
+  'pietra',
+  'pigiama',
+  'pinguino',
+  'pino',
+  'pinolo',
+  'pioggia',
+  'pioppo',
+  'pirata',
+  'piscina',
+  'pittore',
+  'pizza',
+  'polenta',
+  'polpo',
+  'poltrona',
+  'pomodoro',
+  'pompelmo',
+  'ponte',
+  'porcospino',
+  'porta',
+  'pozzo',
+  'prato',
+  'prezzemolo',
+  'principe',
+  'prugna',
+  'pulcino',
+  'pupazzo',
+  'quaderno',
+  'quadro',
+  'quercia',
+  'radice',
+  'radio',
+  'ragno',
+  'rame',
+  'ramo',
+  'rana',
+  'rastrello',
+  'regalo',
+  'regina',
+  'ricamo',
+  'riccio',
+  'riso',
+  'roccia',
+  'rondine',
+  'rosa',
+  'rubino',
+  'ruota',
+  'ruscello',
+  'sabato',
+  'sale',
+  'salice',
+  'salmone',
+  'salsa',
+  'sapone',
+  'sasso',
+  'scala',
+  'scarpa',
+  'scarpone',
+  'scatola',
+  'scialle',
+  'scimmia',
+  'scoglio',
+  'scoiattolo',
+  'scopa',
+  'scuola',
+  'secchio',
+  'sedano',
+  'sedia',
+  'sella',
+  'sentiero',
+  'serpente',
+  'settembre',
+  'sirena',
+  'slitta',
+  'sole',
+  'sorella',
+  'sorriso',
+  'spada',
+  'specchio',
+  'spiaggia',
+  'spiga',
+  'spugna',
+  'stagione',
+  'stalla',
+  'statua',
+  'stella',
+  'stivale',
+  'strada',
+  'sugo',
+  'tamburo',
+  'tartaruga',
+  'tavolo',
+  'tazza',
+  'teatro',
+  'telefono',
+  'tempo',
+  'tenda',
+  'terra',
+  'tesoro',
+  'testa',
+  'tetto',
+  'tigre',
+  'timone',
+  'tonno',
+  'topo',
+  'torre',
+  'torta',
+  'tovaglia',
+  'tramonto',
+  'treno',
+  'trifoglio',
+  'tromba',
+  'trombone',
+  'trottola',
+  'tulipano',
+  'uccello',
+  'ulivo',
+  'unicorno',
+  'uovo',
+  'uva',
+  'valigia',
+  'vasca',
+  'vaso',
+  'vela',
+  'venerdì',
+  'ventaglio',
+  'vento',
+  'verdura',
+  'vestito',
+  'vetro',
+  'viaggio',
+  'vigna',
+  'villaggio',
+  'vino',
+  'viola',
+  'violetta',
+  'violino',
+  'volpe',
+  'vulcano',
+  'zaino',
+  'zebra',
+  'zucca',
+  'zucchero',
+];
+
+/**
+ * class for Italian Dictionary
+ * @class
+ */
+class DictionaryIT extends Dictionary {
+  /**
+   * Constructor for Italian Dictionary
+   * @constructor
+   */
+  constructor() {
+    super();
+    super.__setLength(THE_WORDS.length);
+    super.__setWordLength();
+  }
+
+  /**
+   * Return the language of the words
+   *
+   * @return {string} - the language code
+   */
+  language() {
+    return 'it';
+  }
+
+  /**
+   * Return the name of the source of the words
+   *
+   * @return {string} - name of the source
+   */
+  source() {
+    return 'DictionaryIT';
+  }
+
+  /**
+   * Return the word list of this dictionary
+   *
+   * @return {Array} - list of words
+   */
+  wordList() {
+    return THE_WORDS;
+  }
+
+  /**
+   * Return a word from the list
+   *
+   * @param {number} index
+   * @return {string} - the word at the index position
+   */
+  word(index) {
+    if (index === undefined || (typeof index !== 'number') ||
+      index < 0 || index >= THE_WORDS.length
+    ) {
+      throw new Error('Parameter "index" not valid');
+    }
+    return THE_WORDS[index];
+  }
+}
+
+export {DictionaryIT};
@@ -0,0 +1,646 @@
+/**
+ * Class containing a Dutch dictionary
+ *
+ * @module DictionaryNL
+ */
+
+import {Dictionary} from './dictionary.mjs';
+
+// the word list
+const THE_WORDS = [
+  'aap',
+  'aardbei',
+  'aarde',
+  'adem',
+  'adres',
+  'akker',
+  'akkoord',
+  'ananas',
+  'anker',
+  'antwoord',
+  'appel',
+  'april',
+  'arbeid',
+  'arend',
+  'arm',
+  'artiest',
+  'augustus',
+  'auto',
+  'avond',
+  'avontuur',
+  'baard',
+  'bad',
+  'badkamer',
+  'bakje',
+  'bakker',
+  'bal',
+  'balkon',
+  'bamboe',
+  'banaan',
+  'bank',
+  'banket',
+  'bed',
+  'beek',
+  'been',
+  'beer',
+  'beker',
+  'bel',
+  'berg',
+  'bergen',
+  'bericht',
+  'bes',
+  'beton',
+  'beurs',
+  'bezem',
+  'bibliotheek',
+  'bieslook',
+  'bij',
+  'bijbel',
+  'bijl',
+  'biljart',
+  'blaadje',
+  'blad',
+  'bliksem',
+  'bloed',
+  'bloem',
+  'bloes',
+  'boek',
+  'boekenkast',
+  'boekje',
+  'boer',
+  'boerderij',
+  'bolletje',
+  'bonbon',
+  'boom',
+  'boon',
+  'boot',
+  'bootje',
+  'bord',
+  'borstel',
+  'bos',
+  'boter',
+  'boterham',
+  'bouwer',
+  'brandweer',
+  'brief',
+  'bril',
+  'broek',
+  'broer',
+  'brood',
+  'brug',
+  'bruiloft',
+  'bui',
+  'buik',
+  'buitenlucht',
+  'bus',
+  'buur',
+  'cadeau',
+  'circus',
+  'citroen',
+  'dag',
+  'dak',
+  'dal',
+  'dame',
+  'dansen',
+  'das',
+  'december',
+  'deeg',
+  'deken',
+  'dennenboom',
+  'deur',
+  'deurbel',
+  'dief',
+  'dier',
+  'dijk',
+  'ding',
+  'dinsdag',
+  'dochter',
+  'dokter',
+  'dolfijn',
+  'donder',
+  'donderdag',
+  'dorp',
+  'douche',
+  'draad',
+  'draak',
+  'dromen',
+  'drop',
+  'druif',
+  'duif',
+  'duikbril',
+  'duim',
+  'duin',
+  'duister',
+  'eekhoorn',
+  'eend',
+  'egel',
+  'eigenaar',
+  'eik',
+  'eiland',
+  'ekster',
+  'eland',
+  'emmer',
+  'emmertje',
+  'engel',
+  'enkel',
+  'ezel',
+  'fabriek',
+  'familie',
+  'fazant',
+  'februari',
+  'feest',
+  'feestdag',
+  'fiets',
+  'figuur',
+  'fles',
+  'fluit',
+  'fontein',
+  'forel',
+  'foto',
+  'framboos',
+  'fruit',
+  'gans',
+  'garage',
+  'gat',
+  'gebak',
+  'gedicht',
+  'geheim',
+  'geit',
+  'geld',
+  'gesprek',
+  'gevel',
+  'gieter',
+  'gitaar',
+  'glas',
+  'gordijn',
+  'goud',
+  'graan',
+  'grap',
+  'gras',
+  'griep',
+  'groente',
+  'grot',
+  'haan',
+  'haar',
+  'haas',
+  'hagel',
+  'hals',
+  'hamer',
+  'hand',
+  'handdoek',
+  'handschoen',
+  'hangmat',
+  'harp',
+  'haven',
+  'havik',
+  'heide',
+  'hek',
+  'held',
+  'helm',
+  'hemd',
+  'hemel',
+  'herberg',
+  'herfst',
+  'hert',
+  'heuvel',
+  'hobbel',
+  'hoed',
+  'hoek',
+  'hommel',
+  'hond',
+  'honger',
+  'honing',
+  'hoofd',
+  'hooi',
+  'hooiberg',
+  'hoorn',
+  'horloge',
+  'hout',
+  'houtvuur',
+  'huis',
+  'huisdier',
+  'idee',
+  'ijs',
+  'inkt',
+  'inktvis',
+  'jaar',
+  'jager',
+  'januari',
+  'jas',
+  'jeugd',
+  'jongen',
+  'juli',
+  'juni',
+  'jurk',
+  'juweel',
+  'kaars',
+  'kaart',
+  'kaas',
+  'kabel',
+  'kabouter',
+  'kachel',
+  'kalf',
+  'kalkoen',
+  'kam',
+  'kameel',
+  'kameleon',
+  'kamer',
+  'kampvuur',
+  'kanaal',
+  'kapitein',
+  'kapper',
+  'karper',
+  'karton',
+  'kassa',
+  'kast',
+  'kasteel',
+  'kat',
+  'kauwgom',
+  'kerk',
+  'kers',
+  'kerstboom',
+  'ketel',
+  'keuken',
+  'kever',
+  'kiezel',
+  'kikker',
+  'kikvors',
+  'kind',
+  'kip',
+  'kist',
+  'klaver',
+  'kleur',
+  'klok',
+  'knie',
+  'knoop',
+  'koe',
+  'koek',
+  'koekoek',
+  'koffer',
+  'koffie',
+  'kolibrie',
+  'komkommer',
+  'kompas',
+  'konijn',
+  'konijntje',
+  'koning',
+  'kop',
+  'koraal',
+  'korrel',
+  'kous',
+  'kraai',
+  'kraan',
+  'krant',
+  'kreeft',
+  'krekel',
+  'kroket',
+  'kroon',
+  'kruimel',
+  'kruis',
+  'kussen',
+  'kust',
+  'kwast',
+  'laars',
+  'ladder',
+  'laken',
+  'lamp',
+  'lamsvlees',
+  'land',
+  'lantaarn',
+  'lantaarnpaal',
+  'leeuw',
+  'lente',
+  'lepel',
+  'leraar',
+  'les',
+  'libel',
+  'lied',
+  'liefde',
+  'lijn',
+  'lijster',
+  'lindeboom',
+  'lolly',
+  'lucht',
+  'maaltijd',
+  'maan',
+  'maand',
+  'maandag',
+  'maart',
+  'mandarijn',
+  'mantel',
+  'markt',
+  'marmer',
+  'mast',
+  'mat',
+  'matras',
+  'meer',
+  'meeuw',
+  'mei',
+  'meisje',
+  'melk',
+  'meloen',
+  'merel',
+  'mes',
+  'mier',
+  'moeder',
+  'molen',
+  'mond',
+  'mossel',
+  'mosterd',
+  'motor',
+  'mouw',
+  'mug',
+  'muis',
+  'munt',
+  'muur',
+  'muziek',
+  'naald',
+  'nacht',
+  'nachtegaal',
+  'nagel',
+  'narcis',
+  'neef',
+  'nest',
+  'net',
+  'neus',
+  'nicht',
+  'noot',
+  'november',
+  'nummer',
+  'oceaan',
+  'oester',
+  'oktober',
+  'olie',
+  'olifant',
+  'oma',
+  'omslag',
+  'ontbijt',
+  'oog',
+  'ooievaar',
+  'oom',
+  'oor',
+  'oorlog',
+  'opa',
+  'orgel',
+  'oven',
+  'paard',
+  'paddenstoel',
+  'paleis',
+  'pan',
+  'panter',
+  'papegaai',
+  'papier',
+  'paraplu',
+  'park',
+  'pauw',
+  'pauze',
+  'peer',
+  'pen',
+  'peper',
+  'piano',
+  'pijl',
+  'pijp',
+  'pinda',
+  'pinguin',
+  'piraat',
+  'plafond',
+  'plank',
+  'plant',
+  'plas',
+  'plein',
+  'pleister',
+  'pluim',
+  'poes',
+  'pomp',
+  'pompoen',
+  'pond',
+  'poort',
+  'pop',
+  'post',
+  'postbode',
+  'pot',
+  'potlood',
+  'prins',
+  'prinses',
+  'pruim',
+  'pudding',
+  'puzzel',
+  'raam',
+  'raket',
+  'rat',
+  'regen',
+  'regenboog',
+  'reis',
+  'reus',
+  'riet',
+  'rijst',
+  'ring',
+  'rivier',
+  'robijn',
+  'rok',
+  'roman',
+  'roos',
+  'rots',
+  'rozijn',
+  'rug',
+  'salade',
+  'saus',
+  'schaap',
+  'schaar',
+  'schaats',
+  'schaduw',
+  'schat',
+  'schelp',
+  'schilder',
+  'schip',
+  'schoen',
+  'school',
+  'schoorsteen',
+  'schort',
+  'schotel',
+  'schuur',
+  'september',
+  'slak',
+  'slang',
+  'sleutel',
+  'slinger',
+  'sloot',
+  'sluis',
+  'sneeuw',
+  'snoep',
+  'soep',
+  'spiegel',
+  'spin',
+  'spinazie',
+  'spons',
+  'sport',
+  'sprookje',
+  'stad',
+  'stal',
+  'steen',
+  'ster',
+  'stier',
+  'stilte',
+  'stoel',
+  'stok',
+  'storm',
+  'straal',
+  'straat',
+  'strand',
+  'stroom',
+  'struik',
+  'suiker',
+  'taart',
+  'tafel',
+  'tak',
+  'tand',
+  'tante',
+  'tas',
+  'teen',
+  'tegel',
+  'tekening',
+  'telefoon',
+  'tent',
+  'tijd',
+  'tijger',
+  'toekomst',
+  'tomaat',
+  'tomatensoep',
+  'toren',
+  'trap',
+  'trein',
+  'trommel',
+  'trompet',
+  'tuin',
+  'tuinman',
+  'tulp',
+  'tunnel',
+  'twijg',
+  'uil',
+  'uitzicht',
+  'vaas',
+  'vader',
+  'vakantie',
+  'valk',
+  'vallei',
+  'varken',
+  'veer',
+  'veld',
+  'venster',
+  'verhaal',
+  'vijver',
+  'vinger',
+  'vis',
+  'vlag',
+  'vlieg',
+  'vlinder',
+  'vloer',
+  'vlot',
+  'vogel',
+  'vork',
+  'vos',
+  'vriend',
+  'vrijdag',
+  'vrucht',
+  'vuur',
+  'vuurtoren',
+  'wagen',
+  'wand',
+  'wandeling',
+  'wasmachine',
+  'water',
+  'weg',
+  'wei',
+  'wekker',
+  'wereld',
+  'wesp',
+  'wiel',
+  'wind',
+  'winkel',
+  'winter',
+  'woensdag',
+  'wolf',
+  'wolk',
+  'woord',
+  'worst',
+  'wortel',
+  'zaag',
+  'zaal',
+  'zadel',
+  'zand',
+  'zaterdag',
+  'zebra',
+  'zee',
+  'zeehond',
+  'zeep',
+  'zeil',
+  'zilver',
+  'zomer',
+  'zon',
+  'zondag',
+  'zoon',
+  'zout',
+  'zwaan',
+  'zwaluw',
+  'zwembad',
+];
+
+/**
+ * class for Dutch Dictionary
+ * @class
+ */
+class DictionaryNL extends Dictionary {
+  /**
+   * Constructor for Dutch Dictionary
+   * @constructor
+   */
+  constructor() {
+    super();
+    super.__setLength(THE_WORDS.length);
+    super.__setWordLength();
+  }
+
+  /**
+   * Return the language of the words
+   *
+   * @return {string} - the language code
+   */
+  language() {
+    return 'nl';
+  }
+
+  /**
+   * Return the name of the source of the words
+   *
+   * @return {string} - name of the source
+   */
+  source() {
+    return 'DictionaryNL';
+  }
+
+  /**
+   * Return the word list of this dictionary
+   *
+   * @return {Array} - list of words
+   */
+  wordList() {
+    return THE_WORDS;
+  }
+
+  /**
+   * Return a word from the list
+   *
+   * @param {number} index
+   * @return {string} - the word at the index position
+   */
+  word(index) {
+    if (index === undefined || (typeof index !== 'number') ||
+      index < 0 || index >= THE_WORDS.length
+    ) {
+      throw new Error('Parameter "index" not valid');
+    }
+    return THE_WORDS[index];
+  }
+}
+
+export {DictionaryNL};
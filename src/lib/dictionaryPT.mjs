@@ -0,0 +1,534 @@
+/**
+ * Class containing a Portuguese dictionary
+ *
+ * @module DictionaryPT
+ */
+
+import {Dictionary} from './dictionary.mjs';
+
+// the word list
+const THE_WORDS = [
+  'abacaxi',
+  'abelha',
+  'abraço',
+  'abril',
+  'abóbora',
+  'acampamento',
+  'agosto',
+  'agrião',
+  'agulha',
+  'aldeia',
+  'alegria',
+  'alface',
+  'algodão',
+  'alho',
+  'almofada',
+  'almoço',
+  'aluno',
+  'ameixa',
+  'amigo',
+  'amor',
+  'amêndoa',
+  'andorinha',
+  'anel',
+  'animal',
+  'anjo',
+  'ano',
+  'anão',
+  'aranha',
+  'arco',
+  'areia',
+  'armadura',
+  'armário',
+  'arroz',
+  'asa',
+  'asno',
+  'atum',
+  'aventura',
+  'avião',
+  'avó',
+  'avô',
+  'azeite',
+  'azeitona',
+  'azulejo',
+  'açúcar',
+  'bacalhau',
+  'bailarina',
+  'balde',
+  'baleia',
+  'banana',
+  'banco',
+  'bandeira',
+  'banho',
+  'baralho',
+  'barata',
+  'barco',
+  'barriga',
+  'batata',
+  'baía',
+  'beijo',
+  'bengala',
+  'besouro',
+  'bicicleta',
+  'bigode',
+  'bigorna',
+  'biscoito',
+  'boca',
+  'bola',
+  'bolo',
+  'bolsa',
+  'bombeiro',
+  'borboleta',
+  'bosque',
+  'bota',
+  'botão',
+  'braço',
+  'brinquedo',
+  'bruxa',
+  'buraco',
+  'burro',
+  'cabelo',
+  'cabeça',
+  'cabra',
+  'cachecol',
+  'cachorro',
+  'cadeira',
+  'caderno',
+  'café',
+  'caixa',
+  'caixote',
+  'calçada',
+  'cama',
+  'camarão',
+  'camelo',
+  'caminho',
+  'camisa',
+  'campo',
+  'caneca',
+  'caneta',
+  'cantor',
+  'capacete',
+  'caracol',
+  'carneiro',
+  'carta',
+  'carteiro',
+  'casa',
+  'cascata',
+  'castanha',
+  'castelo',
+  'cavaleiro',
+  'cavalo',
+  'cebola',
+  'cegonha',
+  'cenoura',
+  'cereja',
+  'cesto',
+  'chaleira',
+  'chaminé',
+  'chapéu',
+  'chave',
+  'chinelo',
+  'chocolate',
+  'chupeta',
+  'chuva',
+  'chá',
+  'cidade',
+  'cidreira',
+  'cinema',
+  'cisne',
+  'cobra',
+  'coelho',
+  'cogumelo',
+  'colar',
+  'colher',
+  'colina',
+  'cometa',
+  'concha',
+  'copo',
+  'coração',
+  'corda',
+  'coroa',
+  'corpo',
+  'corvo',
+  'cozinha',
+  'cristal',
+  'cuca',
+  'cão',
+  'céu',
+  'dado',
+  'dedo',
+  'degrau',
+  'dente',
+  'desenho',
+  'deserto',
+  'diamante',
+  'dinheiro',
+  'domingo',
+  'dragão',
+  'duende',
+  'elefante',
+  'envelope',
+  'enxada',
+  'escada',
+  'escola',
+  'escorpião',
+  'escova',
+  'espada',
+  'espelho',
+  'esponja',
+  'esquilo',
+  'estrada',
+  'estrela',
+  'estátua',
+  'faca',
+  'fada',
+  'família',
+  'farinha',
+  'farol',
+  'fazenda',
+  'feijão',
+  'ferro',
+  'fevereiro',
+  'figo',
+  'fita',
+  'flauta',
+  'flor',
+  'floresta',
+  'fogo',
+  'foguete',
+  'fogão',
+  'folha',
+  'fonte',
+  'formiga',
+  'forno',
+  'framboesa',
+  'frango',
+  'fruta',
+  'fumo',
+  'futebol',
+  'gafanhoto',
+  'gaiola',
+  'gaivota',
+  'galinha',
+  'galo',
+  'galáxia',
+  'garfo',
+  'garrafa',
+  'gato',
+  'gaveta',
+  'gavião',
+  'gelado',
+  'gelatina',
+  'gelo',
+  'girafa',
+  'girassol',
+  'golfinho',
+  'gorro',
+  'gravata',
+  'grilo',
+  'guarda',
+  'guitarra',
+  'hipopótamo',
+  'hora',
+  'hospital',
+  'hotel',
+  'iate',
+  'igreja',
+  'ilha',
+  'inverno',
+  'irmã',
+  'irmão',
+  'jacaré',
+  'janeiro',
+  'janela',
+  'janta',
+  'jardim',
+  'jarro',
+  'javali',
+  'joaninha',
+  'joelho',
+  'jornal',
+  'julho',
+  'junho',
+  'ladrão',
+  'lagarto',
+  'lago',
+  'lagoa',
+  'lagosta',
+  'lanterna',
+  'laranja',
+  'leite',
+  'lenha',
+  'lenço',
+  'lençol',
+  'lesma',
+  'letra',
+  'leão',
+  'limão',
+  'livro',
+  'lobo',
+  'lontra',
+  'lua',
+  'luva',
+  'luz',
+  'lápis',
+  'lâmpada',
+  'língua',
+  'lírio',
+  'macaco',
+  'machado',
+  'madeira',
+  'maio',
+  'manga',
+  'manhã',
+  'manteiga',
+  'mapa',
+  'mar',
+  'marfim',
+  'marinheiro',
+  'martelo',
+  'março',
+  'maçã',
+  'medalha',
+  'meia',
+  'mel',
+  'melancia',
+  'melão',
+  'menino',
+  'mesa',
+  'mexilhão',
+  'milho',
+  'miolo',
+  'mochila',
+  'moeda',
+  'moinho',
+  'montanha',
+  'morango',
+  'morcego',
+  'mosca',
+  'mostarda',
+  'mãe',
+  'mão',
+  'música',
+  'nabo',
+  'nariz',
+  'navio',
+  'neve',
+  'ninho',
+  'noite',
+  'nome',
+  'norte',
+  'novelo',
+  'novembro',
+  'nuvem',
+  'oceano',
+  'olho',
+  'oliveira',
+  'ombro',
+  'onda',
+  'orelha',
+  'orquestra',
+  'ostra',
+  'ouro',
+  'outono',
+  'outubro',
+  'ovelha',
+  'ovo',
+  'padaria',
+  'pai',
+  'palavra',
+  'paleta',
+  'palhaço',
+  'palácio',
+  'panela',
+  'papagaio',
+  'papel',
+  'parede',
+  'pato',
+  'pavão',
+  'pedra',
+  'peixe',
+  'pena',
+  'peneira',
+  'pente',
+  'pepino',
+  'pera',
+  'perna',
+  'piano',
+  'pimenta',
+  'pimentão',
+  'pincel',
+  'pinguim',
+  'pinheiro',
+  'pintor',
+  'pipoca',
+  'pirata',
+  'planeta',
+  'polvo',
+  'pomba',
+  'pombo',
+  'ponte',
+  'porco',
+  'porta',
+  'praia',
+  'prato',
+  'praça',
+  'presente',
+  'pássaro',
+  'pão',
+  'pêssego',
+  'quarto',
+  'queijo',
+  'quintal',
+  'rabanete',
+  'rainha',
+  'raio',
+  'raposa',
+  'rato',
+  'rebanho',
+  'rede',
+  'regador',
+  'rei',
+  'relógio',
+  'remo',
+  'rio',
+  'rocha',
+  'roda',
+  'romã',
+  'rosa',
+  'roupa',
+  'rubi',
+  'sal',
+  'salsicha',
+  'sapato',
+  'sapo',
+  'sardinha',
+  'segunda',
+  'selva',
+  'semana',
+  'sereia',
+  'serra',
+  'serrote',
+  'setembro',
+  'sino',
+  'sobrinho',
+  'sofá',
+  'sol',
+  'sombra',
+  'sopa',
+  'sorriso',
+  'sorvete',
+  'sábado',
+  'tambor',
+  'tapete',
+  'tartaruga',
+  'teatro',
+  'telefone',
+  'telhado',
+  'tempo',
+  'tenda',
+  'terra',
+  'tesoura',
+  'tesouro',
+  'tigre',
+  'tijolo',
+  'tinta',
+  'toalha',
+  'tomate',
+  'tomilho',
+  'torre',
+  'toupeira',
+  'trator',
+  'trem',
+  'trenó',
+  'trigo',
+  'trovão',
+  'tubarão',
+  'tulipa',
+  'unicórnio',
+  'urso',
+  'uva',
+  'vaca',
+  'vagão',
+  'vale',
+  'varanda',
+  'vassoura',
+  'veado',
+  'vela',
+  'vento',
+  'verão',
+  'vespa',
+  'vestido',
+  'vidro',
+  'vila',
+  'vinho',
+  'viola',
+  'violino',
+  'vulcão',
+  'xadrez',
+  'zebra',
+  'água',
+  'águia',
+  'árvore',
+  'âncora',
+];
+
+/**
+ * class for Portuguese Dictionary
+ * @class
+ */
+class DictionaryPT extends Dictionary {
+  /**
+   * Constructor for Portuguese Dictionary
+   * @constructor
+   */
+  constructor() {
+    super();
+    super.__setLength(THE_WORDS.length);
+    super.__setWordLength();
+  }
+
+  /**
+   * Return the language of the words
+   *
+   * @return {string} - the language code
+   */
+  language() {
+    return 'pt';
+  }
+
+  /**
+   * Return the name of the source of the words
+   *
+   * @return {string} - name of the source
+   */
+  source() {
+    return 'DictionaryPT';
+  }
+
+  /**
+   * Return the word list of this dictionary
+   *
+   * @return {Array} - list of words
+   */
+  wordList() {
+    return THE_WORDS;
+  }
+
+  /**
+   * Return a word from the list
+   *
+   * @param {number} index
+   * @return {string} - the word at the index position
+   */
+  word(index) {
+    if (index === undefined || (typeof index !== 'number') ||
+      index < 0 || index >= THE_WORDS.length
+    ) {
+      throw new Error('Parameter "index" not valid');
+    }
+    return THE_WORDS[index];
+  }
+}
+
+export {DictionaryPT};
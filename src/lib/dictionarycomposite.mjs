@@ -0,0 +1,197 @@
+/**
+ * Class combining several dictionaries into one
+ *
+ * @module DictionaryComposite
+ */
+
+import is from 'is-it-check';
+
+import {Dictionary} from './dictionary.mjs';
+import {Dictionaries} from './dictionaries.mjs';
+
+/**
+ * Dictionary with the words of several dictionaries,
+ * e.g. English and Dutch for passphrases mixing both
+ *
+ * The words are merged in the order of the dictionaries and
+ * deduplicated. Words that only differ by case are duplicates too,
+ * as the case is transformed when a password is made: only the first
+ * one is kept. The statistics of this dictionary are those of the
+ * merged, deduplicated pool.
+ *
+ * Every word keeps track of the dictionaries it came from,
+ * see sourcesOf() and attribution().
+ *
+ * @class DictionaryComposite
+ */
+class DictionaryComposite extends Dictionary {
+  #words; // the merged, deduplicated words
+  #dictionaries; // the dictionaries in the order they were merged
+  #sources; // the indexes of the dictionaries of every word, by word key
+  #numUnique; // the number of words kept from every dictionary
+
+  /**
+   * Constructor
+   *
+   * @param {Array} dictionaries - the dictionaries to combine
+   * @throws {Error} - when there are no dictionaries, or one of them
+   *  is not a Dictionary
+   */
+  constructor(dictionaries) {
+    super();
+    if (is.not.array(dictionaries) || dictionaries.length === 0) {
+      throw new Error('The composite needs at least one dictionary');
+    }
+    dictionaries.forEach((dictionary) => {
+      if (!(dictionary instanceof Dictionary)) {
+        throw new Error('The dictionary is not a Dictionary');
+      }
+    });
+    this.#dictionaries = [...dictionaries];
+    this.#words = [];
+    this.#sources = new Map();
+    this.#numUnique = new Array(dictionaries.length).fill(0);
+
+    this.#dictionaries.forEach((dictionary, index) => {
+      for (let i = 0; i < dictionary.getLength(); i++) {
+        const word = dictionary.word(i).normalize('NFC');
+        const key = DictionaryComposite.__key(word);
+        if (!this.#sources.has(key)) {
+          this.#sources.set(key, new Set());
+          this.#words.push(word);
+          this.#numUnique[index]++;
+        }
+        this.#sources.get(key).add(index);
+      }
+    });
+
+    super.__setLength(this.#words.length);
+    super.__setWordLength();
+  }
+
+  /**
+   * Load the named dictionaries and combine them
+   *
+   * @param {Array} names - the names of the dictionaries,
+   *  e.g. ['EN', 'NL'], see Dictionaries
+   * @return {Promise<DictionaryComposite>} - the dictionary
+   * @throws {Error} - when a dictionary is unknown or can not be loaded
+   */
+  static async load(names) {
+    if (is.not.array(names)) {
+      throw new Error(`Unknown dictionary names (${names}) found`);
+    }
+    const dictionaries = await Promise.all(
+      names.map((name) => Dictionaries.load(name)));
+    return new DictionaryComposite(dictionaries);
+  }
+
+  /**
+   * Return the dictionaries this dictionary is made of
+   *
+   * @return {Array} - the dictionaries
+   */
+  dictionaries() {
+    return [...this.#dictionaries];
+  }
+
+  /**
+   * Return the sources of the dictionaries a word is listed in
+   *
+   * @param {string} word - the word, the case does not matter
+   * @return {Array} - the sources, empty when the word is not listed
+   */
+  sourcesOf(word) {
+    const indexes = this.#sources.get(DictionaryComposite.__key(word));
+    return is.undefined(indexes) ? [] :
+      [...indexes].map((index) => this.#dictionaries[index].source());
+  }
+
+  /**
+   * Report how much every dictionary adds to the pool
+   *
+   * Returns a list with for every dictionary:
+   *   * source - the source of the dictionary
+   *   * language - the language of the dictionary
+   *   * numWords - the number of words in the dictionary
+   *   * numUnique - the number of words the pool has from this
+   *       dictionary, the duplicates of earlier dictionaries are left out
+   *
+   * @return {Array} - the attribution
+   */
+  attribution() {
+    return this.#dictionaries.map((dictionary, index) => ({
+      source: dictionary.source(),
+      language: dictionary.language(),
+      numWords: dictionary.getLength(),
+      numUnique: this.#numUnique[index],
+    }));
+  }
+
+  /**
+   * Return the languages of the dictionaries, each listed once
+   *
+   * @return {Array} - the language codes
+   */
+  languages() {
+    return [...new Set(this.#dictionaries.map((d) => d.language()))];
+  }
+
+  /**
+   * Return the language of the words
+   *
+   * @return {string} - the language code, empty when the
+   *  dictionaries have different or unknown languages
+   */
+  language() {
+    const languages = this.languages();
+    return languages.length === 1 ? languages[0] : '';
+  }
+
+  /**
+   * Return the name of the source of the words
+   *
+   * @return {string} - name of the source
+   */
+  source() {
+    return 'DictionaryComposite';
+  }
+
+  /**
+   * Return the word list of this dictionary
+   *
+   * @return {Array} - list of words
+   */
+  wordList() {
+    return this.#words;
+  }
+
+  /**
+   * Return a word from the list
+   *
+   * @param {number} index
+   * @return {string} - the word at the index position
+   */
+  word(index) {
+    if (index === undefined || (typeof index !== 'number') ||
+      index < 0 || index >= this.#words.length
+    ) {
+      throw new Error('Parameter "index" not valid');
+    }
+    return this.#words[index];
+  }
+
+  /**
+   * Convert a word to the form in which duplicates are found
+   *
+   * @param {string} word - the word
+   * @return {string} - the normalized word in lower case
+   *
+   * @private
+   */
+  static __key(word) {
+    return String(word).normalize('NFC').toLowerCase();
+  }
+}
+
+export {DictionaryComposite};
@@ -0,0 +1,84 @@
+/**
+ * Testing class DictionaryComposite
+ */
+import {DictionaryComposite} from './dictionarycomposite.mjs';
+import {DictionaryCustom} from './dictionarycustom.mjs';
+import {DictionaryEN} from './dictionaryEN.mjs';
+import {Presets} from './presets.mjs';
+import {Statistics} from './statistics.mjs';
+import {XKPasswd} from './xkpasswd.mjs';
+
+describe('Test class DictionaryComposite', () => {
+  const english = new DictionaryCustom(['house', 'garden', 'water'], 'en');
+  const dutch = new DictionaryCustom(['huis', 'tuin', 'Water', 'fiets'], 'nl');
+  const dict = new DictionaryComposite([english, dutch]);
+
+  test('it merges the words and removes the duplicates', () => {
+    expect(dict.wordList()).toEqual(
+      ['house', 'garden', 'water', 'huis', 'tuin', 'fiets']);
+    expect(dict.getLength()).toBe(6);
+    expect(dict.getMinWordLength()).toBe(4);
+    expect(dict.getMaxWordLength()).toBe(6);
+    expect(dict.word(3)).toBe('huis');
+  });
+
+  test('it knows where every word comes from', () => {
+    expect(dict.sourcesOf('garden')).toEqual(['DictionaryCustom']);
+    expect(dict.sourcesOf('WATER')).toHaveLength(2);
+    expect(dict.sourcesOf('fiets')).toEqual(['DictionaryCustom']);
+    expect(dict.sourcesOf('bicycle')).toEqual([]);
+    expect(dict.attribution()).toEqual([
+      {source: 'DictionaryCustom', language: 'en', numWords: 3, numUnique: 3},
+      {source: 'DictionaryCustom', language: 'nl', numWords: 4, numUnique: 3},
+    ]);
+  });
+
+  test('it reports the languages', () => {
+    expect(dict.languages()).toEqual(['en', 'nl']);
+    expect(dict.language()).toBe('');
+    expect(new DictionaryComposite([english, new DictionaryEN()]).language())
+      .toBe('en');
+    expect(dict.source()).toBe('DictionaryComposite');
+    expect(dict.dictionaries()).toEqual([english, dutch]);
+  });
+
+  test('it throws an error without dictionaries', () => {
+    expect(() => new DictionaryComposite([]))
+      .toThrow('The composite needs at least one dictionary');
+    expect(() => new DictionaryComposite([english, ['fiets']]))
+      .toThrow('The dictionary is not a Dictionary');
+    expect(() => dict.word(6)).toThrow('Parameter "index" not valid');
+  });
+
+  test('it loads the dictionaries by name', async () => {
+    const mixed = await DictionaryComposite.load(['EN', 'NL']);
+    const [en, nl] = mixed.attribution();
+    expect(en.source).toBe('DictionaryEN');
+    expect(nl.source).toBe('DictionaryNL');
+    expect(mixed.getLength()).toBe(en.numUnique + nl.numUnique);
+    expect(nl.numUnique).toBeLessThanOrEqual(nl.numWords);
+    await expect(DictionaryComposite.load(['EN', 'XX']))
+      .rejects.toThrow('Unknown dictionary (XX) found');
+  });
+
+  test('the stats are those of the merged pool', () => {
+    const config = {
+      ...new Presets('XKCD').config(),
+      word_length_min: 4,
+      word_length_max: 6,
+    };
+    const stats = new Statistics(config, dict).__calculateDictionaryStats();
+    expect(stats.numWordsTotal).toBe(6);
+    expect(stats.numWordsFiltered).toBe(6);
+    expect(stats.source).toBe('DictionaryComposite');
+
+    const xk = new XKPasswd({dictionary: dict});
+    xk.setPreset({
+      description: 'mock preset',
+      config: {...config, case_transform: 'LOWER', num_words: 3},
+    });
+    xk.__randomWords().forEach((word) => {
+      expect(dict.wordList()).toContain(word);
+    });
+  });
+});
@@ -0,0 +1,203 @@
+/**
+ * Class containing a dictionary with the words of the user
+ *
+ * @module DictionaryCustom
+ */
+
+import is from 'is-it-check';
+import log from 'loglevel';
+
+import {Dictionary} from './dictionary.mjs';
+import {Graphemes} from './graphemes.mjs';
+
+// the shortest word that is accepted
+const MIN_WORD_LENGTH = 3;
+
+// everything but letters and their accents
+const NON_LETTERS = /[^\p{L}\p{M}]/gu;
+
+// the characters that make a line unusable as a word
+const DIGITS_OR_WHITESPACE = /[\p{N}\s]/u;
+
+/**
+ * Dictionary built from a word list of the user
+ *
+ * The word list can be an array of words, a string with one word
+ * per line or a plain text file in the same format. The list is
+ * cleaned with distilToWords() and the report of that function
+ * is available with report().
+ *
+ * @class DictionaryCustom
+ */
+class DictionaryCustom extends Dictionary {
+  #words; // the cleaned word list
+  #report; // what happened to the word list
+  #language; // the language code of the words
+
+  /**
+   * Constructor
+   *
+   * @param {Array|string} words - the words, as array or
+   *  as string with one word per line
+   * @param {string} language - the ISO 639-1 code of the language,
+   *  empty when unknown
+   * @throws {Error} - when there are no words left after cleaning
+   */
+  constructor(words, language = '') {
+    super();
+    this.#language = language;
+    const result = DictionaryCustom.distilToWords(words);
+    if (result.words.length === 0) {
+      throw new Error('The word list contains no usable words');
+    }
+    this.#words = result.words;
+    this.#report = result.report;
+    super.__setLength(this.#words.length);
+    super.__setWordLength();
+  }
+
+  /**
+   * Create a dictionary from a plain text file with one word per line
+   *
+   * In the browser the file is a File (or Blob), e.g. from an
+   * input element. In Node it is the path or URL of the file.
+   *
+   * @param {File|Blob|string|URL} file - the file to read
+   * @param {string} language - the ISO 639-1 code of the language,
+   *  empty when unknown
+   * @return {Promise<DictionaryCustom>} - the dictionary
+   * @throws {Error} - when the file can not be read or
+   *  contains no usable words
+   */
+  static async fromFile(file, language = '') {
+    const text = await Dictionary.__readText(file);
+    return new DictionaryCustom(text, language);
+  }
+
+  /**
+   * Clean a list of words, like distil_to_words() in the Perl module
+   *
+   * Every line is trimmed and normalized. Empty lines, comments
+   * (lines starting with `#`) and lines with digits or whitespace,
+   * e.g. `d3lta` or `two words`, are dropped. The other characters
+   * that are not letters are removed, so `yo-yo` becomes `yoyo`.
+   * After that lines without any letter, words shorter than 3 letters
+   * and duplicates are dropped.
+   *
+   * The report has the keys:
+   * * total - the number of words in the input
+   * * accepted - the number of words kept
+   * * stripped - the number of words that lost characters
+   *   other than letters
+   * * dropped - the number of words dropped per reason:
+   *   `empty`, `comments`, `nonLetters` (digits, whitespace or
+   *   no letters at all), `tooShort` and `duplicates`
+   *
+   * @param {Array|string} words - the words, as array or
+   *  as string with one word per line
+   * @return {object} - `{words, report}`
+   * @throws {Error} - when the words are not an array or a string
+   */
+  static distilToWords(words) {
+    let list = words;
+    if (is.string(words)) {
+      list = words.split(/\r\n|\r|\n/);
+    } else if (is.not.array(words)) {
+      throw new Error(`Unknown word list (${words}) found`);
+    }
+
+    const report = {
+      total: list.length,
+      accepted: 0,
+      stripped: 0,
+      dropped: {
+        empty: 0,
+        comments: 0,
+        nonLetters: 0,
+        tooShort: 0,
+        duplicates: 0,
+      },
+    };
+
+    const seen = new Set();
+    const distilled = [];
+    list.forEach((entry) => {
+      const line = String(entry).trim().normalize('NFC');
+      const word = line.replace(NON_LETTERS, '');
+      if (line === '') {
+        report.dropped.empty++;
+      } else if (line.startsWith('#')) {
+        report.dropped.comments++;
+      } else if (DIGITS_OR_WHITESPACE.test(line) || word === '') {
+        report.dropped.nonLetters++;
+      } else if (Graphemes.length(word) < MIN_WORD_LENGTH) {
+        report.dropped.tooShort++;
+      } else if (seen.has(word)) {
+        report.dropped.duplicates++;
+      } else {
+        if (word !== line) {
+          report.stripped++;
+        }
+        seen.add(word);
+        distilled.push(word);
+      }
+    });
+    report.accepted = distilled.length;
+
+    log.trace(`distilToWords: ${JSON.stringify(report)}`);
+    return {words: distilled, report: report};
+  }
+
+  /**
+   * Return what happened to the word list when it was cleaned
+   *
+   * @return {object} - the report, see distilToWords()
+   */
+  report() {
+    return structuredClone(this.#report);
+  }
+
+  /**
+   * Return the language of the words
+   *
+   * @return {string} - the language code, empty when unknown
+   */
+  language() {
+    return this.#language;
+  }
+
+  /**
+   * Return the name of the source of the words
+   *
+   * @return {string} - name of the source
+   */
+  source() {
+    return 'DictionaryCustom';
+  }
+
+  /**
+   * Return the word list of this dictionary
+   *
+   * @return {Array} - list of words
+   */
+  wordList() {
+    return this.#words;
+  }
+
+  /**
+   * Return a word from the list
+   *
+   * @param {number} index
+   * @return {string} - the word at the index position
+   */
+  word(index) {
+    if (index === undefined || (typeof index !== 'number') ||
+      index < 0 || index >= this.#words.length
+    ) {
+      throw new Error('Parameter "index" not valid');
+    }
+    return this.#words[index];
+  }
+}
+
+export {DictionaryCustom};
@@ -0,0 +1,117 @@
+/**
+ * Testing class DictionaryCustom
+ */
+import {DictionaryCustom} from './dictionarycustom.mjs';
+
+const wordListURL = new URL('../../test/wordlist.txt', import.meta.url);
+
+describe('Test class DictionaryCustom', () => {
+  describe('Test function distilToWords', () => {
+    test('it cleans a list of words', () => {
+      const {words, report} = DictionaryCustom.distilToWords(
+        ['  alpha ', 'bravo', 'alpha', 'ox', '', 'écho', '42', 'ab!']);
+      expect(words).toEqual(['alpha', 'bravo', 'écho']);
+      expect(report).toEqual({
+        total: 8,
+        accepted: 3,
+        stripped: 0,
+        dropped: {
+          empty: 1,
+          comments: 0,
+          nonLetters: 1,
+          tooShort: 2,
+          duplicates: 1,
+        },
+      });
+    });
+
+    test('it removes the punctuation from the words', () => {
+      const {words, report} = DictionaryCustom.distilToWords(
+        ['yo-yo', 'pear.', 'apple!', 'apple', 'l\u2019eau']);
+      expect(words).toEqual(['yoyo', 'pear', 'apple', 'leau']);
+      expect(report.stripped).toBe(4);
+      expect(report.dropped.duplicates).toBe(1);
+    });
+
+    test('it drops comments and words with digits or whitespace', () => {
+      const {words, report} = DictionaryCustom.distilToWords(
+        ['# my words', '1. apple', 'd3lta', 'two words', '-?-', 'pear']);
+      expect(words).toEqual(['pear']);
+      expect(report.dropped.comments).toBe(1);
+      expect(report.dropped.nonLetters).toBe(4);
+      expect(report.stripped).toBe(0);
+    });
+
+    test('it normalizes the words before removing duplicates', () => {
+      const {words, report} = DictionaryCustom.distilToWords(
+        ['caf\u00e9', 'cafe\u0301']);
+      expect(words).toEqual(['café']);
+      expect(report.dropped.duplicates).toBe(1);
+    });
+
+    test('it splits a string into lines', () => {
+      const {words} = DictionaryCustom.distilToWords(
+        'alpha\nbravo\r\ncharlie\rdelta');
+      expect(words).toEqual(['alpha', 'bravo', 'charlie', 'delta']);
+    });
+
+    test('it throws an error for an unknown word list', () => {
+      expect(() => DictionaryCustom.distilToWords(42))
+        .toThrow('Unknown word list (42) found');
+    });
+  });
+
+  describe('Test the constructor', () => {
+    test('it builds a dictionary from an array', () => {
+      const dict = new DictionaryCustom(['alpha', 'bravo', 'charlie']);
+      expect(dict.getLength()).toBe(3);
+      expect(dict.getMinWordLength()).toBe(5);
+      expect(dict.getMaxWordLength()).toBe(7);
+      expect(dict.word(2)).toBe('charlie');
+      expect(dict.filteredWordList(5, 5)).toEqual(['alpha', 'bravo']);
+    });
+
+    test('it throws an error without usable words', () => {
+      expect(() => new DictionaryCustom(['ox', '42']))
+        .toThrow('The word list contains no usable words');
+    });
+
+    test('it throws an error for an invalid index', () => {
+      const dict = new DictionaryCustom(['alpha']);
+      expect(() => dict.word(1)).toThrow('Parameter "index" not valid');
+    });
+  });
+
+  describe('Test function fromFile', () => {
+    const expected = ['alpha', 'bravo', 'charlie', 'écho', 'foxtrot'];
+
+    test('it reads a file in Node', async () => {
+      const dict = await DictionaryCustom.fromFile(wordListURL);
+      expect(dict.wordList()).toEqual(expected);
+      expect(dict.report()).toEqual({
+        total: 12,
+        accepted: 5,
+        stripped: 0,
+        dropped: {
+          empty: 2,
+          comments: 1,
+          nonLetters: 2,
+          tooShort: 1,
+          duplicates: 1,
+        },
+      });
+    });
+
+    test('it reads a file in the browser', async () => {
+      const fs = await import('fs');
+      const file = new Blob([fs.readFileSync(wordListURL)]);
+      const dict = await DictionaryCustom.fromFile(file);
+      expect(dict.wordList()).toEqual(expected);
+    });
+
+    test('it throws an error for an unknown file', async () => {
+      await expect(DictionaryCustom.fromFile(42))
+        .rejects.toThrow('Unknown file (42) found');
+    });
+  });
+});
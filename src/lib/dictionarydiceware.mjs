@@ -0,0 +1,256 @@
+/**
+ * Class containing a dictionary in the diceware format
+ *
+ * @module DictionaryDiceware
+ */
+
+import is from 'is-it-check';
+
+import {Dictionary} from './dictionary.mjs';
+
+// a line of a diceware list: the dice index, white space and the word
+const DICEWARE_LINE = /^([1-6]+)\s+(\S+)$/;
+
+/**
+ * Dictionary built from a diceware word list, like the EFF lists
+ *
+ * Every line of the list holds a dice index, a tab and the word,
+ * e.g. `11111\tabacus`. A list with indexes of k dice must have
+ * exactly 6^k words, one for every possible roll.
+ *
+ * The words are kept in the order of their dice index, so the word
+ * at position n belongs to the rolls that form n in base 6. This
+ * makes the dictionary work with every random number generator,
+ * and with physical dice through wordByDice().
+ *
+ * @class DictionaryDiceware
+ */
+class DictionaryDiceware extends Dictionary {
+  #words; // the words in the order of their dice index
+  #numDice; // the number of dice per word
+  #language; // the language code of the words
+
+  /**
+   * Constructor
+   *
+   * @param {Array|string} lines - the lines of the list, as array or
+   *  as string with one entry per line
+   * @param {string} language - the ISO 639-1 code of the language,
+   *  empty when unknown
+   * @throws {Error} - when the list is not a complete diceware list
+   */
+  constructor(lines, language = '') {
+    super();
+    this.#language = language;
+
+    const entries = DictionaryDiceware.__parse(lines);
+    this.#numDice = entries[0].index.length;
+
+    const expected = 6 ** this.#numDice;
+    if (entries.length !== expected) {
+      throw new Error(`The word list has ${entries.length} words, ` +
+        `expected 6^${this.#numDice} (${expected})`);
+    }
+
+    this.#words = new Array(expected);
+    entries.forEach((entry) => {
+      if (entry.index.length !== this.#numDice) {
+        throw new Error(`Invalid dice index (${entry.index}) found, ` +
+          `expected ${this.#numDice} dice`);
+      }
+      const position = DictionaryDiceware.__position(entry.index);
+      if (is.not.undefined(this.#words[position])) {
+        throw new Error(`Duplicate dice index (${entry.index}) found`);
+      }
+      this.#words[position] = entry.word;
+    });
+
+    super.__setLength(this.#words.length);
+    super.__setWordLength();
+  }
+
+  /**
+   * Create a dictionary from a diceware file
+   *
+   * In the browser the file is a File (or Blob), e.g. from an
+   * input element. In Node it is the path or URL of the file.
+   *
+   * @param {File|Blob|string|URL} file - the file to read
+   * @param {string} language - the ISO 639-1 code of the language,
+   *  empty when unknown
+   * @return {Promise<DictionaryDiceware>} - the dictionary
+   * @throws {Error} - when the file can not be read or is not
+   *  a complete diceware list
+   */
+  static async fromFile(file, language = '') {
+    const text = await Dictionary.__readText(file);
+    return new DictionaryDiceware(text, language);
+  }
+
+  /**
+   * Return the number of dice needed to choose a word
+   *
+   * @return {number} - the number of dice
+   */
+  numDice() {
+    return this.#numDice;
+  }
+
+  /**
+   * Return the word that belongs to a roll of the dice
+   *
+   * @param {string|Array} rolls - the rolls, e.g. '11111'
+   *  or [1, 1, 1, 1, 1]
+   * @return {string} - the word
+   * @throws {Error} - when the rolls do not form a dice index
+   */
+  wordByDice(rolls) {
+    const index = is.array(rolls) ? rolls.join('') : String(rolls);
+    if (!/^[1-6]+$/.test(index) || index.length !== this.#numDice) {
+      throw new Error(`Invalid dice index (${index}) found, ` +
+        `expected ${this.#numDice} dice`);
+    }
+    return this.#words[DictionaryDiceware.__position(index)];
+  }
+
+  /**
+   * Return the dice index of a position in the word list
+   *
+   * @param {number} position - the position of the word
+   * @return {string} - the dice index, e.g. '11111'
+   * @throws {Error} - when the position is not valid
+   */
+  diceIndex(position) {
+    if (is.not.integer(position) || position < 0 ||
+      position >= this.#words.length) {
+      throw new Error('Parameter "position" not valid');
+    }
+    return DictionaryDiceware.__index(position, this.#numDice);
+  }
+
+  /**
+   * Return the language of the words
+   *
+   * @return {string} - the language code, empty when unknown
+   */
+  language() {
+    return this.#language;
+  }
+
+  /**
+   * Return the name of the source of the words
+   *
+   * @return {string} - name of the source
+   */
+  source() {
+    return 'DictionaryDiceware';
+  }
+
+  /**
+   * Return the word list of this dictionary
+   *
+   * @return {Array} - list of words
+   */
+  wordList() {
+    return this.#words;
+  }
+
+  /**
+   * Return a word from the list
+   *
+   * @param {number} index
+   * @return {string} - the word at the index position
+   */
+  word(index) {
+    if (index === undefined || (typeof index !== 'number') ||
+      index < 0 || index >= this.#words.length
+    ) {
+      throw new Error('Parameter "index" not valid');
+    }
+    return this.#words[index];
+  }
+
+  /**
+   * Parse the lines of a diceware list, empty lines are skipped
+   *
+   * @param {Array|string} lines - the lines of the list
+   * @return {Array} - the entries as `{index, word}`
+   * @throws {Error} - when a line is not in the diceware format
+   *
+   * @private
+   */
+  static __parse(lines) {
+    let list = lines;
+    if (is.string(lines)) {
+      list = lines.split(/\r\n|\r|\n/);
+    } else if (is.not.array(lines)) {
+      throw new Error(`Unknown word list (${lines}) found`);
+    }
+
+    const entries = [];
+    list.forEach((line) => {
+      const trimmed = String(line).trim();
+      if (trimmed === '') {
+        return;
+      }
+      const match = DICEWARE_LINE.exec(trimmed);
+      if (match === null) {
+        throw new Error(`Invalid diceware line (${trimmed}) found`);
+      }
+      entries.push({index: match[1], word: match[2].normalize('NFC')});
+    });
+
+    if (entries.length === 0) {
+      throw new Error('The word list contains no usable words');
+    }
+    return entries;
+  }
+
+  /**
+   * Convert a list of words in the order of their dice index
+   * to the lines of a diceware list
+   *
+   * @param {Array} words - the words, 6^k of them
+   * @return {Array} - the lines, e.g. `11111\tabacus`
+   *
+   * @private
+   */
+  static __toLines(words) {
+    let numDice = 0;
+    for (let total = 1; total < words.length; total *= 6) {
+      numDice++;
+    }
+    return words.map((word, position) =>
+      `${DictionaryDiceware.__index(position, numDice)}\t${word}`);
+  }
+
+  /**
+   * Convert a position in the word list to the dice index
+   *
+   * @param {number} position - the position
+   * @param {number} numDice - the number of dice per word
+   * @return {string} - the dice index, e.g. '11111'
+   *
+   * @private
+   */
+  static __index(position, numDice) {
+    return position.toString(6).padStart(numDice, '0')
+      .replace(/[0-5]/g, (digit) => String(Number(digit) + 1));
+  }
+
+  /**
+   * Convert a dice index to the position in the word list,
+   * the dice are the digits of a base 6 number
+   *
+   * @param {string} index - the dice index, e.g. '11111'
+   * @return {number} - the position
+   *
+   * @private
+   */
+  static __position(index) {
+    return [...index].reduce(
+      (position, die) => position * 6 + Number(die) - 1, 0);
+  }
+}
+
+export {DictionaryDiceware};
@@ -0,0 +1,91 @@
+/**
+ * Testing class DictionaryDiceware
+ */
+import fs from 'fs';
+
+import {DictionaryDiceware} from './dictionarydiceware.mjs';
+
+const wordListURL = new URL('../../test/diceware-36.txt', import.meta.url);
+const wordList = fs.readFileSync(wordListURL, 'utf8');
+
+describe('Test class DictionaryDiceware', () => {
+  describe('Test the constructor', () => {
+    test('it parses a diceware list', () => {
+      const dict = new DictionaryDiceware(wordList, 'en');
+      expect(dict.getLength()).toBe(36);
+      expect(dict.numDice()).toBe(2);
+      expect(dict.word(0)).toBe('acid');
+      expect(dict.word(35)).toBe('card');
+      expect(dict.getMinWordLength()).toBe(4);
+      expect(dict.language()).toBe('en');
+      expect(dict.source()).toBe('DictionaryDiceware');
+    });
+
+    test('it orders the words by their dice index', () => {
+      const dict = new DictionaryDiceware(
+        ['2\tbravo', '1\talpha', '6\tfoxtrot', '3\tcharlie',
+          '5\techo', '4\tdelta']);
+      expect(dict.wordList()).toEqual(
+        ['alpha', 'bravo', 'charlie', 'delta', 'echo', 'foxtrot']);
+    });
+
+    test('it throws an error for an incomplete list', () => {
+      const lines = wordList.split('\n').slice(0, 30);
+      expect(() => new DictionaryDiceware(lines))
+        .toThrow('The word list has 30 words, expected 6^2 (36)');
+    });
+
+    test('it throws an error for an invalid line', () => {
+      expect(() => new DictionaryDiceware(['17\talpha']))
+        .toThrow('Invalid diceware line (17\talpha) found');
+      expect(() => new DictionaryDiceware(['11\ttwo words']))
+        .toThrow('Invalid diceware line');
+      expect(() => new DictionaryDiceware(''))
+        .toThrow('The word list contains no usable words');
+      expect(() => new DictionaryDiceware(42))
+        .toThrow('Unknown word list (42) found');
+    });
+
+    test('it throws an error for mixed or duplicate indexes', () => {
+      const mixed = wordList.replace('66\tcard', '666\tcard');
+      expect(() => new DictionaryDiceware(mixed))
+        .toThrow('Invalid dice index (666) found, expected 2 dice');
+      const duplicate = wordList.replace('12\talso', '11\talso');
+      expect(() => new DictionaryDiceware(duplicate))
+        .toThrow('Duplicate dice index (11) found');
+    });
+  });
+
+  describe('Test the dice functions', () => {
+    const dict = new DictionaryDiceware(wordList);
+
+    test('it looks up a word by its dice index', () => {
+      expect(dict.wordByDice('11')).toBe('acid');
+      expect(dict.wordByDice([2, 1])).toBe('band');
+      expect(dict.wordByDice('66')).toBe('card');
+    });
+
+    test('it throws an error for invalid rolls', () => {
+      expect(() => dict.wordByDice('17'))
+        .toThrow('Invalid dice index (17) found, expected 2 dice');
+      expect(() => dict.wordByDice([1, 1, 1])).toThrow('Invalid dice index');
+    });
+
+    test('it returns the dice index of a position', () => {
+      expect(dict.diceIndex(0)).toBe('11');
+      expect(dict.diceIndex(6)).toBe('21');
+      expect(dict.diceIndex(35)).toBe('66');
+      for (let i = 0; i < dict.getLength(); i++) {
+        expect(dict.wordByDice(dict.diceIndex(i))).toBe(dict.word(i));
+      }
+      expect(() => dict.diceIndex(36)).toThrow('Parameter "position"');
+    });
+  });
+
+  describe('Test function fromFile', () => {
+    test('it reads a file', async () => {
+      const dict = await DictionaryDiceware.fromFile(wordListURL);
+      expect(dict.getLength()).toBe(36);
+    });
+  });
+});
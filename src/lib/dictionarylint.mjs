@@ -0,0 +1,184 @@
+/**
+ * Quality and integrity checks for word lists
+ *
+ * @module DictionaryLint
+ */
+
+import {Dictionary} from './dictionary.mjs';
+import {Graphemes} from './graphemes.mjs';
+import {SHA256} from './sha256.mjs';
+
+/**
+ * Class to analyse the word list of a Dictionary
+ *
+ * The report is a plain object, so it can be written as JSON:
+ * * source - the source of the dictionary
+ * * language - the language of the dictionary
+ * * numWords - the number of words
+ * * hash - the SHA-256 hash of the words (NFC normalized, one per line),
+ *   this changes when any word is added, removed or moved
+ * * duplicates.exact - words that are listed more than once
+ * * duplicates.caseInsensitive - words, in lower case, that are listed
+ *   more than once when case is ignored
+ * * caseVariants - groups of words that only differ by case,
+ *   e.g. `['Mars', 'mars']`
+ * * prefixes - words that start other words, as `{word, words}`
+ * * concatenations - words made of two other words, as `{word, parts}`
+ * * lengthHistogram - the number of words per word length
+ * * nonAscii - words with characters outside of ASCII
+ *
+ * Prefixes and concatenations are found while ignoring case. They matter
+ * for passwords without separators: `sun` + `flower` and `sunflower`
+ * look the same.
+ *
+ * @class DictionaryLint
+ */
+class DictionaryLint {
+  /**
+   * Analyse the word list of a dictionary
+   *
+   * @param {Dictionary} dictionary - the dictionary to analyse
+   * @return {object} - the report
+   * @throws {Error} - when dictionary is not a Dictionary
+   */
+  static analyse(dictionary) {
+    if (!(dictionary instanceof Dictionary)) {
+      throw new Error('The dictionary is not a Dictionary');
+    }
+    const words = [];
+    for (let i = 0; i < dictionary.getLength(); i++) {
+      words.push(dictionary.word(i).normalize('NFC'));
+    }
+
+    return {
+      source: dictionary.source(),
+      language: dictionary.language(),
+      numWords: words.length,
+      hash: SHA256.hexDigest(words.join('\n')),
+      duplicates: {
+        exact: DictionaryLint.__duplicates(words),
+        caseInsensitive: DictionaryLint.__duplicates(
+          words.map((word) => word.toLowerCase())),
+      },
+      caseVariants: DictionaryLint.__caseVariants(words),
+      prefixes: DictionaryLint.__prefixes(words),
+      concatenations: DictionaryLint.__concatenations(words),
+      lengthHistogram: DictionaryLint.__lengthHistogram(words),
+      nonAscii: words.filter((word) => /[^\x00-\x7F]/.test(word)),
+    };
+  }
+
+  /**
+   * Find the words that are listed more than once
+   *
+   * @param {Array} words - the words
+   * @return {Array} - every duplicate word once, in order of appearance
+   *
+   * @private
+   */
+  static __duplicates(words) {
+    const seen = new Set();
+    const duplicates = new Set();
+    words.forEach((word) => {
+      if (seen.has(word)) {
+        duplicates.add(word);
+      }
+      seen.add(word);
+    });
+    return [...duplicates];
+  }
+
+  /**
+   * Find the groups of different words that only differ by case
+   *
+   * @param {Array} words - the words
+   * @return {Array} - the groups, every group is an array of words
+   *
+   * @private
+   */
+  static __caseVariants(words) {
+    const groups = new Map();
+    words.forEach((word) => {
+      const key = word.toLowerCase();
+      if (!groups.has(key)) {
+        groups.set(key, new Set());
+      }
+      groups.get(key).add(word);
+    });
+    return [...groups.values()]
+      .filter((group) => group.size > 1)
+      .map((group) => [...group]);
+  }
+
+  /**
+   * Find the words that are the start of other words
+   *
+   * @param {Array} words - the words
+   * @return {Array} - `{word, words}` for every prefix, in lower case
+   *
+   * @private
+   */
+  static __prefixes(words) {
+    // after sorting, all words that start with a word follow it directly
+    const sorted = [...new Set(words.map((word) => word.toLowerCase()))]
+      .sort();
+    const prefixes = [];
+    sorted.forEach((word, i) => {
+      const longer = [];
+      for (let j = i + 1; j < sorted.length &&
+        sorted[j].startsWith(word); j++) {
+        longer.push(sorted[j]);
+      }
+      if (longer.length > 0) {
+        prefixes.push({word: word, words: longer});
+      }
+    });
+    return prefixes;
+  }
+
+  /**
+   * Find the words that are made of two other words
+   *
+   * @param {Array} words - the words
+   * @return {Array} - `{word, parts}` for every concatenation,
+   *  in lower case, with the first split found
+   *
+   * @private
+   */
+  static __concatenations(words) {
+    const known = new Set(words.map((word) => word.toLowerCase()));
+    const concatenations = [];
+    known.forEach((word) => {
+      // split between graphemes, never inside a character
+      const graphemes = Graphemes.split(word);
+      for (let i = 1; i < graphemes.length; i++) {
+        const head = graphemes.slice(0, i).join('');
+        const tail = graphemes.slice(i).join('');
+        if (known.has(head) && known.has(tail)) {
+          concatenations.push({word: word, parts: [head, tail]});
+          break;
+        }
+      }
+    });
+    return concatenations;
+  }
+
+  /**
+   * Count the words per word length, in graphemes
+   *
+   * @param {Array} words - the words
+   * @return {object} - the number of words indexed by length
+   *
+   * @private
+   */
+  static __lengthHistogram(words) {
+    const histogram = {};
+    words.forEach((word) => {
+      const length = Graphemes.length(word);
+      histogram[length] = (histogram[length] ?? 0) + 1;
+    });
+    return histogram;
+  }
+}
+
+export {DictionaryLint};
@@ -0,0 +1,100 @@
+/**
+ * Testing class DictionaryLint
+ */
+import {Dictionary} from './dictionary.mjs';
+import {DictionaryCustom} from './dictionarycustom.mjs';
+import {DictionaryEN} from './dictionaryEN.mjs';
+import {DictionaryLint} from './dictionarylint.mjs';
+import {SHA256} from './sha256.mjs';
+
+/**
+ * Small dictionary with the problems the analyser finds,
+ * the words are not cleaned like in DictionaryCustom
+ */
+class DictionaryFlawed extends Dictionary {
+  #words = ['sun', 'flower', 'sunflower', 'Mars', 'mars', 'sun',
+    'sunny', 'café', 'MARS'];
+
+  /**
+   * Constructor
+   */
+  constructor() {
+    super();
+    this.__setLength(this.#words.length);
+    this.__setWordLength();
+  }
+
+  /**
+   * @return {Array} - list of words
+   */
+  wordList() {
+    return this.#words;
+  }
+
+  /**
+   * @param {number} index
+   * @return {string} - the word at the index position
+   */
+  word(index) {
+    return this.#words[index];
+  }
+}
+
+describe('Test class DictionaryLint', () => {
+  const report = DictionaryLint.analyse(new DictionaryFlawed());
+
+  test('it throws an error when it is not given a Dictionary', () => {
+    expect(() => DictionaryLint.analyse(['sun']))
+      .toThrow('The dictionary is not a Dictionary');
+  });
+
+  test('it reports the duplicates', () => {
+    expect(report.numWords).toBe(9);
+    expect(report.duplicates).toEqual({
+      exact: ['sun'],
+      caseInsensitive: ['mars', 'sun'],
+    });
+  });
+
+  test('it reports the words that only differ by case', () => {
+    expect(report.caseVariants).toEqual([['Mars', 'mars', 'MARS']]);
+  });
+
+  test('it reports the prefixes and the concatenations', () => {
+    expect(report.prefixes).toEqual([
+      {word: 'sun', words: ['sunflower', 'sunny']},
+    ]);
+    expect(report.concatenations).toEqual([
+      {word: 'sunflower', parts: ['sun', 'flower']},
+    ]);
+  });
+
+  test('it splits the concatenations between characters', () => {
+    // the accent is not split off the e of caf\u00E9
+    expect(DictionaryLint.__concatenations(
+      ['cafe\u0301s', 'cafe', '\u0301s', 'cafe\u0301', 's']))
+      .toEqual([{word: 'cafe\u0301s', parts: ['cafe\u0301', 's']}]);
+  });
+
+  test('it reports the lengths and the non-ASCII words', () => {
+    expect(report.lengthHistogram).toEqual({3: 2, 4: 4, 5: 1, 6: 1, 9: 1});
+    expect(report.nonAscii).toEqual(['café']);
+  });
+
+  test('it hashes the words in order', () => {
+    const dict = new DictionaryCustom(['alpha', 'bravo', 'charlie']);
+    const lint = DictionaryLint.analyse(dict);
+    expect(lint.hash).toBe(SHA256.hexDigest('alpha\nbravo\ncharlie'));
+    expect(lint.source).toBe('DictionaryCustom');
+    expect(DictionaryLint.analyse(
+      new DictionaryCustom(['bravo', 'alpha', 'charlie'])).hash)
+      .not.toBe(lint.hash);
+  });
+
+  test('it produces a report that can be written as JSON', () => {
+    const lint = DictionaryLint.analyse(new DictionaryEN());
+    expect(JSON.parse(JSON.stringify(lint))).toEqual(lint);
+    expect(lint.language).toBe('en');
+    expect(lint.duplicates.exact).toEqual([]);
+  });
+});
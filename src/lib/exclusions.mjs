@@ -0,0 +1,133 @@
+/**
+ * Words that must never be used in a password
+ *
+ * @module Exclusions
+ */
+
+import is from 'is-it-check';
+
+import {Dictionary} from './dictionary.mjs';
+
+// the bundled list of offensive words in the languages of the
+// bundled dictionaries, words used in more languages are listed once
+const OFFENSIVE_WORDS = [
+  // English
+  'arse', 'arsehole', 'asshole', 'bastard', 'bitch', 'bitches', 'bollocks',
+  'boner', 'bugger', 'bullshit', 'butthole', 'clit', 'cock', 'cocks', 'crap',
+  'cunt', 'cunts', 'damn', 'dick', 'dickhead', 'dildo', 'dyke', 'fag',
+  'faggot', 'fags', 'fart', 'felch', 'fuck', 'fucked', 'fucker', 'fucking',
+  'fucks', 'goddamn', 'handjob', 'hooker', 'horny', 'jerkoff', 'jizz', 'kike',
+  'milf', 'moron', 'nazi', 'nigga', 'nigger', 'nympho', 'orgasm', 'paki',
+  'penis', 'piss', 'pissed', 'porn', 'porno', 'prick', 'pube', 'pussy',
+  'rape', 'raped', 'rapist', 'retard', 'rimjob', 'scrotum', 'shit', 'shits',
+  'shitty', 'skank', 'slut', 'sluts', 'smut', 'spastic', 'spic', 'tits',
+  'titty', 'tosser', 'twat', 'vagina', 'wank', 'wanker', 'whore', 'whores',
+  // German
+  'arsch', 'arschloch', 'fotze', 'hure', 'kacke', 'scheisse', 'scheiße',
+  'schlampe', 'wichser',
+  // French
+  'connard', 'connasse', 'couille', 'encule', 'enculé', 'merde', 'pute',
+  'salope',
+  // Dutch
+  'hoer', 'klootzak', 'kut', 'lul',
+  // Spanish
+  'cabron', 'cabrón', 'coño', 'gilipollas', 'joder', 'marica', 'mierda',
+  'puta', 'puto',
+  // Italian
+  'cazzo', 'coglione', 'merda', 'stronzo', 'troia', 'vaffanculo',
+  // Portuguese
+  'caralho', 'foda', 'porra', 'viado',
+];
+
+/**
+ * Class to exclude words from the dictionaries
+ *
+ * The exclusions apply on top of every Dictionary: the bundled list
+ * of offensive words (config key `exclude_offensive_words`) and the
+ * words of the user (config key `excluded_words`).
+ * Words match when they are equal in NFC form, ignoring case.
+ * A word listed without accents also excludes its accented forms,
+ * so excluding `cafe` also excludes `Café`. A word listed with accents
+ * only excludes itself, so excluding `coño` does not exclude `cono`.
+ * Only whole words match, `class` is not excluded by `ass`.
+ *
+ * @class Exclusions
+ */
+class Exclusions {
+  #words; // the excluded words with accents, see __key()
+  #plainWords; // the excluded words without accents
+
+  /**
+   * Constructor
+   *
+   * @param {Array} words - the words to exclude
+   * @param {boolean} excludeOffensive - also exclude the
+   *  bundled offensive words
+   * @throws {Error} - when the words are not an array
+   */
+  constructor(words = [], excludeOffensive = false) {
+    if (is.not.array(words)) {
+      throw new Error(`Unknown excluded words (${words}) found`);
+    }
+    const list = excludeOffensive ? [...OFFENSIVE_WORDS, ...words] : words;
+    const keys = list.map((word) => Exclusions.__key(word));
+    this.#words = new Set(keys.filter((key) => Dictionary.hasAccents(key)));
+    this.#plainWords =
+      new Set(keys.filter((key) => !Dictionary.hasAccents(key)));
+  }
+
+  /**
+   * Create the exclusions of a config
+   *
+   * @param {object} config - the config
+   * @return {Exclusions} - the exclusions
+   */
+  static fromConfig(config) {
+    return new Exclusions(config.excluded_words ?? [],
+      Boolean(config.exclude_offensive_words));
+  }
+
+  /**
+   * Get the bundled list of offensive words
+   *
+   * @return {Array} - the offensive words
+   */
+  static offensiveWords() {
+    return [...OFFENSIVE_WORDS];
+  }
+
+  /**
+   * Check if a word is excluded
+   *
+   * @param {string} word - the word to check
+   * @return {boolean} - true if the word is excluded
+   */
+  has(word) {
+    const key = Exclusions.__key(word);
+    return this.#words.has(key) ||
+      this.#plainWords.has(Dictionary.stripAccents(key));
+  }
+
+  /**
+   * Return the number of excluded words
+   *
+   * @return {number} - the number of words
+   */
+  size() {
+    return this.#words.size + this.#plainWords.size;
+  }
+
+  /**
+   * Convert a word to the form in which it is compared
+   *
+   * @param {string} word - the word
+   * @return {string} - the word in NFC form and lower case
+   *
+   * @private
+   */
+  static __key(word) {
+    return String(word).trim().normalize('NFC').toLowerCase();
+  }
+}
+
+export {Exclusions};
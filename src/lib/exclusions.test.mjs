@@ -0,0 +1,62 @@
+/**
+ * Testing class Exclusions
+ */
+import {Dictionaries} from './dictionaries.mjs';
+import {Exclusions} from './exclusions.mjs';
+
+describe('Test class Exclusions', () => {
+  test('it excludes the words of the user', () => {
+    const exclusions = new Exclusions(['Paris', 'café']);
+    expect(exclusions.size()).toBe(2);
+    expect(exclusions.has('paris')).toBe(true);
+    expect(exclusions.has('PARIS')).toBe(true);
+    expect(exclusions.has('London')).toBe(false);
+  });
+
+  test('it ignores accents and only matches whole words', () => {
+    const exclusions = new Exclusions(['cafe', 'ass']);
+    expect(exclusions.has('Café')).toBe(true);
+    expect(exclusions.has('cafe\u0301')).toBe(true);
+    expect(exclusions.has('class')).toBe(false);
+  });
+
+  test('a word with accents only excludes itself', () => {
+    const exclusions = new Exclusions(['co\u00F1o', 'cre\u0300me']);
+    expect(exclusions.has('Co\u00F1o')).toBe(true);
+    expect(exclusions.has('con\u0303o')).toBe(true);
+    expect(exclusions.has('cono')).toBe(false);
+    expect(exclusions.has('cr\u00E8me')).toBe(true);
+    expect(exclusions.has('creme')).toBe(false);
+    expect(new Exclusions([], true).has('cono')).toBe(false);
+  });
+
+  test('it adds the offensive words on request', () => {
+    const offensive = Exclusions.offensiveWords();
+    expect(new Exclusions().has(offensive[0])).toBe(false);
+    expect(new Exclusions([], true).has(offensive[0])).toBe(true);
+    expect(new Exclusions([], true).size()).toBe(offensive.length);
+  });
+
+  test('it creates the exclusions of a config', () => {
+    const exclusions = Exclusions.fromConfig({
+      excluded_words: ['Paris'],
+      exclude_offensive_words: 1,
+    });
+    expect(exclusions.has('paris')).toBe(true);
+    expect(exclusions.size()).toBe(Exclusions.offensiveWords().length + 1);
+    expect(Exclusions.fromConfig({}).size()).toBe(0);
+  });
+
+  test('it throws an error if the words are not an array', () => {
+    expect(() => new Exclusions('Paris'))
+      .toThrow('Unknown excluded words (Paris) found');
+  });
+
+  test('the offensive words do not hide ordinary bundled words', async () => {
+    const exclusions = new Exclusions([], true);
+    for (const name of Dictionaries.names()) {
+      const words = (await Dictionaries.load(name)).wordList();
+      expect(words.filter((word) => exclusions.has(word))).toEqual([]);
+    }
+  });
+});
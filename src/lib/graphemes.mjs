@@ -0,0 +1,77 @@
+/**
+ * Length and truncation of text in user-perceived characters
+ *
+ * @module Graphemes
+ */
+
+// only ASCII, where every code unit is a character of its own
+const ONLY_ASCII = /^[\x00-\x7F]*$/;
+
+// the segmenter, when the platform has one
+const segmenter = typeof Intl.Segmenter === 'function' ?
+  new Intl.Segmenter(undefined, {granularity: 'grapheme'}) : undefined;
+
+/**
+ * Class to measure text the way the user sees it
+ *
+ * `String.length` counts UTF-16 code units, so `café` written with a
+ * combining accent has a length of 5 and an emoji like 👍🏽 has a
+ * length of 4. A grapheme cluster is what the user sees as a single
+ * character, these functions count and cut text in graphemes.
+ * This is the JavaScript version of _grapheme_length()
+ * in Crypt::HSXKPasswd.
+ *
+ * The graphemes are found with Intl.Segmenter. Where that is not
+ * available, the code points are used instead, which is right
+ * for everything but combining characters and emoji sequences.
+ *
+ * @class Graphemes
+ */
+class Graphemes {
+  /**
+   * Split text into its graphemes
+   *
+   * @param {string} text - the text
+   * @return {Array} - the graphemes
+   */
+  static split(text) {
+    const str = String(text);
+    if (ONLY_ASCII.test(str)) {
+      return str.split('');
+    }
+    if (segmenter === undefined) {
+      return [...str];
+    }
+    return Array.from(segmenter.segment(str), (part) => part.segment);
+  }
+
+  /**
+   * Count the graphemes of text
+   *
+   * @param {string} text - the text
+   * @return {number} - the number of graphemes
+   */
+  static length(text) {
+    const str = String(text);
+    // plain ASCII is by far the most common, skip the segmenter for it
+    return ONLY_ASCII.test(str) ? str.length : Graphemes.split(str).length;
+  }
+
+  /**
+   * Cut text after a number of graphemes, so no character
+   * is cut in half
+   *
+   * @param {string} text - the text
+   * @param {number} length - the number of graphemes to keep
+   * @return {string} - the text, at most length graphemes long
+   */
+  static truncate(text, length) {
+    const str = String(text);
+    if (ONLY_ASCII.test(str)) {
+      return str.substring(0, length);
+    }
+    return Graphemes.split(str).slice(0, Math.max(length, 0)).join('');
+  }
+}
+
+export {Graphemes};
@@ -0,0 +1,33 @@
+/**
+ * Testing class Graphemes
+ */
+import {Graphemes} from './graphemes.mjs';
+
+describe('Test class Graphemes', () => {
+  const decomposed = 'cafe\u0301';
+  const family = '👨‍👩‍👧';
+
+  test('it splits text into graphemes', () => {
+    expect(Graphemes.split('abc')).toEqual(['a', 'b', 'c']);
+    expect(Graphemes.split(decomposed)).toEqual(['c', 'a', 'f', 'e\u0301']);
+    expect(Graphemes.split(`a${family}👍🏽`)).toEqual(['a', family, '👍🏽']);
+    expect(Graphemes.split('')).toEqual([]);
+  });
+
+  test('it counts the graphemes', () => {
+    expect(Graphemes.length('password')).toBe(8);
+    expect(Graphemes.length(decomposed)).toBe(4);
+    expect(decomposed).toHaveLength(5);
+    expect(Graphemes.length(family)).toBe(1);
+    expect(Graphemes.length('Ελληνικά')).toBe(8);
+    expect(Graphemes.length(42)).toBe(2);
+  });
+
+  test('it truncates without cutting a grapheme in half', () => {
+    expect(Graphemes.truncate('password', 4)).toBe('pass');
+    expect(Graphemes.truncate(`${decomposed}!`, 4)).toBe(decomposed);
+    expect(Graphemes.truncate(`${family}${family}`, 1)).toBe(family);
+    expect(Graphemes.truncate('👍🏽', 0)).toBe('');
+    expect(Graphemes.truncate('abc', 10)).toBe('abc');
+  });
+});
@@ -4,7 +4,10 @@
  * @module Presets
  */
 
-import {RandomBasic} from './randombasic.mjs';
+import {RandomFactory} from './randomfactory.mjs';
+import {ConfigKeys} from './configkeys.mjs';
+import {ConfigValidator} from './configvalidator.mjs';
+import {Graphemes} from './graphemes.mjs';
 import is from 'is-it-check';
 import log from 'loglevel';
 
@@ -207,7 +210,7 @@ const thePresets = {
       padding_character_type: 'RANDOM',
       padding_characters_before: 2,
       padding_characters_after: 2,
-      random_function: RandomBasic,
+      random_function: 'AUTO',
       random_increment: 'AUTO',
     },
   },
@@ -398,7 +401,7 @@ class Presets {
   #current;
   #presetName;
   #presets = Object.keys(thePresets);
-  #max_alphabet = 20;
+  #report = {}; // the characters removed from the alphabets
 
   /**
    * Constructor: set either the default preset
@@ -451,7 +454,12 @@ class Presets {
       }
     }
 
-    this.#current.config = this.__normalize(this.#current.config);
+    // normalize a copy, so the config of the caller and
+    // the predefined presets are never changed
+    this.#current = {
+      ...this.#current,
+      config: this.__normalize(this.__cloneConfig(this.#current.config)),
+    };
 
     log.trace(`Preset constructor set to ${this.#presetName}`);
   }
@@ -466,6 +474,30 @@ class Presets {
     return thePresets.DEFAULT;
   }
 
+  /**
+   * Validate a config and return every problem found
+   *
+   * Every problem is an object with the path to the offending key
+   * and a message, e.g.
+   * `{path: 'case_transform', message: 'Unknown case_transform (TRUE), ...'}`
+   *
+   * @param {object} config - the config to validate
+   * @return {Array} - the list of problems, empty if the config is valid
+   */
+  static validateConfig(config) {
+    return ConfigValidator.validate(config);
+  }
+
+  /**
+   * Check if a config is valid
+   *
+   * @param {object} config - the config to validate
+   * @return {boolean} - true if the config is valid
+   */
+  static isValidConfig(config) {
+    return ConfigValidator.isValid(config);
+  }
+
   /**
    * Get the current preset
    * @return {object} - the preset
@@ -501,6 +533,20 @@ class Presets {
     return this.#presetName;
   }
 
+  /**
+   * Get the characters that were removed from the alphabets
+   * of the config when it was normalized
+   *
+   * The report has an entry for every alphabet key that lost
+   * characters, with the lists of distilToSymbolAlphabet(), e.g.
+   * `{symbol_alphabet: {duplicates: ['!'], letters: ['a'], ...}}`
+   *
+   * @return {object} - the removed characters by config key
+   */
+  report() {
+    return structuredClone(this.#report);
+  }
+
   /**
    * Get the list of available presets
    *
@@ -510,6 +556,81 @@ class Presets {
     return this.#presets;
   }
 
+  /**
+   * Get the config in its canonical form, this makes
+   * `JSON.stringify(preset)` return a portable JSON document
+   *
+   * The keys are in the order of the key definitions. Keys that are
+   * not defined in ConfigKeys are left out, as fromJSON() rejects them.
+   * A random generator that is not built in is left out as well, it
+   * has no portable name, so fromJSON() falls back to AUTO for it.
+   * The character substitutions are sorted as well, so the same config
+   * always gives the same JSON.
+   *
+   * @return {object} - the canonical config
+   */
+  toJSON() {
+    const config = this.config();
+    const known = ConfigKeys.keys().filter((key) => key in config &&
+      !is.function(config[key]));
+
+    const canonical = {};
+    known.forEach((key) => {
+      let value = config[key];
+      if (key === 'character_substitutions') {
+        value = Object.fromEntries(Object.entries(value).sort());
+      }
+      canonical[key] = structuredClone(value);
+    });
+    return canonical;
+  }
+
+  /**
+   * Get the config as readable text, one key per line
+   *
+   * @return {string} - the config as text
+   */
+  toString() {
+    return Object.entries(this.toJSON())
+      .map(([key, value]) => `${key}: ${JSON.stringify(value)}`)
+      .join('\n');
+  }
+
+  /**
+   * Create a preset from a JSON document
+   *
+   * The document is either a config, e.g. the result of
+   * `JSON.stringify(preset)`, or a preset with a description and a config.
+   *
+   * @param {string|object} json - the JSON text or the parsed object
+   * @return {Presets} - the custom preset
+   * @throws {Error} - when the JSON or the config is invalid
+   */
+  static fromJSON(json) {
+    let document = json;
+    if (is.string(json)) {
+      try {
+        document = JSON.parse(json);
+      } catch (e) {
+        throw new Error(`Invalid JSON (${e.message}) found`);
+      }
+    }
+
+    const isPreset = is.json(document) && is.json(document.config);
+    const config = isPreset ? document.config : document;
+    const problems = ConfigValidator.validate(config);
+    if (problems.length > 0) {
+      throw new Error('Invalid config: ' + problems
+        .map((problem) => `${problem.path}: ${problem.message}`).join('; '));
+    }
+
+    return new Presets({
+      description: (isPreset && is.string(document.description)) ?
+        document.description : 'Imported preset',
+      config: config,
+    });
+  }
+
   /**
    * Normalize the config object
    *
@@ -523,17 +644,27 @@ class Presets {
    * @return {Object} - the normalized config
    */
   __normalize(config) {
-    // create a clone, so we can safely reference the original value
+    this.#report = {};
+
+    // create a clone, so we can safely reference the original value,
+    // and fill in the defaults of the missing keys
+    // (the keys that depend on other keys are handled below)
+    config = {...ConfigKeys.defaults(), ...this.__definedKeys(config)};
     const newConfig = {...config};
 
     // set the min and max word lengths
     const [min, max] = this.__getMinMaxWordLength(
-      config.min_word_length, config.max_word_length);
-    newConfig.min_word_length = min;
-    newConfig.max_word_length = max;
+      config.word_length_min, config.word_length_max);
+    newConfig.word_length_min = min;
+    newConfig.word_length_max = max;
 
-    // make sure num_words >= 2
-    newConfig.num_words = Math.max(2, config.num_words);
+    // make sure num_words is not below the minimum
+    newConfig.num_words = Math.max(
+      ConfigKeys.definition('num_words').min, config.num_words);
+
+    // the symbols as an array of graphemes
+    newConfig.symbol_alphabet = this.__configureAlphabet(
+      config.symbol_alphabet, config.max_alphabet_size, 'symbol_alphabet');
 
     // get the separator configuration
     const {separatorType,
@@ -553,9 +684,60 @@ class Presets {
     newConfig.padding_character = paddingCharacter;
     newConfig.padding_alphabet = paddingAlphabet;
 
+    // in the old layout the separator character can be a code,
+    // so use the normalized separator character
+    if (paddingCharType === 'SEPARATOR') {
+      newConfig.padding_character = separatorCharacter;
+    }
+
+    // get the character substitution configuration
+    const {substitutionMode,
+      characterSubstitutions} = this.__getSubstitutionConfig(config);
+
+    newConfig.substitution_mode = substitutionMode;
+    newConfig.character_substitutions = characterSubstitutions;
+
+    // get the name of the random number generator,
+    // AUTO means the best available one
+    newConfig.random_function =
+      RandomFactory.sourceName(config.random_function);
+
+    // get the number of random numbers to cache,
+    // AUTO means enough for one password
+    newConfig.random_increment = this.__getRandomIncrement(config);
+
     return newConfig;
   }
 
+  /**
+   * Make a deep copy of a config, a random generator class
+   * in random_function is kept as it is
+   *
+   * @private
+   *
+   * @param {object} config - the config
+   * @return {object} - the copy
+   */
+  __cloneConfig(config) {
+    return Object.fromEntries(Object.entries(config ?? {})
+      .map(([key, value]) =>
+        [key, is.function(value) ? value : structuredClone(value)]));
+  }
+
+  /**
+   * Remove the keys without a value from the config,
+   * so they get the default value
+   *
+   * @private
+   *
+   * @param {object} config - the config
+   * @return {object} - a copy of the config without undefined values
+   */
+  __definedKeys(config) {
+    return Object.fromEntries(Object.entries(config)
+      .filter(([key, value]) => is.not.undefined(value)));
+  }
+
   /**
    * Get the list of separator characters
    * or default to the list of symbol characters
@@ -563,7 +745,7 @@ class Presets {
    * @private
    *
    * @param {object} config - the config to test
-   * @return {string} the list of characters
+   * @return {array} the list of characters
    */
   __getSeparatorAlphabet(config) {
     // if there is no parameter, use the current config
@@ -575,7 +757,9 @@ class Presets {
           tmpConfig.separator_alphabet :
           tmpConfig.symbol_alphabet);
 
-   return this.__configureAlphabet(alphabet);
+    // the symbol alphabet is reported when it is normalized
+    return this.__configureAlphabet(alphabet, tmpConfig.max_alphabet_size,
+      tmpConfig.separator_alphabet ? 'separator_alphabet' : undefined);
   }
 
   /**
@@ -585,7 +769,7 @@ class Presets {
    * @private
    *
    * @param {object} config - the config to test
-   * @return {string} the list of characters
+   * @return {array} the list of characters
    */
   __getPaddingAlphabet(config) {
     // if there is no parameter, use the current config
@@ -597,26 +781,116 @@ class Presets {
             tmpConfig.padding_alphabet :
             tmpConfig.symbol_alphabet);
 
-    return this.__configureAlphabet(alphabet);
+    // the symbol alphabet is reported when it is normalized
+    return this.__configureAlphabet(alphabet, tmpConfig.max_alphabet_size,
+      is.not.undefined(tmpConfig.padding_alphabet) ?
+        'padding_alphabet' : undefined);
+  }
+
+  /**
+   * Distil a list of characters down to an alphabet of symbols
+   *
+   * The alphabet keeps every symbol once, in the order it was given.
+   * Letters, digits and whitespace are dropped, they are not symbols,
+   * and so are the symbols after the first maxSize ones.
+   * Every character is a grapheme, so emoji and characters with
+   * combining marks stay whole, see Graphemes.
+   * This is the JavaScript version of _distil_to_symbol_alphabet()
+   * in Crypt::HSXKPasswd.
+   *
+   * The report of the removed characters has the lists:
+   *   * duplicates - the symbols that were listed more than once
+   *   * letters - the letters, with or without accents
+   *   * digits - the digits
+   *   * whitespace - the spaces, tabs and line breaks
+   *   * overflow - the symbols after the first maxSize ones
+   *
+   * @param {array|string} alphabet - the characters
+   * @param {number} maxSize - the maximum number of symbols to keep,
+   *  defaults to the default of max_alphabet_size
+   * @return {object} - the alphabet as array of symbols and
+   *  the removed characters
+   */
+  static distilToSymbolAlphabet(alphabet,
+    maxSize = ConfigKeys.definition('max_alphabet_size').default) {
+    const characters = Graphemes.split(
+      is.array(alphabet) ? alphabet.join('') : String(alphabet ?? ''));
+    const symbols = [];
+    const removed = {
+      duplicates: [],
+      letters: [],
+      digits: [],
+      whitespace: [],
+      overflow: [],
+    };
+
+    characters.forEach((character) => {
+      if (/^\s+$/u.test(character)) {
+        removed.whitespace.push(character);
+      } else if (/^\p{L}\p{M}*$/u.test(character)) {
+        removed.letters.push(character);
+      } else if (/^\p{Nd}$/u.test(character)) {
+        removed.digits.push(character);
+      } else if (symbols.includes(character)) {
+        removed.duplicates.push(character);
+      } else if (symbols.length >= maxSize) {
+        removed.overflow.push(character);
+      } else {
+        symbols.push(character);
+      }
+    });
+
+    return {alphabet: symbols, removed: removed};
   }
 
   /**
    * Helper function to configure the alphabet
    * or default to the DEFAULT.symbol_alphabet
    *
+   * The alphabet is distilled to an array of symbols,
+   * see distilToSymbolAlphabet(). When a key is given, the removed
+   * characters are added to the report and a warning lists them.
+   *
    * @private
    *
    * @param {array|string} alphabet - the alphabet to configure
-   * @return {string} - the alphabet as string
+   * @param {number} maxSize - the maximum number of symbols,
+   *  defaults to the default of max_alphabet_size
+   * @param {string} key - the config key of the alphabet
+   *  to report the removed characters for
+   * @return {array} - the alphabet as array of graphemes
    */
-  __configureAlphabet(alphabet) {
-      alphabet = ((alphabet === undefined || (alphabet.length === 0)) ?
-      thePresets.DEFAULT.config.symbol_alphabet : alphabet);
-
-    // make sure the alphabet is not longer than the max length
-    return is.array(alphabet) ?
-      alphabet.join('').substring(0, this.#max_alphabet) :
-      alphabet.substring(0, this.#max_alphabet);
+  __configureAlphabet(alphabet, maxSize, key) {
+    alphabet = ((alphabet === undefined || (alphabet.length === 0)) ?
+      ConfigKeys.definition('symbol_alphabet').default : alphabet);
+
+    const distilled = Presets.distilToSymbolAlphabet(alphabet,
+      maxSize ?? ConfigKeys.definition('max_alphabet_size').default);
+
+    if (is.not.undefined(key)) {
+      const removed = Presets.describeRemoved(distilled.removed);
+      if (removed !== '') {
+        this.#report[key] = distilled.removed;
+        log.warn(`${key}: removed ${removed}`);
+      }
+    }
+    return distilled.alphabet;
+  }
+
+  /**
+   * Describe the characters removed from an alphabet,
+   * e.g. `duplicates ('!'), letters ('a' 'b')`
+   *
+   * @param {object} removed - the removed characters,
+   *  see distilToSymbolAlphabet()
+   * @return {string} - the description, empty when nothing was removed
+   */
+  static describeRemoved(removed) {
+    return Object.entries(removed)
+      .filter(([reason, characters]) => characters.length > 0)
+      .map(([reason, characters]) =>
+        `${reason} (${characters.map((c) => `'${c}'`).join(' ')})`)
+      .join(', ');
   }
 
   /**
@@ -630,9 +904,10 @@ class Presets {
    */
   __getMinMaxWordLength(min, max) {
     // make sure min and max are in the right order
-    // only positive values >= 3 (see documentation)
-    let minLength = Math.max(3, min);
-    let maxLength = Math.max(3, max);
+    // only values >= the minimum of the key definition
+    const lowest = ConfigKeys.definition('word_length_min').min;
+    let minLength = Math.max(lowest, min);
+    let maxLength = Math.max(lowest, max);
 
     // make sure min and max are not reversed
     const tmp = Math.min(minLength, maxLength);
@@ -674,7 +949,7 @@ class Presets {
         newConfig.separatorCharacter = '';
         break;
       default:
-        if (config.separator_character.length > 1) {
+        if (Graphemes.length(config.separator_character) > 1) {
           throw new Error(
             `Unknown separator code (${config.separator_character}) found`);
         }
@@ -691,7 +966,7 @@ class Presets {
         break;
       case 'FIXED':
         if (is.undefined(config.separator_character) ||
-          config.separator_character.length > 1) {
+          Graphemes.length(config.separator_character) > 1) {
           throw new Error(
             // eslint-disable-next-line max-len
             `Multiple or unknown separator character(s) (${config.separator_character}) found`);
@@ -737,7 +1012,7 @@ class Presets {
         newConfig.paddingCharacter = config.separator_character;
         break;
       default:
-        if (config.padding_character.length > 1) {
+        if (Graphemes.length(config.padding_character) > 1) {
           throw new Error(
             `Unknown padding code (${config.padding_character}) found`);
         }
@@ -758,7 +1033,7 @@ class Presets {
         break;
       case 'FIXED':
         if (is.undefined(config.padding_character) ||
-          config.padding_character.length > 1) {
+          Graphemes.length(config.padding_character) > 1) {
           throw new Error(
             // eslint-disable-next-line max-len
             `Multiple or unknown padding character(s) ($config.padding_character)`,
@@ -776,6 +1051,97 @@ class Presets {
     log.trace(`returning newConfig: ${JSON.stringify(newConfig)}`);
     return newConfig;
   }
+
+  /**
+   * Get the character substitution configuration
+   *
+   * A character substitution maps a single character onto either
+   * a replacement string, or an array of replacement strings
+   * to choose from, e.g. `{a: '@', e: ['3', '€']}`.
+   *
+   * The substitution mode is one of:
+   * * NEVER - no substitutions are made
+   * * ALWAYS - every substitution is made
+   * * RANDOM - each substitution is made or not at random
+   *
+   * If no mode is given, it defaults to ALWAYS when there are
+   * substitutions and NEVER when there are none.
+   *
+   * @param {object} config - the config to fix
+   *
+   * @return {object} - the object with the normalized properties
+   * @throws {Error} - when the substitutions or the mode are invalid
+   */
+  __getSubstitutionConfig(config) {
+    const newConfig = {};
+
+    const substitutions = is.undefined(config.character_substitutions) ?
+      {} : config.character_substitutions;
+
+    if (is.not.json(substitutions)) {
+      throw new Error(
+        `Invalid character substitutions (${substitutions}) found`);
+    }
+
+    newConfig.characterSubstitutions = {};
+    for (const [key, sub] of Object.entries(substitutions)) {
+      // the words are normalized the same way, see XKPasswd
+      const char = key.normalize('NFC');
+      if (Graphemes.length(char) !== 1) {
+        throw new Error(
+          `Character substitution key (${key}) is not a single character`);
+      }
+      const replacements = is.array(sub) ? sub : [sub];
+      if (replacements.length === 0 ||
+        replacements.some((el) => is.not.string(el) || el.length === 0)) {
+        throw new Error(
+          `Invalid substitution(s) (${sub}) for character ${char}`);
+      }
+      // clone arrays to avoid side effects on the original config
+      newConfig.characterSubstitutions[char] =
+        is.array(sub) ? [...sub] : sub;
+    }
+
+    const hasSubstitutions =
+      Object.keys(newConfig.characterSubstitutions).length > 0;
+
+    switch (config.substitution_mode) {
+    case undefined:
+      newConfig.substitutionMode = hasSubstitutions ? 'ALWAYS' : 'NEVER';
+      break;
+    case 'NEVER':
+    case 'ALWAYS':
+    case 'RANDOM':
+      newConfig.substitutionMode = config.substitution_mode;
+      break;
+    default:
+      throw new Error(
+        `Unknown substitution mode (${config.substitution_mode}) found`);
+    }
+
+    log.trace(`returning newConfig: ${JSON.stringify(newConfig)}`);
+    return newConfig;
+  }
+
+  /**
+   * Get the number of random numbers to cache per refill
+   *
+   * @private
+   *
+   * @param {object} config - the config to test
+   * @return {string|number} 'AUTO' or a positive integer
+   * @throws {Error} - when the increment is invalid
+   */
+  __getRandomIncrement(config) {
+    const increment = config.random_increment;
+    if (is.undefined(increment) || increment === 'AUTO') {
+      return 'AUTO';
+    }
+    if (is.not.integer(increment) || increment < 1) {
+      throw new Error(`Invalid random increment (${increment}) found`);
+    }
+    return increment;
+  }
 }
 
 export {Presets};
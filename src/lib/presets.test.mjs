@@ -2,7 +2,14 @@
  * Test class Presets
  */
 
+import {jest} from '@jest/globals';
+import log from 'loglevel';
+
 import {Presets} from './presets.mjs';
+import {ConfigKeys} from './configkeys.mjs';
+import {RandomBasic} from './randombasic.mjs';
+import {DictionaryEN} from './dictionaryEN.mjs';
+import {Statistics} from './statistics.mjs';
 
 describe('Test class Presets', () => {
   const me = Presets;
@@ -49,16 +56,41 @@ describe('Test class Presets', () => {
 
     test('when initialized without parameter gives default set', () => {
       const preset = (new Presets()).getCurrent();
-      expect(preset).toEqual(def);
+      expect(preset.description).toBe(def.description);
+      expect(preset.config.num_words).toBe(def.config.num_words);
     });
 
     test('when initialized with my preset gives the preset I added', () => {
       const preset = new Presets(mock);
 
-      expect(preset.getCurrent()).not.toEqual(def);
-      expect(preset.getCurrent()).toEqual(mock);
+      expect(preset.getCurrent().description).toBe(mock.description);
+      expect(preset.getCurrent().config.separator_alphabet)
+        .toEqual(['+', '-']);
       expect(preset.name()).toBe('CUSTOM');
     });
+
+    test('it does not change the preset it is given', () => {
+      const spy = jest.spyOn(log, 'warn').mockImplementation(() => {});
+      const copy = structuredClone(mock);
+      const config = {symbol_alphabet: '!a@', character_substitutions:
+        {e: '3'}};
+
+      expect(new Presets(mock).config().num_words).toBe(2);
+      expect(mock).toEqual(copy);
+      const first = new Presets({description: 'mine', config: config});
+      const second = new Presets({description: 'mine', config: config});
+      expect(second.report()).toEqual(first.report());
+      expect(second.report().symbol_alphabet.letters).toEqual(['a']);
+      expect(config).toEqual({symbol_alphabet: '!a@',
+        character_substitutions: {e: '3'}});
+
+      // neither are the predefined presets
+      const original = structuredClone(Presets.getDefault());
+      new Presets('DEFAULT').config().symbol_alphabet.push('#');
+      expect(Presets.getDefault()).toEqual(original);
+
+      spy.mockRestore();
+    });
   });
 
   describe('Test constructor', () => {
@@ -119,6 +151,141 @@ describe('Test class Presets', () => {
     });
   });
 
+  describe('Test function __configureAlphabet', () => {
+    const me = new Presets();
+
+    test('it splits the alphabet into graphemes', () => {
+      expect(me.__configureAlphabet('!\u{1F44D}\u{1F3FD}\u00A7\u0301'))
+        .toEqual(['!', '\u{1F44D}\u{1F3FD}', '\u00A7\u0301']);
+      expect(me.__configureAlphabet(['!', '\u{1F3B2}']))
+        .toEqual(['!', '\u{1F3B2}']);
+    });
+
+    test('it keeps at most max_alphabet_size symbols', () => {
+      const symbols = '!@$%^&*-_+=:|~?/.;,#<>';
+      expect(me.__configureAlphabet(symbols)).toHaveLength(20);
+      expect(me.__configureAlphabet(symbols, 5))
+        .toEqual(['!', '@', '$', '%', '^']);
+    });
+
+    test('it uses the default when the alphabet is empty', () => {
+      expect(me.__configureAlphabet('').join(''))
+        .toBe(ConfigKeys.definition('symbol_alphabet').default);
+    });
+
+    test('it warns about the removed characters of a key', () => {
+      const spy = jest.spyOn(log, 'warn').mockImplementation(() => {});
+
+      expect(me.__configureAlphabet('a!!', 20)).toEqual(['!']);
+      expect(spy).not.toHaveBeenCalled();
+
+      me.__configureAlphabet('a!! 1', 20, 'symbol_alphabet');
+      expect(spy).toHaveBeenCalledTimes(1);
+      expect(spy.mock.calls[0][0]).toBe('symbol_alphabet: removed ' +
+        'duplicates (\'!\'), letters (\'a\'), digits (\'1\'), ' +
+        'whitespace (\' \')');
+      expect(me.report()).toEqual({
+        symbol_alphabet: {
+          duplicates: ['!'],
+          letters: ['a'],
+          digits: ['1'],
+          whitespace: [' '],
+          overflow: [],
+        },
+      });
+
+      spy.mockRestore();
+    });
+  });
+
+  describe('Test function report', () => {
+    test('it is empty when nothing was removed', () => {
+      expect(new Presets('XKCD').report()).toEqual({});
+    });
+
+    test('it returns a copy', () => {
+      const spy = jest.spyOn(log, 'warn').mockImplementation(() => {});
+      const preset = new Presets({
+        description: 'letters',
+        config: {symbol_alphabet: '!a@'},
+      });
+      preset.report().symbol_alphabet.letters.push('b');
+      expect(preset.report().symbol_alphabet.letters).toEqual(['a']);
+
+      spy.mockRestore();
+    });
+  });
+
+  describe('Test function distilToSymbolAlphabet', () => {
+    test('it keeps every symbol once, in order', () => {
+      expect(Presets.distilToSymbolAlphabet(['!', '@', '!', '-', '@']))
+        .toEqual({
+          alphabet: ['!', '@', '-'],
+          removed: {
+            duplicates: ['!', '@'],
+            letters: [],
+            digits: [],
+            whitespace: [],
+            overflow: [],
+          },
+        });
+    });
+
+    test('it drops letters, digits and whitespace', () => {
+      const actual = Presets.distilToSymbolAlphabet(
+        '! @ $\tAz\u00E9e\u0301\u03A9 7\u0663\n1\uFE0F\u20E3');
+      expect(actual.alphabet).toEqual(['!', '@', '$', '1\uFE0F\u20E3']);
+      expect(actual.removed.letters)
+        .toEqual(['A', 'z', '\u00E9', 'e\u0301', '\u03A9']);
+      expect(actual.removed.digits).toEqual(['7', '\u0663']);
+      expect(actual.removed.whitespace)
+        .toEqual([' ', ' ', '\t', ' ', '\n']);
+    });
+
+    test('it keeps at most maxSize symbols', () => {
+      const actual = Presets.distilToSymbolAlphabet('!@$%^&', 4);
+      expect(actual.alphabet).toEqual(['!', '@', '$', '%']);
+      expect(actual.removed.overflow).toEqual(['^', '&']);
+      expect(Presets.distilToSymbolAlphabet('!@$%^&').alphabet)
+        .toHaveLength(6);
+    });
+
+    test('it returns an empty alphabet for nothing', () => {
+      expect(Presets.distilToSymbolAlphabet(undefined).alphabet).toEqual([]);
+      expect(Presets.distilToSymbolAlphabet([]).alphabet).toEqual([]);
+    });
+  });
+
+  describe('Test the config key max_alphabet_size', () => {
+    test('it limits the size of every alphabet', () => {
+      const spy = jest.spyOn(log, 'warn').mockImplementation(() => {});
+      const preset = new Presets({
+        description: 'small alphabets',
+        config: {
+          max_alphabet_size: 3,
+          symbol_alphabet: '!@$%^',
+          separator_type: 'RANDOM',
+          separator_alphabet: '-+=.*',
+        },
+      });
+      const config = preset.config();
+      expect(config.symbol_alphabet).toEqual(['!', '@', '$']);
+      expect(config.separator_alphabet).toEqual(['-', '+', '=']);
+      expect(config.padding_alphabet).toEqual(['!', '@', '$']);
+      expect(spy.mock.calls.map((call) => call[0])).toEqual([
+        'symbol_alphabet: removed overflow (\'%\' \'^\')',
+        'separator_alphabet: removed overflow (\'.\' \'*\')',
+      ]);
+      const report = preset.report();
+      expect(Object.keys(report))
+        .toEqual(['symbol_alphabet', 'separator_alphabet']);
+      expect(report.symbol_alphabet.overflow).toEqual(['%', '^']);
+      expect(report.separator_alphabet.overflow).toEqual(['.', '*']);
+
+      spy.mockRestore();
+    });
+  });
+
   describe('Test function getPaddingAlphabet', () => {
     test('if padding_alphabet exists, it is chosen', () => {
       const preset = new Presets(mock);
@@ -444,14 +611,14 @@ describe('Test class Presets', () => {
       const config = {...def.config()};
       config.padding_character_type = 'RANDOM';
       config.padding_character = undefined;
-      config.padding_alphabet = 'xy!';
+      config.padding_alphabet = '#%!';
 
       const me = new Presets();
       const actual = me.__getPaddingCharacterConfig(config);
       const expected = {
         paddingCharType: 'RANDOM',
         paddingCharacter: '',
-        paddingAlphabet: 'xy!',
+        paddingAlphabet: ['#', '%', '!'],
       };
       expect(actual).toEqual(expected);
     });
@@ -463,7 +630,7 @@ describe('Test class Presets', () => {
       const config = {...def.config()};
       config.padding_character_type = 'FIXED';
       config.padding_character = undefined;
-      config.padding_alphabet = 'xy!';
+      config.padding_alphabet = '#%!';
 
       const me = new Presets();
       expect(() => {
@@ -477,14 +644,14 @@ describe('Test class Presets', () => {
       const config = {...def.config()};
       config.padding_character_type = 'FIXED';
       config.padding_character = 'A';
-      config.padding_alphabet = 'xy!';
+      config.padding_alphabet = '#%!';
 
       const me = new Presets();
       const actual = me.__getPaddingCharacterConfig(config);
       const expected = {
         paddingCharType: 'FIXED',
         paddingCharacter: 'A',
-        paddingAlphabet: 'xy!',
+        paddingAlphabet: ['#', '%', '!'],
       };
       expect(actual).toEqual(expected);
     });
@@ -504,4 +671,264 @@ describe('Test class Presets', () => {
       }).toThrow(Error);
     });
   });
+
+  describe('Test function __getSubstitutionConfig', () => {
+    const me = new Presets();
+
+    test('it returns NEVER and no substitutions by default', () => {
+      const actual = me.__getSubstitutionConfig({});
+      expect(actual).toEqual({
+        substitutionMode: 'NEVER',
+        characterSubstitutions: {},
+      });
+    });
+
+    test('it defaults to ALWAYS when there are substitutions', () => {
+      const config = {
+        character_substitutions: {a: '@', e: ['3', '€']},
+      };
+      const actual = me.__getSubstitutionConfig(config);
+      expect(actual).toEqual({
+        substitutionMode: 'ALWAYS',
+        characterSubstitutions: {a: '@', e: ['3', '€']},
+      });
+      // the arrays are copies
+      expect(actual.characterSubstitutions.e)
+        .not.toBe(config.character_substitutions.e);
+    });
+
+    test('it keeps a valid substitution mode', () => {
+      const actual = me.__getSubstitutionConfig({
+        character_substitutions: {a: '@'},
+        substitution_mode: 'RANDOM',
+      });
+      expect(actual.substitutionMode).toBe('RANDOM');
+    });
+
+    test('it takes a character with an accent as a key', () => {
+      // the decomposed key is normalized to the composed one
+      const actual = me.__getSubstitutionConfig({
+        character_substitutions: {'e\u0301': '3', '\u{1F3B2}': '6'},
+      });
+      expect(actual.characterSubstitutions)
+        .toEqual({'\u00E9': '3', '\u{1F3B2}': '6'});
+    });
+
+    test('it throws an error for an unknown mode', () => {
+      expect(() => {
+        me.__getSubstitutionConfig({substitution_mode: 'SOMETIMES'});
+      }).toThrow('Unknown substitution mode (SOMETIMES) found');
+    });
+
+    test('it throws an error for invalid substitutions', () => {
+      expect(() => {
+        me.__getSubstitutionConfig({character_substitutions: '@'});
+      }).toThrow(Error);
+      expect(() => {
+        me.__getSubstitutionConfig({character_substitutions: {ab: '@'}});
+      }).toThrow(Error);
+      expect(() => {
+        me.__getSubstitutionConfig({character_substitutions: {a: []}});
+      }).toThrow(Error);
+      expect(() => {
+        me.__getSubstitutionConfig({character_substitutions: {a: ['@', 4]}});
+      }).toThrow(Error);
+    });
+  });
+
+  describe('Test the random_function normalization', () => {
+    test('it defaults to AUTO', () => {
+      const preset = new Presets({description: 'mock', config: {}});
+      expect(preset.config().random_function).toBe('AUTO');
+    });
+
+    test('it converts a known class to its name', () => {
+      const preset = new Presets({
+        description: 'mock',
+        config: {random_function: RandomBasic},
+      });
+      expect(preset.config().random_function).toBe('RandomBasic');
+    });
+
+    test('it throws an error for an unknown generator', () => {
+      expect(() => new Presets({
+        description: 'mock',
+        config: {random_function: 'Crypt::HSXKPasswd::RNG::Basic'},
+      })).toThrow(Error);
+    });
+  });
+
+  describe('Test the serialization', () => {
+    test('toJSON returns the keys in a stable order', () => {
+      const preset = new Presets({
+        description: 'mock',
+        config: {
+          character_substitutions: {o: '0', e: '3'},
+          num_words: 4,
+          word_length_min: 5,
+        },
+      });
+      const json = preset.toJSON();
+      const keys = Object.keys(json);
+      expect(keys.indexOf('word_length_min'))
+        .toBeLessThan(keys.indexOf('num_words'));
+      expect(Object.keys(json.character_substitutions)).toEqual(['e', 'o']);
+      expect(JSON.stringify(preset)).toBe(JSON.stringify(json));
+    });
+
+    test('toJSON leaves out the unknown keys', () => {
+      const preset = new Presets({
+        description: 'mock',
+        config: {num_words: 4, my_own_key: 'value'},
+      });
+      expect(preset.config().my_own_key).toBe('value');
+      expect(preset.toJSON()).not.toHaveProperty('my_own_key');
+
+      const copy = Presets.fromJSON(JSON.stringify(preset));
+      expect(copy.toJSON()).toEqual(preset.toJSON());
+    });
+
+    test('toJSON stores a random generator class by its name', () => {
+      const preset = new Presets({
+        description: 'mock',
+        config: {random_function: RandomBasic},
+      });
+      expect(preset.toJSON().random_function).toBe('RandomBasic');
+    });
+
+    test('toJSON leaves out a random generator that is not built in', () => {
+      /**
+       * Random generator that is not known to the RandomFactory
+       */
+      class RandomCustom extends RandomBasic {}
+      const preset = new Presets({
+        description: 'mock',
+        config: {random_function: RandomCustom},
+      });
+      expect(preset.config().random_function).toBe(RandomCustom);
+      expect(preset.toJSON()).not.toHaveProperty('random_function');
+
+      const copy = Presets.fromJSON(JSON.stringify(preset));
+      expect(copy.config().random_function).toBe('AUTO');
+    });
+
+    test('toString returns one key per line', () => {
+      const lines = new Presets('XKCD').toString().split('\n');
+      expect(lines).toContain('num_words: 5');
+      expect(lines).toContain('separator_character: "-"');
+      expect(lines.length).toBe(Object.keys(new Presets('XKCD').toJSON())
+        .length);
+    });
+
+    test.each(new Presets().getPresets())(
+      'preset %s round-trips with identical stats', (name) => {
+        const preset = new Presets(name);
+        const copy = Presets.fromJSON(JSON.stringify(preset));
+        expect(copy.toJSON()).toEqual(preset.toJSON());
+
+        const dict = new DictionaryEN();
+        expect(new Statistics(copy.config(), dict).calculateStats())
+          .toEqual(new Statistics(preset.config(), dict).calculateStats());
+      });
+
+    test('a preset with emoji characters round-trips', () => {
+      const preset = new Presets({
+        description: 'emoji preset',
+        config: {
+          separator_type: 'FIXED',
+          separator_character: '\u{1F44D}\u{1F3FD}',
+          padding_type: 'FIXED',
+          padding_characters_before: 1,
+          padding_character_type: 'FIXED',
+          padding_character: '\u{1F3B2}',
+        },
+      });
+      const copy = Presets.fromJSON(JSON.stringify(preset));
+      expect(copy.toJSON()).toEqual(preset.toJSON());
+      expect(copy.config().separator_character).toBe('\u{1F44D}\u{1F3FD}');
+    });
+
+    test('fromJSON accepts a preset with a description', () => {
+      const preset = Presets.fromJSON({
+        description: 'My preset',
+        config: {num_words: 4},
+      });
+      expect(preset.description()).toBe('My preset');
+      expect(preset.name()).toBe('CUSTOM');
+      expect(preset.config().num_words).toBe(4);
+      expect(Presets.fromJSON({num_words: 4}).description())
+        .toBe('Imported preset');
+    });
+
+    test('fromJSON throws an error for invalid JSON', () => {
+      expect(() => Presets.fromJSON('{num_words: 4')).toThrow('Invalid JSON');
+    });
+
+    test('fromJSON throws an error for an invalid config', () => {
+      expect(() => Presets.fromJSON({num_words: 1, dessert: 'waffles'}))
+        .toThrow('Invalid config: num_words: num_words (1) must be at ' +
+          'least 2; dessert: Unknown key (dessert)');
+    });
+  });
+
+  describe('Test the defaults of missing keys', () => {
+    test('it fills in the defaults of the key definitions', () => {
+      const config = new Presets({description: 'mock', config: {}}).config();
+      expect(config.num_words).toBe(3);
+      expect(config.word_length_min).toBe(4);
+      expect(config.word_length_max).toBe(8);
+      expect(config.padding_digits_before).toBe(0);
+      expect(config.case_transform).toBe('NONE');
+    });
+
+    test('it keeps the values that are given', () => {
+      const config = new Presets({
+        description: 'mock',
+        config: {num_words: 5, case_transform: 'UPPER'},
+      }).config();
+      expect(config.num_words).toBe(5);
+      expect(config.case_transform).toBe('UPPER');
+    });
+  });
+
+  describe('Test functions validateConfig and isValidConfig', () => {
+    test('it returns the problems of a config', () => {
+      const config = {num_words: 1, dessert: 'waffles'};
+      expect(Presets.validateConfig(config)).toEqual([
+        {path: 'num_words', message: 'num_words (1) must be at least 2'},
+        {path: 'dessert', message: 'Unknown key (dessert)'},
+      ]);
+      expect(Presets.isValidConfig(config)).toBe(false);
+    });
+
+    test('a normalized config is valid', () => {
+      expect(Presets.isValidConfig(new Presets('WIFI').config())).toBe(true);
+    });
+  });
+
+  describe('Test the random_increment normalization', () => {
+    test('it defaults to AUTO', () => {
+      const preset = new Presets({description: 'mock', config: {}});
+      expect(preset.config().random_increment).toBe('AUTO');
+    });
+
+    test('it keeps a positive integer', () => {
+      const preset = new Presets({
+        description: 'mock',
+        config: {random_increment: 50},
+      });
+      expect(preset.config().random_increment).toBe(50);
+    });
+
+    test('it throws an error for an invalid increment', () => {
+      expect(() => new Presets({
+        description: 'mock',
+        config: {random_increment: 0},
+      })).toThrow('Invalid random increment (0) found');
+      expect(() => new Presets({
+        description: 'mock',
+        config: {random_increment: 'MANUAL'},
+      })).toThrow('Invalid random increment');
+    });
+  });
 });
@@ -6,127 +6,44 @@
 
 import cryptoRandomString from 'crypto-random-string';
 import is from 'is-it-check';
-import log from 'loglevel';
+
+import {RNG} from './rng.mjs';
 
 /**
- * Generate random numbers
- * @class XKPasswd
+ * Generate random numbers with crypto-random-string
+ * @class RandomBasic
  */
-class RandomBasic {
-  /**
-   * Generate a random character based on a given charset
-   *
-   * @param {string} charset - charset to choose from
-   * @return {char} - random character
-   */
-  randomChar(charset) {
-    if (is.undefined(charset)) {
-      return '';
-    };
-    const c = cryptoRandomString({
-      length: 1,
-      characters: charset.toString(),
-    });
-    return c;
-  }
-
-  /**
-   * Generate a number of random digits
-   *
-   * @param {number} num - number of random digits to generate,
-   *  defaults to empty string if not given
-   * @return {Array} - array of random digits
-   * @throws Exception when parameter is not a number
-   *
-   */
-  randomDigits(num) {
-    // default to 1
-    if (is.null(num) || is.undefined(num) || num <= 0) {
-      return '';
-    }
-    if (is.not.number(num)) {
-      const errMsg = 'Parameter "num" is not a number! [' + num + ']';
-      // log.error('ERROR', errMsg);
-      throw new Error(errMsg);
-    }
-
-    // const digits = new Array(num).fill(0).map(() => this.randomInt(10));
-    const digits = cryptoRandomString({
-      length: num,
-      type: 'numeric',
-    });
-    return digits;
-  }
-
+class RandomBasic extends RNG {
   /**
-   * Toss: generate a random odd/even number
+   * Return the name of the source of the random numbers
    *
-   * @return {int} - a random value 0 or 1
+   * @return {string} - name of the source
    */
-  toss() {
-    const t = cryptoRandomString({
-      length: 10,
-      type: 'numeric',
-    });
-    return parseInt(t) % 2;
+  source() {
+    return 'RandomBasic';
   }
 
   /**
-   * Generate a random integer greater than 0 and less than a given
-   * maximum value.
+   * Return an array of random bytes
    *
-   * @param {integer} max - max value of the random number (positive integer)
-   * @return {integer} - the random number
-   * @throws Exception when the parameter is not an integer
-   */
-  randomInt(max) {
-    // default to 1
-    if (is.null(max) || is.undefined(max)) {
-      max = 1;
-    }
-    if (is.not.integer(max)) {
-      const errMsg = 'Parameter "max" is not an integer! [' + max + ']';
-      // log.error('ERROR', errMsg);
-      throw new Error(errMsg);
-    }
-    return this.__randomInt(0, max);
-  }
-
-
-  /**
-   * Return values in the range of [0, 1]
+   * crypto-random-string only returns strings,
+   * so the bytes are parsed from a hex string.
    *
-   * @return {number} - a random number between 0 and 1
+   * @param {int} num - the number of bytes
+   * @return {Uint8Array} - the random bytes
    *
    * @private
    */
-  __randomFloat() {
-    // const float = crypto.getRandomValues(new Uint32Array(1))[0];
-    // return float / 2**32;
-
-    const str = cryptoRandomString({
-      length: 10,
-      type: 'numeric',
+  __randomBytes(num) {
+    const hex = cryptoRandomString({
+      length: num * 2,
+      type: 'hex',
     });
-    const float = (parseInt(str) / 10**10);
-    log.trace('__randomFloat ' + float);
-    return float;
-  }
-
-  /**
-   * Return integers in the range of [min, max]
-   * If min > max then swap min and max
-   *
-   * @param {int} min - minimum value
-   * @param {int} max - maximum value
-   * @return {int} a random value between min and max
-   *
-   * @private
-   */
-  __randomInt(min, max) {
-    const range = Math.abs(max - min);
-    min = (min > max ? max : min);
-    return Math.floor(this.__randomFloat() * range + min);
+    const bytes = new Uint8Array(num);
+    for (let i = 0; i < num; i++) {
+      bytes[i] = parseInt(hex.substring(i * 2, i * 2 + 2), 16);
+    }
+    return bytes;
   }
 
   /* eslint-disable max-len */
@@ -153,7 +70,7 @@ class RandomBasic {
       // log.error('ERROR', errMsg);
       throw new Error(errMsg);
     }
-    return new Array(num).fill(0).map(() => this.__randomInt(0, 9));
+    return new Array(num).fill(0).map(() => this.__randomInt(0, 10));
   }
 }
 
@@ -44,19 +44,11 @@ describe('Test RandomBasic', () => {
     });
   });
 
-  describe('Check internal function __randomFloat', () => {
-    test('it returns a float', () => {
-      const r = me.__randomFloat();
-      // there is no 'Float' in javascript,
-      // therefore this test returns true for all "float" values,
-      // including for those values that happen to be "integer" values.
-      // see: https://stackoverflow.com/a/71453052
-      expect(typeof r == 'number' && !isNaN(r)).toBe(true);
-    });
-    test('it returns a number between 0 and 1', () => {
-      const r = me.__randomFloat();
-      expect(r).toBeGreaterThanOrEqual(0);
-      expect(r).toBeLessThanOrEqual(1);
+  describe('Check internal function __randomBytes', () => {
+    test('it returns the requested number of bytes', () => {
+      const r = me.__randomBytes(5);
+      expect(r).toBeInstanceOf(Uint8Array);
+      expect(r.length).toBe(5);
     });
   });
 
@@ -0,0 +1,260 @@
+/**
+ * Random numbers from rolls of physical dice
+ *
+ * @module RandomDice
+ */
+
+import is from 'is-it-check';
+
+import {RNG} from './rng.mjs';
+
+/**
+ * Generate random numbers from dice rolls entered by the user
+ *
+ * For users who do not trust any software random number generator,
+ * every random number is taken from rolls of a physical six sided die.
+ * A number in the range [0, max) takes the smallest number of dice k
+ * with 6^k >= max, the dice are read as the digits of a base 6 number.
+ * Like the other generators, results at or above the largest multiple
+ * of the range are rejected and the next dice are read, so every
+ * number has the same probability.
+ *
+ * With a diceware dictionary of 6^k words a word takes exactly k dice,
+ * and the word is the one listed with those rolls.
+ *
+ * The rolls can only be passed in explicitly, this generator
+ * can not be chosen through the `random_function` config key.
+ *
+ * @class RandomDice
+ */
+class RandomDice extends RNG {
+  #rolls; // the rolls of the die, as numbers 1 - 6
+  #consumed; // the number of rolls used
+  #rejected; // the number of rolls thrown away by rejection sampling
+  #ranOut; // true when more rolls were needed than given
+
+  /**
+   * Constructor for the dice generator
+   *
+   * @constructor
+   *
+   * @param {string|Array} rolls - the rolls, e.g. '31662 14' or
+   *  [3, 1, 6], white space and commas in a string are ignored
+   * @throws {Error} - when a roll is not a number from 1 to 6
+   */
+  constructor(rolls) {
+    super();
+    let list = rolls;
+    if (is.string(rolls)) {
+      list = [...rolls.replace(/[\s,]/g, '')];
+    } else if (is.not.array(rolls)) {
+      throw new Error(`Unknown dice rolls (${rolls}) found`);
+    }
+    this.#rolls = list.map((roll) => {
+      const value = Number(roll);
+      if (is.not.integer(value) || value < 1 || value > 6) {
+        throw new Error(`Invalid dice roll (${roll}) found`);
+      }
+      return value;
+    });
+    this.#consumed = 0;
+    this.#rejected = 0;
+    this.#ranOut = false;
+  }
+
+  /**
+   * The numbers depend on the rolls only, so this generator
+   * cannot be chosen through the config
+   *
+   * @return {boolean} - true
+   */
+  static isDeterministic() {
+    return true;
+  }
+
+  /**
+   * Calculate the number of dice needed for a number
+   * in the range of [0, max), when no result is rejected
+   *
+   * @param {integer} max - max value of the number (exclusive)
+   * @return {integer} - the number of dice
+   */
+  static diceFor(max) {
+    let dice = 0;
+    for (let outcomes = 1; outcomes < max; outcomes *= 6) {
+      dice++;
+    }
+    return dice;
+  }
+
+  /**
+   * Calculate the number of dice to expect for a number in the range
+   * of [0, max), counting the dice of the rejected results
+   *
+   * E.g. a digit takes 2 dice, but 6 of the 36 results are rejected,
+   * so 2.4 dice are used on average.
+   *
+   * @param {integer} max - max value of the number (exclusive)
+   * @return {number} - the average number of dice
+   */
+  static expectedDiceFor(max) {
+    const dice = RandomDice.diceFor(max);
+    if (dice === 0) {
+      return 0;
+    }
+    const total = 6 ** dice;
+    return dice * total / (total - (total % max));
+  }
+
+  /**
+   * Return the name of the source of the random numbers
+   *
+   * @return {string} - name of the source
+   */
+  source() {
+    return 'RandomDice';
+  }
+
+  /**
+   * Return the number of rolls used so far
+   *
+   * @return {integer} - the number of rolls
+   */
+  rollsConsumed() {
+    return this.#consumed;
+  }
+
+  /**
+   * Return the number of rolls not used yet
+   *
+   * @return {integer} - the number of rolls
+   */
+  rollsLeft() {
+    return this.#rolls.length - this.#consumed;
+  }
+
+  /**
+   * Return the number of rolls that were used, but thrown away
+   * because the number they gave was rejected
+   *
+   * @return {integer} - the number of rolls
+   */
+  rollsRejected() {
+    return this.#rejected;
+  }
+
+  /**
+   * Check if more rolls were needed than were given
+   *
+   * @return {boolean} - true when the rolls ran out
+   */
+  ranOut() {
+    return this.#ranOut;
+  }
+
+  /**
+   * Report the state of the dice
+   *
+   * The dice do not use the cache of random bytes of RNG, so instead
+   * of the state of the cache this returns an object with:
+   *   * source: the name of the source of the random numbers
+   *   * rollsConsumed: the number of rolls used
+   *   * rollsRejected: the number of rolls used, but thrown away
+   *   * rollsLeft: the number of rolls not used yet
+   *
+   * @return {object} - the state of the generator
+   */
+  cacheState() {
+    return {
+      source: this.source(),
+      rollsConsumed: this.rollsConsumed(),
+      rollsRejected: this.rollsRejected(),
+      rollsLeft: this.rollsLeft(),
+    };
+  }
+
+  /**
+   * Take a number of rolls as they are, e.g. to look up a word
+   * with DictionaryDiceware.wordByDice()
+   *
+   * @param {integer} num - the number of rolls
+   * @return {string} - the rolls, e.g. '31662'
+   * @throws {Error} - when the rolls run out
+   */
+  rolls(num) {
+    let rolls = '';
+    for (let i = 0; i < num; i++) {
+      rolls += this.__nextRoll();
+    }
+    return rolls;
+  }
+
+  /**
+   * Return integers in the range of [min, max) read from the dice
+   * If min > max then swap min and max
+   *
+   * @param {int} min - minimum value
+   * @param {int} max - maximum value (exclusive)
+   * @return {int} a random value between min and max
+   * @throws {Error} - when the rolls run out
+   *
+   * @private
+   */
+  __randomInt(min, max) {
+    const range = Math.abs(max - min);
+    min = (min > max ? max : min);
+    if (range <= 1) {
+      return min;
+    }
+
+    // reject everything from the largest multiple of the range upwards
+    const dice = RandomDice.diceFor(range);
+    const total = 6 ** dice;
+    const limit = total - (total % range);
+    const read = () => {
+      let value = 0;
+      for (let i = 0; i < dice; i++) {
+        value = value * 6 + this.__nextRoll() - 1;
+      }
+      return value;
+    };
+    let value = read();
+    while (value >= limit) {
+      this.#rejected += dice;
+      value = read();
+    }
+    return min + (value % range);
+  }
+
+  /**
+   * Take the next roll
+   *
+   * @return {integer} - the roll
+   * @throws {Error} - when the rolls run out
+   *
+   * @private
+   */
+  __nextRoll() {
+    if (this.#consumed >= this.#rolls.length) {
+      this.#ranOut = true;
+      throw new Error('Not enough dice rolls, all ' +
+        `${this.#rolls.length} rolls were used`);
+    }
+    return this.#rolls[this.#consumed++];
+  }
+
+  /**
+   * Dice do not produce bytes, every number is read
+   * from the dice in __randomInt()
+   *
+   * @param {int} num - the number of bytes
+   * @throws {Error} - always
+   *
+   * @private
+   */
+  __randomBytes(num) {
+    throw new Error('RandomDice does not produce random bytes');
+  }
+}
+
+export {RandomDice};
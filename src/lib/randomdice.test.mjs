@@ -0,0 +1,96 @@
+/**
+ * Testing class RandomDice
+ */
+import {RandomDice} from './randomdice.mjs';
+import {RandomFactory} from './randomfactory.mjs';
+
+describe('Test class RandomDice', () => {
+  describe('Test the constructor', () => {
+    test('it accepts a string or an array of rolls', () => {
+      expect(new RandomDice('12 34,56').rollsLeft()).toBe(6);
+      expect(new RandomDice([1, '2', 3]).rollsLeft()).toBe(3);
+    });
+
+    test('it throws an error for an invalid roll', () => {
+      expect(() => new RandomDice('1237')).toThrow(
+        'Invalid dice roll (7) found');
+      expect(() => new RandomDice([1, 0])).toThrow(
+        'Invalid dice roll (0) found');
+      expect(() => new RandomDice(1234)).toThrow(
+        'Unknown dice rolls (1234) found');
+    });
+  });
+
+  test('it can not be chosen through the config', () => {
+    expect(RandomDice.isDeterministic()).toBe(true);
+    expect(() => RandomFactory.sourceName(RandomDice))
+      .toThrow('deterministic');
+  });
+
+  test('it calculates the number of dice for a range', () => {
+    expect(RandomDice.diceFor(1)).toBe(0);
+    expect(RandomDice.diceFor(2)).toBe(1);
+    expect(RandomDice.diceFor(6)).toBe(1);
+    expect(RandomDice.diceFor(7)).toBe(2);
+    expect(RandomDice.diceFor(1259)).toBe(4);
+    expect(RandomDice.diceFor(7776)).toBe(5);
+  });
+
+  describe('Test function rolls', () => {
+    test('it returns the rolls as they are', () => {
+      const dice = new RandomDice('12 66 3');
+      expect(dice.rolls(2)).toBe('12');
+      expect(dice.rolls(3)).toBe('663');
+      expect(dice.rollsLeft()).toBe(0);
+      expect(() => dice.rolls(1))
+        .toThrow('Not enough dice rolls, all 5 rolls were used');
+    });
+  });
+
+  describe('Test function randomInt', () => {
+    test('it reads the dice as a base 6 number', () => {
+      const dice = new RandomDice('1 6 3 11111 66666 21');
+      expect(dice.randomInt(6)).toBe(0);
+      expect(dice.randomInt(6)).toBe(5);
+      expect(dice.randomInt(6)).toBe(2);
+      expect(dice.randomInt(7776)).toBe(0);
+      expect(dice.randomInt(7776)).toBe(7775);
+      expect(dice.randomInt(36)).toBe(6);
+      expect(dice.rollsLeft()).toBe(0);
+    });
+
+    test('it rejects the rolls above the largest multiple', () => {
+      // 66 is 35, which is above 29 for a range of 10
+      const dice = new RandomDice('66 15');
+      expect(dice.randomInt(10)).toBe(4);
+      expect(dice.rollsConsumed()).toBe(4);
+      expect(dice.rollsRejected()).toBe(2);
+    });
+
+    test('it takes a single die for a toss', () => {
+      const dice = new RandomDice('1256');
+      expect([dice.toss(), dice.toss(), dice.toss(), dice.toss()])
+        .toEqual([0, 1, 0, 1]);
+    });
+
+    test('it throws an error when the rolls run out', () => {
+      const dice = new RandomDice('12');
+      expect(dice.ranOut()).toBe(false);
+      expect(() => dice.randomInt(7776))
+        .toThrow('Not enough dice rolls, all 2 rolls were used');
+      expect(dice.ranOut()).toBe(true);
+    });
+  });
+
+  test('it reports the rolls in the cache state', () => {
+    const dice = new RandomDice('66 1 23');
+    dice.randomInt(6);
+    dice.randomInt(10);
+    expect(dice.cacheState()).toEqual({
+      source: 'RandomDice',
+      rollsConsumed: 5,
+      rollsRejected: 2,
+      rollsLeft: 0,
+    });
+  });
+});
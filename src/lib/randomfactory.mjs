@@ -0,0 +1,126 @@
+/**
+ * Factory for the random number generators
+ *
+ * @module RandomFactory
+ */
+
+import is from 'is-it-check';
+import log from 'loglevel';
+
+import {RNG} from './rng.mjs';
+import {RandomWebCrypto} from './randomwebcrypto.mjs';
+import {RandomNodeCrypto} from './randomnodecrypto.mjs';
+import {RandomBasic} from './randombasic.mjs';
+
+/**
+ * All random number generators that can be chosen through the config,
+ * in order of preference
+ */
+const theSources = {
+  RandomWebCrypto: RandomWebCrypto,
+  RandomNodeCrypto: RandomNodeCrypto,
+  RandomBasic: RandomBasic,
+};
+
+/**
+ * Class that creates the random number generators
+ *
+ * The config key `random_function` selects the generator, it is either
+ * * AUTO - the best available generator is chosen
+ * * the name of one of the generators, e.g. 'RandomWebCrypto'
+ * * a class that extends RNG
+ *
+ * Deterministic generators, like RandomSeeded, are refused.
+ *
+ * @class RandomFactory
+ */
+class RandomFactory {
+  /**
+   * Get the names of all the known generators
+   *
+   * @return {Array} - names of the generators
+   */
+  static sources() {
+    return Object.keys(theSources);
+  }
+
+  /**
+   * Get the names of the generators that can be
+   * used in the current environment
+   *
+   * @return {Array} - names of the available generators
+   */
+  static availableSources() {
+    return RandomFactory.sources().filter(
+      (name) => theSources[name].isAvailable());
+  }
+
+  /**
+   * Create the best random number generator available
+   * in the current environment, like _best_available_rng in Perl
+   *
+   * @return {RNG} - the random number generator
+   */
+  static bestAvailable() {
+    const name = RandomFactory.availableSources()[0];
+    log.trace(`best available RNG: ${name}`);
+    return new theSources[name]();
+  }
+
+  /**
+   * Create a random number generator
+   *
+   * @param {string|Function} source - AUTO, the name of a generator
+   *  or a class that extends RNG, defaults to AUTO
+   * @return {RNG} - the random number generator
+   * @throws {Error} - when the source is unknown or not available
+   */
+  static create(source) {
+    const name = RandomFactory.sourceName(source);
+    if (name === 'AUTO') {
+      return RandomFactory.bestAvailable();
+    }
+
+    const RngClass = is.string(name) ? theSources[name] : name;
+    if (!RngClass.isAvailable()) {
+      throw new Error(
+        `Random source (${name}) is not available in this environment`);
+    }
+    return new RngClass();
+  }
+
+  /**
+   * Normalize a source to the name of a generator
+   *
+   * Known classes are converted to their name, so the config
+   * can be saved, other classes that extend RNG are returned as is.
+   *
+   * @param {string|Function} source - AUTO, the name of a generator
+   *  or a class that extends RNG, defaults to AUTO
+   * @return {string|Function} - AUTO, the name or the class
+   * @throws {Error} - when the source is unknown
+   */
+  static sourceName(source) {
+    if (is.undefined(source) || source === 'AUTO') {
+      return 'AUTO';
+    }
+    if (is.string(source)) {
+      if (is.undefined(theSources[source])) {
+        throw new Error(`Unknown random function (${source}) found`);
+      }
+      return source;
+    }
+    if (is.function(source) && source.prototype instanceof RNG) {
+      if (source.isDeterministic()) {
+        throw new Error('A deterministic random function can only be ' +
+          'passed in explicitly, never through the config');
+      }
+      const name = RandomFactory.sources().find(
+        (key) => theSources[key] === source);
+      return is.undefined(name) ? source : name;
+    }
+    throw new Error(`Unknown random function (${source}) found`);
+  }
+}
+
+export {RandomFactory};
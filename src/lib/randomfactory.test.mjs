@@ -0,0 +1,97 @@
+/**
+ * Testing class RandomFactory
+ */
+import {RNG} from './rng.mjs';
+import {RandomFactory} from './randomfactory.mjs';
+import {RandomBasic} from './randombasic.mjs';
+import {RandomNodeCrypto} from './randomnodecrypto.mjs';
+
+/**
+ * Helper class for a custom generator
+ */
+class RandomCustom extends RNG {
+  /**
+   * Always return zeros, so every number is the minimum
+   *
+   * @param {int} num - the number of bytes
+   * @return {Uint8Array} - the bytes
+   */
+  __randomBytes(num) {
+    return new Uint8Array(num);
+  }
+}
+
+describe('Test class RandomFactory', () => {
+  test('sources returns all generators in order of preference', () => {
+    expect(RandomFactory.sources()).toEqual(
+      ['RandomWebCrypto', 'RandomNodeCrypto', 'RandomBasic']);
+  });
+
+  test('availableSources only returns the available generators', () => {
+    const available = RandomFactory.availableSources();
+    expect(available).toContain('RandomBasic');
+    // this test runs in Node
+    expect(available).toContain('RandomNodeCrypto');
+  });
+
+  test('bestAvailable returns the first available generator', () => {
+    const rng = RandomFactory.bestAvailable();
+    expect(rng.source()).toBe(RandomFactory.availableSources()[0]);
+  });
+
+  describe('Test function create', () => {
+    test('AUTO or undefined returns the best available', () => {
+      const best = RandomFactory.availableSources()[0];
+      expect(RandomFactory.create().source()).toBe(best);
+      expect(RandomFactory.create('AUTO').source()).toBe(best);
+    });
+
+    test('a name returns that generator', () => {
+      expect(RandomFactory.create('RandomBasic')).toBeInstanceOf(RandomBasic);
+      expect(RandomFactory.create('RandomNodeCrypto'))
+        .toBeInstanceOf(RandomNodeCrypto);
+    });
+
+    test('a class returns an instance of that class', () => {
+      expect(RandomFactory.create(RandomBasic)).toBeInstanceOf(RandomBasic);
+      expect(RandomFactory.create(RandomCustom)).toBeInstanceOf(RandomCustom);
+    });
+
+    test('an unknown generator throws an error', () => {
+      expect(() => RandomFactory.create('RandomFake'))
+        .toThrow('Unknown random function (RandomFake) found');
+      expect(() => RandomFactory.create(42)).toThrow(Error);
+      expect(() => RandomFactory.create(Object)).toThrow(Error);
+    });
+
+    test('an unavailable generator throws an error', () => {
+      /**
+       * Helper class for a generator that cannot be used
+       */
+      class RandomUnavailable extends RandomCustom {
+        /**
+         * Never available
+         *
+         * @return {boolean} - false
+         */
+        static isAvailable() {
+          return false;
+        }
+      }
+      expect(() => RandomFactory.create(RandomUnavailable))
+        .toThrow('not available');
+    });
+  });
+
+  describe('Test function sourceName', () => {
+    test('it converts known classes to their name', () => {
+      expect(RandomFactory.sourceName(RandomBasic)).toBe('RandomBasic');
+      expect(RandomFactory.sourceName('RandomBasic')).toBe('RandomBasic');
+      expect(RandomFactory.sourceName()).toBe('AUTO');
+    });
+
+    test('it keeps other classes as they are', () => {
+      expect(RandomFactory.sourceName(RandomCustom)).toBe(RandomCustom);
+    });
+  });
+});
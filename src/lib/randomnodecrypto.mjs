@@ -0,0 +1,50 @@
+/**
+ * Random number generator based on the Node crypto module
+ *
+ * @module RandomNodeCrypto
+ */
+
+// In the browser bundle this module is replaced by an empty one
+// (see resolve.fallback in webpack.config.mjs)
+import * as nodeCrypto from 'crypto';
+
+import {RNG} from './rng.mjs';
+
+/**
+ * Generate random numbers with crypto.randomBytes() from Node
+ *
+ * @class RandomNodeCrypto
+ */
+class RandomNodeCrypto extends RNG {
+  /**
+   * Check if the Node crypto module is available
+   *
+   * @return {boolean} - true if the RNG can be used
+   */
+  static isAvailable() {
+    return typeof nodeCrypto.randomBytes === 'function';
+  }
+
+  /**
+   * Return the name of the source of the random numbers
+   *
+   * @return {string} - name of the source
+   */
+  source() {
+    return 'RandomNodeCrypto';
+  }
+
+  /**
+   * Return an array of random bytes
+   *
+   * @param {int} num - the number of bytes
+   * @return {Uint8Array} - the random bytes
+   *
+   * @private
+   */
+  __randomBytes(num) {
+    return new Uint8Array(nodeCrypto.randomBytes(num));
+  }
+}
+
+export {RandomNodeCrypto};
@@ -0,0 +1,147 @@
+/**
+ * Deterministic random number generator for testing and reproductions
+ *
+ * @module RandomSeeded
+ */
+
+import is from 'is-it-check';
+import log from 'loglevel';
+
+import {RNG} from './rng.mjs';
+import {SHA256} from './sha256.mjs';
+
+/**
+ * Generate reproducible random numbers from a seed
+ *
+ * The generator is ChaCha20 in counter mode, keyed with the
+ * SHA-256 hash of the seed. The same seed always results in the same
+ * sequence of numbers, and therefore in the same passwords.
+ *
+ * WARNING - this generator is NEVER suitable for production.
+ * Anyone who knows or guesses the seed can reproduce every password.
+ * It can only be passed in explicitly, e.g.
+ * `new XKPasswd({rng: new RandomSeeded('my seed')})`,
+ * it cannot be chosen through the `random_function` config key.
+ *
+ * @class RandomSeeded
+ */
+class RandomSeeded extends RNG {
+  #key; // the ChaCha20 key as 8 32-bit words
+  #counter; // the block counter
+  #block; // the current block of key stream, 64 bytes
+  #position; // the next unused byte in the current block
+
+  /**
+   * Constructor for the seeded generator
+   *
+   * @constructor
+   *
+   * @param {string|number} seed - the seed
+   * @throws {Error} - when there is no seed
+   */
+  constructor(seed) {
+    super();
+    if ((is.not.string(seed) && is.not.number(seed)) || seed === '') {
+      throw new Error('RandomSeeded needs a seed (string or number)');
+    }
+    log.warn('RandomSeeded generates predictable passwords, ' +
+      'it must NEVER be used in production');
+
+    const digest = new DataView(SHA256.digest(String(seed)).buffer);
+    this.#key = new Uint32Array(8);
+    for (let i = 0; i < 8; i++) {
+      // ChaCha20 reads the key as little endian words
+      this.#key[i] = digest.getUint32(i * 4, true);
+    }
+    this.#counter = 0;
+    this.#block = new Uint8Array(64);
+    this.#position = 64;
+  }
+
+  /**
+   * This generator is deterministic, so it cannot
+   * be chosen through the config
+   *
+   * @return {boolean} - true
+   */
+  static isDeterministic() {
+    return true;
+  }
+
+  /**
+   * Return the name of the source of the random numbers
+   *
+   * @return {string} - name of the source
+   */
+  source() {
+    return 'RandomSeeded';
+  }
+
+  /**
+   * Return the next bytes of the key stream
+   *
+   * @param {int} num - the number of bytes
+   * @return {Uint8Array} - the random bytes
+   *
+   * @private
+   */
+  __randomBytes(num) {
+    const bytes = new Uint8Array(num);
+    for (let i = 0; i < num; i++) {
+      if (this.#position === 64) {
+        const block = RandomSeeded.__chacha20Block(
+          this.#key, this.#counter, new Uint32Array(3));
+        // the key stream is the block serialized in little endian order
+        const view = new DataView(this.#block.buffer);
+        block.forEach((word, index) => view.setUint32(index * 4, word, true));
+        this.#counter++;
+        this.#position = 0;
+      }
+      bytes[i] = this.#block[this.#position++];
+    }
+    return bytes;
+  }
+
+  /**
+   * Calculate one ChaCha20 block, see RFC 8439 section 2.3
+   *
+   * @param {Uint32Array} key - 8 words
+   * @param {number} counter - the block counter
+   * @param {Uint32Array} nonce - 3 words
+   * @return {Uint32Array} - 16 words of key stream
+   *
+   * @private
+   */
+  static __chacha20Block(key, counter, nonce) {
+    const state = new Uint32Array([
+      0x61707865, 0x3320646e, 0x79622d32, 0x6b206574,
+      ...key, counter >>> 0, ...nonce,
+    ]);
+    const x = new Uint32Array(state);
+
+    const rotl = (v, n) => (v << n) | (v >>> (32 - n));
+    const quarterRound = (a, b, c, d) => {
+      x[a] += x[b]; x[d] = rotl(x[d] ^ x[a], 16);
+      x[c] += x[d]; x[b] = rotl(x[b] ^ x[c], 12);
+      x[a] += x[b]; x[d] = rotl(x[d] ^ x[a], 8);
+      x[c] += x[d]; x[b] = rotl(x[b] ^ x[c], 7);
+    };
+
+    for (let i = 0; i < 10; i++) {
+      // column rounds
+      quarterRound(0, 4, 8, 12);
+      quarterRound(1, 5, 9, 13);
+      quarterRound(2, 6, 10, 14);
+      quarterRound(3, 7, 11, 15);
+      // diagonal rounds
+      quarterRound(0, 5, 10, 15);
+      quarterRound(1, 6, 11, 12);
+      quarterRound(2, 7, 8, 13);
+      quarterRound(3, 4, 9, 14);
+    }
+
+    return x.map((value, i) => value + state[i]);
+  }
+}
+
+export {RandomSeeded};
@@ -0,0 +1,99 @@
+/**
+ * Testing class RandomSeeded
+ */
+import {jest} from '@jest/globals';
+import log from 'loglevel';
+
+import {RandomSeeded} from './randomseeded.mjs';
+import {RandomFactory} from './randomfactory.mjs';
+import {XKPasswd} from './xkpasswd.mjs';
+
+describe('Test class RandomSeeded', () => {
+  let spy;
+
+  beforeEach(() => {
+    spy = jest.spyOn(log, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    spy.mockRestore();
+  });
+
+  test('it needs a seed', () => {
+    expect(() => new RandomSeeded()).toThrow('needs a seed');
+    expect(() => new RandomSeeded('')).toThrow('needs a seed');
+    expect(() => new RandomSeeded({})).toThrow('needs a seed');
+  });
+
+  test('it warns that it is not for production', () => {
+    new RandomSeeded(42);
+    expect(spy).toHaveBeenCalledTimes(1);
+    expect(spy.mock.calls[0][0]).toMatch(/NEVER/);
+  });
+
+  test('the same seed gives the same numbers', () => {
+    const first = new RandomSeeded('correct horse');
+    const second = new RandomSeeded('correct horse');
+    const numbers = new Array(100).fill(0).map(() => first.randomInt(1000));
+    expect(new Array(100).fill(0).map(() => second.randomInt(1000)))
+      .toEqual(numbers);
+  });
+
+  test('the cache increment does not change the numbers', () => {
+    const first = new RandomSeeded('correct horse');
+    const second = new RandomSeeded('correct horse');
+    second.setIncrement(3);
+    const numbers = new Array(100).fill(0).map(() => first.randomInt(1000));
+    expect(new Array(100).fill(0).map(() => second.randomInt(1000)))
+      .toEqual(numbers);
+  });
+
+  test('a different seed gives different numbers', () => {
+    const first = new RandomSeeded('correct horse');
+    const second = new RandomSeeded('battery staple');
+    const numbers = new Array(20).fill(0).map(() => first.randomInt(1000));
+    expect(new Array(20).fill(0).map(() => second.randomInt(1000)))
+      .not.toEqual(numbers);
+  });
+
+  test('it returns integers between 0 and max', () => {
+    const me = new RandomSeeded(1);
+    for (let i = 0; i < 200; i++) {
+      const value = me.randomInt(7);
+      expect(value).toBeGreaterThanOrEqual(0);
+      expect(value).toBeLessThan(7);
+    }
+    expect(me.source()).toBe('RandomSeeded');
+  });
+
+  test('the ChaCha20 block matches RFC 8439', () => {
+    // test vector from RFC 8439 section 2.3.2
+    const key = new Uint32Array(8).map((v, i) =>
+      ((4 * i + 3) << 24 | (4 * i + 2) << 16 | (4 * i + 1) << 8 | 4 * i) >>> 0);
+    const nonce = new Uint32Array([0x09000000, 0x4a000000, 0x00000000]);
+    const block = RandomSeeded.__chacha20Block(key, 1, nonce);
+    expect(Array.from(block.slice(0, 4))).toEqual(
+      [0xe4e7f110, 0x15593bd1, 0x1fdd0f50, 0xc47120a3]);
+  });
+
+  test('it cannot be chosen through the config', () => {
+    expect(() => RandomFactory.create('RandomSeeded')).toThrow(Error);
+    expect(() => RandomFactory.create(RandomSeeded))
+      .toThrow('deterministic');
+  });
+
+  test('XKPasswd generates the same passwords for the same seed', () => {
+    // create the generators first, XKPasswd resets the log level
+    const rngs = ['reproduce me', 'reproduce me', 'something else']
+      .map((seed) => new RandomSeeded(seed));
+    const [first, second, other] =
+      rngs.map((rng) => new XKPasswd({rng: rng}));
+    first.setPreset('WIFI');
+    second.setPreset('WIFI');
+    other.setPreset('WIFI');
+
+    const passwords = first.passwords(5);
+    expect(second.passwords(5)).toEqual(passwords);
+    expect(other.passwords(5)).not.toEqual(passwords);
+  });
+});
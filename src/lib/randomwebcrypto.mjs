@@ -0,0 +1,61 @@
+/**
+ * Random number generator based on the Web Crypto API
+ *
+ * @module RandomWebCrypto
+ */
+
+import {RNG} from './rng.mjs';
+
+// the maximum number of bytes getRandomValues() fills in one call
+const MAX_BYTES = 65536;
+
+/**
+ * Generate random numbers with crypto.getRandomValues()
+ *
+ * This source is available in all modern browsers
+ * and in Node from version 19 onwards.
+ *
+ * @class RandomWebCrypto
+ */
+class RandomWebCrypto extends RNG {
+  /**
+   * Check if the Web Crypto API is available
+   *
+   * @return {boolean} - true if the RNG can be used
+   */
+  static isAvailable() {
+    return typeof globalThis.crypto !== 'undefined' &&
+      typeof globalThis.crypto.getRandomValues === 'function';
+  }
+
+  /**
+   * Return the name of the source of the random numbers
+   *
+   * @return {string} - name of the source
+   */
+  source() {
+    return 'RandomWebCrypto';
+  }
+
+  /**
+   * Return an array of random bytes
+   *
+   * getRandomValues() fills at most 65536 bytes per call,
+   * larger requests are filled in chunks.
+   *
+   * @param {int} num - the number of bytes
+   * @return {Uint8Array} - the random bytes
+   *
+   * @private
+   */
+  __randomBytes(num) {
+    const bytes = new Uint8Array(num);
+    for (let offset = 0; offset < num; offset += MAX_BYTES) {
+      globalThis.crypto.getRandomValues(
+        bytes.subarray(offset, offset + MAX_BYTES));
+    }
+    return bytes;
+  }
+}
+
+export {RandomWebCrypto};
@@ -0,0 +1,286 @@
+/**
+ * Abstract class for the random number generators
+ *
+ * This is the JavaScript version of Crypt::HSXKPasswd::RNG
+ *
+ * @module RNG
+ */
+
+import is from 'is-it-check';
+
+import {Graphemes} from './graphemes.mjs';
+
+// a random number never takes more than 4 bytes, see __randomInt()
+const BYTES_PER_NUMBER = 4;
+
+// the number of random numbers to cache when nothing is configured
+const DEFAULT_INCREMENT = 16;
+
+/**
+ * Abstract class for a random number generator (RNG)
+ *
+ * Every RNG must implement `__randomBytes(num)`, all other functions
+ * are built on top of it.
+ *
+ * Guarantee: as long as the bytes are uniformly random, every integer
+ * in the range [0, max) is returned by `randomInt(max)` with exactly
+ * the same probability, and so is every character of the charset in
+ * `randomChar()`, every digit in `randomDigits()` and both sides
+ * of `toss()`.
+ * This is done by rejection sampling: the smallest number of bytes
+ * (1, 2 or 4) that can hold the range is read as an unsigned integer,
+ * and values at or above the largest multiple of the range are thrown
+ * away, so there is no modulo bias.
+ *
+ * The bytes are not requested one call at a time: they are read from
+ * a cache that is refilled with enough bytes for `increment` random
+ * numbers, see `setIncrement()` and `cacheState()`.
+ *
+ * @class
+ */
+class RNG {
+  #cache; // the cached random bytes
+  #position; // the next unused byte in the cache
+  #increment; // the number of random numbers to cache per refill
+  #refills; // the number of times the cache was refilled
+
+  /**
+   * Constructor for a random number generator
+   * @constructor
+   */
+  constructor() {
+    if (this.constructor === RNG) {
+      throw new Error('You cannot instantiate the abstract class');
+    }
+    this.#cache = new Uint8Array(0);
+    this.#position = 0;
+    this.#increment = DEFAULT_INCREMENT;
+    this.#refills = 0;
+  }
+
+  /**
+   * Check if this source of randomness can be used in
+   * the current environment (browser or Node)
+   *
+   * @return {boolean} - true if the RNG can be used
+   */
+  static isAvailable() {
+    return true;
+  }
+
+  /**
+   * Check if this source always produces the same numbers,
+   * deterministic sources can never be chosen through the config
+   *
+   * @return {boolean} - true if the RNG is deterministic
+   */
+  static isDeterministic() {
+    return false;
+  }
+
+  /**
+   * Return the name of the source of the random numbers
+   *
+   * @return {string} - name of the source
+   */
+  source() {
+    return '';
+  }
+
+  /**
+   * Set the number of random numbers to cache on every refill
+   *
+   * @param {integer} increment - the number of random numbers
+   * @throws {Error} - when increment is not a positive integer
+   */
+  setIncrement(increment) {
+    if (is.not.integer(increment) || increment < 1) {
+      throw new Error(`Invalid random increment (${increment}) found`);
+    }
+    this.#increment = increment;
+  }
+
+  /**
+   * Report the state of the cache of random bytes,
+   * this is the JavaScript version of caches_state() in the Perl module
+   *
+   * Returns: an object with the following keys:
+   *   * source: the name of the source of the random numbers
+   *   * increment: the number of random numbers cached per refill
+   *   * incrementBytes: the number of bytes fetched per refill
+   *   * cachedBytes: the number of bytes still in the cache
+   *   * refills: the number of times the cache was refilled
+   *
+   * @return {object} - the state of the cache
+   */
+  cacheState() {
+    return {
+      source: this.source(),
+      increment: this.#increment,
+      incrementBytes: this.#increment * BYTES_PER_NUMBER,
+      cachedBytes: this.#cache.length - this.#position,
+      refills: this.#refills,
+    };
+  }
+
+  /**
+   * Generate a random character based on a given charset
+   *
+   * A string charset is split into graphemes, so an emoji or a letter
+   * with a combining accent is a single character, see Graphemes.
+   *
+   * @param {string|array} charset - charset to choose from
+   * @return {char} - random character
+   */
+  randomChar(charset) {
+    if (is.undefined(charset)) {
+      return '';
+    };
+    const chars = is.array(charset) ?
+      charset : Graphemes.split(charset.toString());
+    if (chars.length === 0) {
+      return '';
+    }
+    return chars[this.randomInt(chars.length)];
+  }
+
+  /**
+   * Generate a number of random digits
+   *
+   * @param {number} num - number of random digits to generate,
+   *  defaults to empty string if not given
+   * @return {string} - string of random digits
+   * @throws Exception when parameter is not a number
+   */
+  randomDigits(num) {
+    if (is.null(num) || is.undefined(num) || num <= 0) {
+      return '';
+    }
+    if (is.not.number(num)) {
+      const errMsg = 'Parameter "num" is not a number! [' + num + ']';
+      throw new Error(errMsg);
+    }
+
+    let digits = '';
+    for (let i = 0; i < num; i++) {
+      digits += this.randomInt(10);
+    }
+    return digits;
+  }
+
+  /**
+   * Toss: generate a random odd/even number
+   *
+   * @return {int} - a random value 0 or 1
+   */
+  toss() {
+    return this.randomInt(2);
+  }
+
+  /**
+   * Generate a random integer greater than or equal to 0 and less than
+   * a given maximum value.
+   *
+   * @param {integer} max - max value of the random number (positive integer)
+   * @return {integer} - the random number
+   * @throws Exception when the parameter is not an integer
+   */
+  randomInt(max) {
+    // default to 1
+    if (is.null(max) || is.undefined(max)) {
+      max = 1;
+    }
+    if (is.not.integer(max)) {
+      const errMsg = 'Parameter "max" is not an integer! [' + max + ']';
+      throw new Error(errMsg);
+    }
+    return this.__randomInt(0, max);
+  }
+
+  /**
+   * Return integers in the range of [min, max)
+   * If min > max then swap min and max
+   *
+   * The range can not be larger than 2^32.
+   *
+   * @param {int} min - minimum value
+   * @param {int} max - maximum value (exclusive)
+   * @return {int} a random value between min and max
+   * @throws {Error} - when the range is too large
+   *
+   * @private
+   */
+  __randomInt(min, max) {
+    const range = Math.abs(max - min);
+    min = (min > max ? max : min);
+    if (range <= 1) {
+      return min;
+    }
+    if (range > 2 ** 32) {
+      throw new Error(`The range (${range}) is larger than 2^32`);
+    }
+
+    // use as few bytes as possible
+    let numBytes = 4;
+    if (range <= 2 ** 8) {
+      numBytes = 1;
+    } else if (range <= 2 ** 16) {
+      numBytes = 2;
+    }
+
+    // reject everything from the largest multiple of the range upwards
+    const total = 2 ** (8 * numBytes);
+    const limit = total - (total % range);
+    let value = 0;
+    do {
+      value = this.__cachedBytes(numBytes)
+        .reduce((acc, byte) => acc * 256 + byte, 0);
+    } while (value >= limit);
+    return min + (value % range);
+  }
+
+  /**
+   * Take bytes from the cache, refill the cache when it runs out
+   *
+   * The bytes are always used in the order the source returns them,
+   * so the cache does not change the numbers of a deterministic source.
+   *
+   * @param {int} num - the number of bytes
+   * @return {Uint8Array} - the random bytes
+   *
+   * @private
+   */
+  __cachedBytes(num) {
+    const available = this.#cache.length - this.#position;
+    if (available < num) {
+      const refill = Math.max(this.#increment * BYTES_PER_NUMBER,
+        num - available);
+      const cache = new Uint8Array(available + refill);
+      cache.set(this.#cache.subarray(this.#position));
+      cache.set(this.__randomBytes(refill), available);
+      this.#cache = cache;
+      this.#position = 0;
+      this.#refills++;
+    }
+    const bytes = this.#cache.slice(this.#position, this.#position + num);
+    this.#position += num;
+    return bytes;
+  }
+
+  /**
+   * Return an array of random bytes
+   *
+   * Must be implemented by every RNG, it returns a Uint8Array
+   * with `num` random bytes. This version only throws.
+   *
+   * @param {int} num - the number of bytes
+   * @throws {Error} - always, as it is not implemented
+   *
+   * @private
+   */
+  __randomBytes(num) {
+    throw new Error('The RNG does not implement __randomBytes()');
+  }
+}
+
+export {RNG};
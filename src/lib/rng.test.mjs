@@ -0,0 +1,251 @@
+/**
+ * Testing the RNG contract on all random number generators
+ */
+import {RNG} from './rng.mjs';
+import {RandomBasic} from './randombasic.mjs';
+import {RandomWebCrypto} from './randomwebcrypto.mjs';
+import {RandomNodeCrypto} from './randomnodecrypto.mjs';
+
+/**
+ * Helper class that returns a fixed sequence of bytes,
+ * and zeros once the sequence is used up
+ */
+class RandomFixed extends RNG {
+  /**
+   * Constructor
+   *
+   * @param {Array} bytes - the bytes to return
+   */
+  constructor(bytes = []) {
+    super();
+    this.bytes = [...bytes];
+    this.requested = 0;
+  }
+
+  /**
+   * Return the next fixed bytes
+   *
+   * @param {int} num - the number of bytes
+   * @return {Uint8Array} - the bytes
+   */
+  __randomBytes(num) {
+    this.requested += num;
+    return new Uint8Array(num).map(() => this.bytes.shift() ?? 0);
+  }
+
+  /**
+   * Return the number of bytes taken from the cache
+   *
+   * @return {int} - the number of bytes
+   */
+  consumed() {
+    return this.requested - this.cacheState().cachedBytes;
+  }
+}
+
+/**
+ * Helper function to calculate the chi-square statistic
+ *
+ * @param {Function} draw - function returning an index in [0, bins)
+ * @param {int} bins - the number of possible outcomes
+ * @param {int} samples - the number of draws
+ * @return {number} - the chi-square statistic
+ */
+const chiSquare = (draw, bins, samples) => {
+  const counts = new Array(bins).fill(0);
+  for (let i = 0; i < samples; i++) {
+    counts[draw()]++;
+  }
+  const expected = samples / bins;
+  return counts.reduce((sum, count) =>
+    sum + (count - expected) ** 2 / expected, 0);
+};
+
+describe('Test abstract class RNG', () => {
+  test('it cannot be instantiated', () => {
+    expect(() => new RNG()).toThrow('abstract class');
+  });
+
+  test('a subclass must implement __randomBytes', () => {
+    /**
+     * Helper class without implementation
+     */
+    class RandomNothing extends RNG {}
+    const me = new RandomNothing();
+    expect(() => me.randomInt(10)).toThrow('__randomBytes');
+  });
+
+  test('all functions are built on __randomBytes', () => {
+    const me = new RandomFixed();
+    expect(me.randomInt(10)).toBe(0);
+    expect(me.randomChar('xyz')).toBe('x');
+    expect(me.randomChar(['+', '-'])).toBe('+');
+    expect(me.randomDigits(3)).toBe('000');
+    expect(me.toss()).toBe(0);
+    expect(me.source()).toBe('');
+    expect(RandomFixed.isAvailable()).toBe(true);
+  });
+
+  describe('Test function __randomInt', () => {
+    test('it rejects bytes above the largest multiple of the range', () => {
+      // 256 % 3 = 1, so only 255 must be rejected
+      const me = new RandomFixed([255, 255, 254]);
+      expect(me.__randomInt(0, 3)).toBe(2);
+      expect(me.consumed()).toBe(3);
+    });
+
+    test('it accepts bytes below the limit without extra draws', () => {
+      const me = new RandomFixed([253]);
+      expect(me.__randomInt(0, 3)).toBe(1);
+      expect(me.consumed()).toBe(1);
+    });
+
+    test('it uses as few bytes as possible', () => {
+      let me = new RandomFixed();
+      me.__randomInt(0, 256);
+      expect(me.consumed()).toBe(1);
+
+      me = new RandomFixed([0x01, 0x2c]);
+      expect(me.__randomInt(0, 1000)).toBe(300);
+      expect(me.consumed()).toBe(2);
+
+      me = new RandomFixed([0xff, 0xff, 0xff, 0xfe]);
+      expect(me.__randomInt(0, 2 ** 32)).toBe(2 ** 32 - 2);
+      expect(me.consumed()).toBe(4);
+    });
+
+    test('it can return every value up to max - 1', () => {
+      const me = new RandomFixed([0xff, 0xff, 0xff, 0xff]);
+      expect(me.__randomInt(0, 2 ** 32)).toBe(2 ** 32 - 1);
+    });
+
+    test('it swaps min and max and handles small ranges', () => {
+      const me = new RandomFixed([4]);
+      expect(me.__randomInt(10, 5)).toBe(9);
+      expect(me.__randomInt(7, 8)).toBe(7);
+      expect(me.__randomInt(7, 7)).toBe(7);
+      expect(me.consumed()).toBe(1);
+    });
+
+    test('it throws an error when the range is larger than 2^32', () => {
+      const me = new RandomFixed();
+      expect(() => me.__randomInt(0, 2 ** 32 + 1)).toThrow('larger than 2^32');
+    });
+  });
+
+  describe('Test the cache of random bytes', () => {
+    test('it refills the cache in increments', () => {
+      const me = new RandomFixed();
+      me.setIncrement(2);
+      me.randomInt(10);
+      expect(me.cacheState()).toEqual({
+        source: '',
+        increment: 2,
+        incrementBytes: 8,
+        cachedBytes: 7,
+        refills: 1,
+      });
+      for (let i = 0; i < 7; i++) {
+        me.randomInt(10);
+      }
+      expect(me.cacheState().refills).toBe(1);
+      me.randomInt(10);
+      expect(me.cacheState().refills).toBe(2);
+      expect(me.requested).toBe(16);
+    });
+
+    test('it keeps the bytes in order across refills', () => {
+      const me = new RandomFixed([1, 2, 3, 4, 5, 6, 7, 8]);
+      me.setIncrement(1);
+      expect(me.__cachedBytes(1)).toEqual(new Uint8Array([1]));
+      expect(me.__cachedBytes(4)).toEqual(new Uint8Array([2, 3, 4, 5]));
+      expect(me.cacheState().cachedBytes).toBe(3);
+    });
+
+    test('it throws an error for an invalid increment', () => {
+      const me = new RandomFixed();
+      expect(() => me.setIncrement(0)).toThrow('Invalid random increment');
+      expect(() => me.setIncrement(1.5)).toThrow('Invalid random increment');
+      expect(() => me.setIncrement('AUTO')).toThrow('Invalid random increment');
+    });
+  });
+});
+
+const generators = [RandomBasic, RandomWebCrypto, RandomNodeCrypto]
+  .filter((RngClass) => RngClass.isAvailable());
+
+describe.each(generators)('Test the RNG contract on %p', (RngClass) => {
+  const me = new RngClass();
+
+  test('it is an RNG with a source name', () => {
+    expect(me).toBeInstanceOf(RNG);
+    expect(me.source()).toBe(RngClass.name);
+  });
+
+  test('randomInt returns an integer between 0 and max', () => {
+    for (let i = 0; i < 100; i++) {
+      const value = me.randomInt(5);
+      expect(Number.isInteger(value)).toBe(true);
+      expect(value).toBeGreaterThanOrEqual(0);
+      expect(value).toBeLessThan(5);
+    }
+  });
+
+  test('randomInt throws an error if max is not an integer', () => {
+    expect(() => me.randomInt('string')).toThrow(Error);
+  });
+
+  test('randomChar returns a character from the charset', () => {
+    const charset = 'qwertyjngfdcsx';
+    const actual = me.randomChar(charset);
+    expect(actual.length).toBe(1);
+    expect(charset.includes(actual)).toBe(true);
+    expect(me.randomChar(undefined)).toBe('');
+  });
+
+  test('randomChar keeps emoji and accented characters whole', () => {
+    const charset = '\u{1F44D}\u{1F3FD}e\u0301\u{1F3B2}';
+    const chars = ['\u{1F44D}\u{1F3FD}', 'e\u0301', '\u{1F3B2}'];
+    for (let i = 0; i < 20; i++) {
+      expect(chars).toContain(me.randomChar(charset));
+      expect(chars).toContain(me.randomChar(chars));
+    }
+  });
+
+  test('randomDigits returns a string of digits', () => {
+    expect(me.randomDigits(5)).toMatch(/^\d{5}$/);
+    expect(me.randomDigits()).toBe('');
+    expect(() => me.randomDigits('string')).toThrow(Error);
+  });
+
+  test('toss returns 0 or 1', () => {
+    const nums = new Set(new Array(50).fill(-1).map(() => me.toss()));
+    expect([...nums].sort()).toEqual([0, 1]);
+  });
+
+  /*
+   * The chi-square critical values are for p = 0.0001,
+   * so a correct generator fails these tests once in 10000 runs.
+   */
+  test('randomInt is uniform', () => {
+    // 5 degrees of freedom
+    expect(chiSquare(() => me.randomInt(6), 6, 6000)).toBeLessThan(25.745);
+  });
+
+  test('randomInt is uniform for ranges that need two bytes', () => {
+    // 9 degrees of freedom, 1000 is not a power of 2
+    const draw = () => Math.floor(me.randomInt(1000) / 100);
+    expect(chiSquare(draw, 10, 10000)).toBeLessThan(33.720);
+  });
+
+  test('randomChar is uniform', () => {
+    // 2 degrees of freedom
+    const draw = () => 'abc'.indexOf(me.randomChar('abc'));
+    expect(chiSquare(draw, 3, 3000)).toBeLessThan(18.421);
+  });
+
+  test('toss is uniform', () => {
+    // 1 degree of freedom
+    expect(chiSquare(() => me.toss(), 2, 2000)).toBeLessThan(15.137);
+  });
+});
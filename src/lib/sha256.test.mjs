@@ -0,0 +1,30 @@
+/**
+ * Testing class SHA256
+ */
+import {SHA256} from './sha256.mjs';
+
+describe('Test class SHA256', () => {
+  // test vectors from FIPS 180-4 and the NIST examples
+  test('it hashes the empty string', () => {
+    expect(SHA256.hexDigest('')).toBe(
+      'e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855');
+  });
+
+  test('it hashes "abc"', () => {
+    expect(SHA256.hexDigest('abc')).toBe(
+      'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad');
+  });
+
+  test('it hashes a message longer than one block', () => {
+    const message =
+      'abcdbcdecdefdefgefghfghighijhijkijkljklmklmnlmnomnopnopq';
+    expect(SHA256.hexDigest(message)).toBe(
+      '248d6a61d20638b8e5c026930c3e6039a33ce45964ff2167f6ecedd419db06c1');
+  });
+
+  test('it encodes strings as UTF-8', () => {
+    const bytes = new TextEncoder().encode('crème brûlée');
+    expect(SHA256.hexDigest('crème brûlée')).toBe(SHA256.hexDigest(bytes));
+    expect(SHA256.digest('crème brûlée')).toHaveLength(32);
+  });
+});
@@ -5,7 +5,14 @@
  */
 
 import log from 'loglevel';
+import {AttackProfiles} from './attackprofiles.mjs';
 import {Dictionary} from './dictionary.mjs';
+import {Exclusions} from './exclusions.mjs';
+import {Graphemes} from './graphemes.mjs';
+import {RandomDice} from './randomdice.mjs';
+
+// the symbols that can be typed on every common keyboard layout
+const TYPEABLE_SYMBOL = /^[\x20-\x7E]$/;
 
 /** Calculate statistics */
 class Statistics {
@@ -65,13 +72,19 @@ class Statistics {
    * Arguments: OPTIONAL 'suppressWarnings' to indicate that
    *       no warnings should be issued if the config is such that there
    *       are uncertainties in the calculation.
-   * TODO: figure out what 'carps' is
-   * Throws: an Error on invalid invocation or args, carps if multi-character
-   *       substitutions are in use when not using adaptive padding
+   * Throws: an Error on invalid invocation or args, logs a warning if
+   *       multi-character substitutions are in use when not using
+   *       adaptive padding (the Perl module 'carps')
    *
-   * Notes: This function ignores character replacements, if one or more
+   * Notes: The lengths are counted in graphemes, see Graphemes, like
+   *       the lengths of the words and the adaptive padding.
+   *       This function ignores character replacements, if one or more
    *       multi-character replacements are used when padding is not set
    *       to adaptive, this function will return an invalid max length.
+   *       A warning is also logged when the config can put symbols in
+   *       the password that may not be typeable on common systems.
+   *       The warnings are issued on every call that does not suppress
+   *       them, even when the stats come from the cache.
    *
    * TODO can we move this to the Presets class?
    * ? stats in Statistics class or configStats in Presets
@@ -81,9 +94,21 @@ class Statistics {
    * @return {object} - stats object on this config
    */
   configStats(suppressWarnings = false) {
-    // TODO do we need to validate the config? If so, how
-    if (suppressWarnings) {
-      // do nothing for now
+    const config = this.#config;
+
+    // detect whether or not we need to warn about multi-character replacements
+    if (config.padding_type !== 'ADAPTIVE' && !suppressWarnings &&
+      this.__hasMultiCharacterSubstitutions()) {
+      log.warn('maximum length may be underestimated. ' +
+        'The loaded config contains at least one character substitution ' +
+        'which replaces a single character with multiple characters.');
+    }
+
+    // warn about symbols that not every user can type
+    const untypeable = suppressWarnings ? [] : this.__untypeableSymbols();
+    if (untypeable.length > 0) {
+      log.warn(`the symbols ${untypeable.join(' ')} may not be typeable ` +
+        'on common systems.');
     }
 
     // if there is no change, don't recalculate the stats
@@ -91,8 +116,6 @@ class Statistics {
       return this.#cache.config.stats;
     }
 
-    const config = this.#config;
-
     let minLength = 0;
     let maxLength = 0;
     const separator = (config.separator_type === 'RANDOM' ? 1 : 0);
@@ -125,35 +148,6 @@ class Statistics {
     // calculate the number of random numbers needed to generate the password
     const randomNumbers = this.__randomNumbersRequired();
 
-    // TODO this has to be done, there are no substitutions for now
-
-    // detect whether or not we need to carp about multi-character replacements
-    // if(config.padding_type != 'ADAPTIVE' && !suppressWarnings){
-    //     if(config.character_substitutions != undefined ){
-    // CHAR_SUB:
-    // foreach let char (keys %{config.character_substitutions}}){
-    //     if (ref config.character_substitutions}->{$char} eq 'ARRAY') {
-    //         foreach let sub (@{config.character_substitutions}->{$char}}) {
-    //             if (length $sub > 1) {
-    //                 _warn('maximum length may be underestimated.
-    // The loaded config contains at least one character substitution
-    // which replaces a single character with multiple characters.');
-    //                 last CHAR_SUB;
-    //             }
-    //         }
-    //     }
-    //     else {
-    //         if(length config.character_substitutions}->{$char} > 1){
-    //             _warn('maximum length may be underestimated.
-    // The loaded config contains at least one character substitution
-    // which replaces a single character with multiple characters.');
-    //             last CHAR_SUB;
-    //         }
-    //     }
-    // }
-    //     }
-    // }
-
     this.#cache.config.stats = {
       minLength: minLength,
       maxLength: maxLength,
@@ -168,11 +162,12 @@ class Statistics {
    *
    * Returns: A dictionary of statistics indexed by the following keys:
    *   * dictionary_source - the source of the word list
+   *   * dictionary_language - the language of the word list
    *   * dictionary_words_total - the total number of words loaded
    *        from the dictionary file
    *   * dictionary_words_filtered - the number of words loaded from
    *        the dictionary file that meet the length criteria set in the
-   *        loaded config
+   *        loaded config and are not excluded
    *   * dictionary_words_percent_available - the percentage of the
    *        total dictionary that is available for use with the loaded
    *        config
@@ -182,6 +177,10 @@ class Statistics {
    *        permitted by the filter
    *   * dictionary_contains_accents - whether or not the filtered
    *        list contains accented letters
+   *   * dictionary_bits_per_word - the entropy every word adds to the
+   *        password in bits, more words in the filtered list give more
+   *        bits, e.g. about 10.2 bits for 1194 words and about
+   *        12.9 bits for 7776 words
    *   * password_entropy_blind_min - the entropy of the shortest
    *        password this config can generate from the point of view of a
    *        brute-force attacker in bits
@@ -214,6 +213,9 @@ class Statistics {
    *        attacker with a copy of the dictionary and config would need to
    *        try to be sure of cracking a password generated by this
    *        instance as a Math::BigInt object
+   *   * crackTimes - the estimated time to crack a password for every
+   *        attack profile, by a brute-force attacker (blind) and by an
+   *        attacker with the dictionary and config (seen)
    *   * password_random_numbers_required - the number of random
    *        numbers needed to generate a single password using the loaded
    *        config
@@ -250,53 +252,49 @@ class Statistics {
       minLength: configStats.minLength,
       maxLength: configStats.maxLength,
       randomNumbersRequired: configStats.randomNumbersRequired,
+      diceRollsRequired: this.diceRollsRequired(),
+      diceRollsExpected: this.diceRollsExpected(),
       passwordStrength: this.__passwordStrength(entropyStats),
+      untypeableSymbols: this.__untypeableSymbols(),
     };
 
     stats.entropy = entropyStats;
     stats.entropy.blindThreshold = this.#entropyBlindThreshold;
     stats.entropy.seenThreshold = this.#entropySeenThreshold;
 
+    // translate the permutations into time
+    stats.crackTimes = this.__crackTimes(entropyStats);
+
     // deal with password counter
     // TODO this should probably be moved to XKPasswd
     // stats.passwords_generated = this.#PASSWORD_COUNTER;
 
-    // deal with the random number generator
-    // TODO this should probably be moved to XKPasswd
-    // stats.randomNumbers = {
-    //  cached: this._CACHE_RANDOM,
-    //  source = this._RNG,
-    // }
+    // the random number generator stats (stats.randomNumbers)
+    // are added by XKPasswd, which owns the generator
 
     // return the stats
     log.trace(`returning the stats: ${JSON.stringify(stats)}`);
     return stats;
   }
 
-  /* 2024-02-18 the documentation below is taken out,
-   * because the BigInts are not necessary and cause problems
+  /**
+   * Gather entropy stats for the combination
+   * of the loaded config and dictionary.
    *
+   * Returns: A stats object indexed by:
    *   * minPermutationsBlind - the number of permutations to be
    *        tested by an attacker with no knowledge of the dictionary file
    *        used, or the config used, assuming the minimum possible
-   *        password length from the given config (as BigInt)
+   *        password length from the given config
    *   * maxPermutationsBlind - the number of permutations to be
    *        tested by an attacker with no knowledge of the dictionary file
    *        used, or the config file used, assuming the maximum possible
-   *        password length fom the given config (as BigInt)
+   *        password length fom the given config
    *   * permutationsBlind - the number of permutations for the
-   *        average password length for the given config (as BigInt)
+   *        average password length for the given config
    *   * permutationsSeen - the number of permutations to be tested
    *        by an attacker with full knowledge of the dictionary file and
-   *        configuration used (as BigInt)
-  */
-
-
-  /**
-   * Gather entropy stats for the combination
-   * of the loaded config and dictionary.
-   *
-   * Returns: A stats object indexed by:
+   *        configuration used
    *   * minEntropyBlind - object
    *          - value - minPermutationsBlind converted to bits
    *          - state - POOR | OK | GOOD
@@ -308,13 +306,20 @@ class Statistics {
    *          - value - permutationsSeen converted to bits
    *          - state - POOR | OK | GOOD
    *
+   * Every number of permutations is an object with:
+   *   * value - the exact number as a string of decimal digits,
+   *          a BigInt can not be serialized to JSON
+   *   * rendered - the number for humans, e.g. '1.2 × 10^24'
+   *
+   * The entropy in bits is the log2 of the permutations,
+   * rounded down to 2 decimals.
+   *
    * Notes: This function uses configStats() to determine the longest and
    *       shortest password lengths, so the caveat that function has
    *       when it comes to multi-character substitutions applies here too.
-   *       This function assumes no accented characters (at least for now).
-   *       For the blind calculations, if any single symbol is present, a
-   *       search-space of 33 symbols is assumed (same as password
-   *       haystacks page)
+   *       For the blind calculations, if any single symbol or accented
+   *       letter is present, a search-space of 33 symbols is assumed
+   *       (same as password haystacks page)
    *
    * @param {object} dictStats - dictionary statistics
    * @return {object} - entropy stats
@@ -348,9 +353,9 @@ class Statistics {
 
     log.trace('alphabetCount: ' + alphabetCount);
 
-    if (this.__passwordsWillContainSymbol()) {
-      // the config almost certainly includes a symbol,
-      // so add 33 to the alphabet (like password haystacks does)
+    if (this.__passwordsWillContainSymbol() || dictStats.containsAccents) {
+      // the config almost certainly includes a symbol or an accented
+      // letter, so add 33 to the alphabet (like password haystacks does)
       alphabetCount += 33;
     }
 
@@ -411,13 +416,8 @@ class Statistics {
 
     /* istanbul ignore next @preserve : too difficult to test */
     if (this.#config.separator_type === 'RANDOM') {
-      if (this.#config.separator_alphabet) {
-        seenPermutationsBigInt *=
-          BigInt(this.#config.separator_alphabet.length);
-      } else {
-        seenPermutationsBigInt *=
-          BigInt(this.#config.symbol_alphabet.length);
-      }
+      seenPermutationsBigInt *= BigInt(this.__alphabetSize(
+        this.#config.separator_alphabet || this.#config.symbol_alphabet));
     }
 
     // multiply in the permutations from the padding character
@@ -425,12 +425,8 @@ class Statistics {
 
     if (this.#config.padding_type !== 'NONE' &&
       this.#config.padding_character_type === 'RANDOM') {
-      /* istanbul ignore next @preserve : too difficult to test */
-      if (this.#config.padding_alphabet) {
-        seenPermutationsBigInt *= BigInt(this.#config.padding_alphabet.length);
-      } else {
-        seenPermutationsBigInt *= BigInt(this.#config.symbol_alphabet.length);
-      }
+      seenPermutationsBigInt *= BigInt(this.__alphabetSize(
+        this.#config.padding_alphabet || this.#config.symbol_alphabet));
     }
     // multiply in the permutations from the padding digits (if any)
     let numPaddingDigits =
@@ -441,57 +437,43 @@ class Statistics {
     }
 
     // multiply in possible substituted characters
-    // TODO fix this later
-    // if (this.#config.character_substitutions &&
-    // this.#config.substitution_mode} // 'ALWAYS') ne 'NEVER') {
-    //     for let n (1..this.#config.num_words}){
-    //         for let m (keys %{this.#config.character_substitutions}}) {
-    //             let sb=this.#config.character_substitutions}->{$m};
-    //             if (ref $sb eq 'ARRAY') {
-    //                 seenPermutationsBigInt *= BigInt($#$sb+2));
-    //             }
-    //             else {
-    //                 if (this.#config.substitution_mode} &&
-    //                   this.#config.substitution_mode} eq 'RANDOM') {
-    //                     seenPermutationsBigInt *= BigInt(2));
-    //                 }
-    //             }
-    //         }
-    //     }
-    // }
+    // Note: like the Perl module, this assumes every substituted character
+    // appears in every word
+    if (this.#config.character_substitutions &&
+      (this.#config.substitution_mode || 'ALWAYS') !== 'NEVER') {
+      const subs = Object.values(this.#config.character_substitutions);
+      for (let n = 0; n < numWordsConfig; n++) {
+        for (const sb of subs) {
+          seenPermutationsBigInt *= BigInt(this.__substitutionChoices(sb));
+        }
+      }
+    }
 
     const stats = {};
 
-    // Note these stats keys will hold BigInt variables
-    // 2024-02-18 not sure if we need them, and they cause
-    // all kinds of problems
-
-    // stats.permutationsSeen = seenPermutationsBigInt;
-    // log.trace('got permutationsSeen=' + stats.permutationsSeen);
-
-    // stats.minPermutationsBlind = statsBigInt.minPermutationsBlind;
-
-    // stats.maxPermutationsBlind = statsBigInt.maxPermutationsBlind;
-
-    // stats.permutationsBlind = statsBigInt.permutationsBlind;
+    // the BigInts themselves can not be serialized to JSON,
+    // so the permutations are returned as strings
+    stats.minPermutationsBlind =
+      this.__permutations(statsBigInt.minPermutationsBlind);
+    stats.maxPermutationsBlind =
+      this.__permutations(statsBigInt.maxPermutationsBlind);
+    stats.permutationsBlind =
+      this.__permutations(statsBigInt.permutationsBlind);
+    stats.permutationsSeen = this.__permutations(seenPermutationsBigInt);
+    log.trace('got permutationsSeen=' + stats.permutationsSeen.value);
 
     // calculate the entropy values based on the permutations
 
-    // Note: Math.log2() does not work on BigInt, but
-    // see https://stackoverflow.com/a/70385364
-    // which comes down to log2(largeNumber) =
-    // BigInt(largeNumber.toString()).toString(2).length
-
-    const minEntropyBlind = statsBigInt.minPermutationsBlind.toString(2).length;
+    const minEntropyBlind = this.__log2(statsBigInt.minPermutationsBlind);
     log.trace('got minEntropyBlind=' + minEntropyBlind);
 
-    const maxEntropyBlind = statsBigInt.maxPermutationsBlind.toString(2).length;
+    const maxEntropyBlind = this.__log2(statsBigInt.maxPermutationsBlind);
     log.trace('got maxEntropyBlind=' + maxEntropyBlind);
 
-    stats.entropyBlind = statsBigInt.permutationsBlind.toString(2).length;
+    stats.entropyBlind = this.__log2(statsBigInt.permutationsBlind);
     log.trace('got entropyBlind=' + stats.entropyBlind);
 
-    const entropySeen = seenPermutationsBigInt.toString(2).length;
+    const entropySeen = this.__log2(seenPermutationsBigInt);
     log.trace('got entropySeen=' + entropySeen);
 
     const entropyBlindThreshold = this.#entropyBlindThreshold;
@@ -554,6 +536,88 @@ class Statistics {
     return this.#cache.entropy.stats;
   } // __calculateEntropyStats
 
+  /**
+   * Calculate the log2 of a BigInt, which is its number of bits
+   *
+   * Notes: Math.log2() does not work on BigInt and a BigInt beyond
+   *       Number.MAX_VALUE becomes Infinity, so only the 53 most
+   *       significant bits, as many as a Number holds, are converted.
+   *       The bits shifted out are added to the result.
+   *
+   * @param {BigInt} n - the number
+   * @return {number} - the log2 of the number, rounded down
+   *  to 2 decimals, 0 when the number is below 1
+   *
+   * @private
+   */
+  __log2(n) {
+    if (n < 1n) {
+      return 0;
+    }
+    const shift = Math.max(n.toString(2).length - 53, 0);
+    const log2 = Math.log2(Number(n >> BigInt(shift))) + shift;
+    return Math.floor(log2 * 100) / 100;
+  }
+
+  /**
+   * Serialize a number of permutations
+   *
+   * Numbers of up to 6 digits are rendered as they are, larger numbers
+   * with the first 2 digits and the power of ten, e.g. '1.2 × 10^24'.
+   * The digits after those are cut off, not rounded.
+   * This is the JavaScript version of _render_bigint()
+   * in Crypt::HSXKPasswd.
+   *
+   * @param {BigInt} n - the number of permutations
+   * @return {object} - the number as string of decimal digits (value)
+   *  and rendered for humans (rendered)
+   *
+   * @private
+   */
+  __permutations(n) {
+    const value = n.toString();
+    const rendered = value.length <= 6 ? value :
+      `${value[0]}.${value[1]} \u00D7 10^${value.length - 1}`;
+    return {value: value, rendered: rendered};
+  }
+
+  /**
+   * Estimate the time to crack a password for every attack profile
+   *
+   * Returns an object indexed by the name of the profile with:
+   *   * description - the description of the profile
+   *   * guessesPerSecond - the number of guesses the attacker makes
+   *   * blind - the time a brute-force attacker needs for the
+   *        shortest password this config can generate
+   *   * seen - the time an attacker with full knowledge of the
+   *        dictionary and config needs
+   *
+   * Every time has the seconds as a string and the rendered
+   * duration, see AttackProfiles.crackTime()
+   *
+   * @param {object} entropyStats - the entropy stats
+   *  with the permutations
+   * @return {object} - the crack times
+   *
+   * @private
+   */
+  __crackTimes(entropyStats) {
+    const blind = BigInt(entropyStats.minPermutationsBlind.value);
+    const seen = BigInt(entropyStats.permutationsSeen.value);
+
+    const crackTimes = {};
+    AttackProfiles.names().forEach((name) => {
+      const profile = AttackProfiles.profile(name);
+      crackTimes[name] = {
+        description: profile.description,
+        guessesPerSecond: profile.guessesPerSecond,
+        blind: AttackProfiles.crackTime(blind, name),
+        seen: AttackProfiles.crackTime(seen, name),
+      };
+    });
+    return crackTimes;
+  }
+
   /**
    * Find out the password strength
    *
@@ -592,7 +656,8 @@ class Statistics {
    * Calculate the number of random numbers needed to generate a
    * single password with a given config.
    *
-   * TODO do we really need this function?
+   * Notes: XKPasswd uses this number to size the cache of the random
+   *       number generator when random_increment is AUTO
    *
    * @return {number} the number of random numbers required
    */
@@ -606,18 +671,211 @@ class Statistics {
     if (this.#config.separator_type === 'RANDOM') {
       randomNumbers++;
     }
-    if ((this.#config.padding_character_type !== undefined) &&
+    if (this.#config.padding_type !== 'NONE' &&
        this.#config.padding_character_type === 'RANDOM') {
       randomNumbers++;
     }
     randomNumbers += this.#config.padding_digits_before;
     randomNumbers += this.#config.padding_digits_after;
 
+    // every substitution with a choice takes a random number per word
+    if (this.#config.character_substitutions &&
+      (this.#config.substitution_mode || 'ALWAYS') !== 'NEVER') {
+      for (const sb of Object.values(this.#config.character_substitutions)) {
+        if (this.__substitutionChoices(sb) > 1) {
+          randomNumbers += this.#config.num_words;
+        }
+      }
+    }
+
     // return the number
     return randomNumbers;
   }
 
 
+  /**
+   * Calculate the smallest number of dice rolls that can generate a
+   * single password from physical dice, see RandomDice
+   *
+   * Notes: This is the number of rolls when no roll is rejected, it is
+   *       exact when every choice has a power of 6 options, e.g. a
+   *       diceware dictionary with 6^5 words. Otherwise some rolls
+   *       may be rejected and more rolls are consumed, see
+   *       diceRollsExpected().
+   *       The words are looked up in the whole dictionary, like
+   *       XKPasswd.passwordFromDice() does, so the excluded words and
+   *       the word length limits do not change the number of rolls.
+   *       A character substitution is only rolled for the words that
+   *       contain the character, so the substitutions are not counted.
+   *
+   * @return {number} the minimum number of dice rolls
+   */
+  diceRollsRequired() {
+    return this.__diceChoices()
+      .filter((choice) => !choice.substitution)
+      .reduce((rolls, choice) =>
+        rolls + choice.times * RandomDice.diceFor(choice.options), 0);
+  }
+
+  /**
+   * Calculate the number of dice rolls to expect for a single
+   * password from physical dice, see RandomDice
+   *
+   * Notes: The rejected rolls are counted by how often they are
+   *       rejected on average, e.g. 2.4 rolls for a digit, and every
+   *       character substitution is counted for every word. Most
+   *       passwords take fewer rolls, but there is no upper limit.
+   *
+   * @return {number} the expected number of dice rolls, rounded up
+   */
+  diceRollsExpected() {
+    const rolls = this.__diceChoices().reduce((total, choice) =>
+      total + choice.times * (choice.word ?
+        RandomDice.diceFor(choice.options) :
+        RandomDice.expectedDiceFor(choice.options)), 0);
+    // keep the rounding errors of the fractions out of the result
+    return Math.ceil(Number(rolls.toFixed(6)));
+  }
+
+  /**
+   * List the random choices of a single password, in dice
+   *
+   * Every entry has:
+   *   * options - the number of options of the choice
+   *   * times - the number of times the choice is made
+   *   * word - true for the words, they are looked up by their rolls
+   *       and never rejected
+   *   * substitution - true for the character substitutions, they are
+   *       only made for the words with the character
+   *
+   * @return {array} - the choices
+   *
+   * @private
+   */
+  __diceChoices() {
+    const config = this.#config;
+    const numWords = config.num_words;
+    const choices = [{
+      options: this.#dictionary.getLength(),
+      times: numWords,
+      word: true,
+    }];
+
+    if (config.case_transform === 'RANDOM') {
+      choices.push({options: 2, times: numWords});
+    }
+    if (config.separator_type === 'RANDOM') {
+      choices.push({options: this.__alphabetSize(
+        config.separator_alphabet || config.symbol_alphabet), times: 1});
+    }
+    if (config.padding_type !== 'NONE' &&
+      config.padding_character_type === 'RANDOM') {
+      choices.push({options: this.__alphabetSize(
+        config.padding_alphabet || config.symbol_alphabet), times: 1});
+    }
+    choices.push({options: 10,
+      times: config.padding_digits_before + config.padding_digits_after});
+
+    if (config.character_substitutions &&
+      (config.substitution_mode || 'ALWAYS') !== 'NEVER') {
+      for (const sb of Object.values(config.character_substitutions)) {
+        choices.push({options: this.__substitutionChoices(sb),
+          times: numWords, substitution: true});
+      }
+    }
+    return choices;
+  }
+
+  /**
+   * Calculate the number of choices a single character substitution
+   * gives for one word
+   *
+   * Notes: In RANDOM mode keeping the original character is also a choice,
+   *       in ALWAYS mode one of the replacements is always chosen.
+   *
+   * @param {string|array} sub - the replacement(s) for the character
+   * @return {number} - the number of choices
+   *
+   * @private
+   */
+  __substitutionChoices(sub) {
+    const choices = Array.isArray(sub) ? sub.length : 1;
+    return (this.#config.substitution_mode === 'RANDOM') ?
+      choices + 1 : choices;
+  }
+
+  /**
+   * Count the distinct characters of an alphabet, in graphemes
+   *
+   * @param {string|array} alphabet - the alphabet
+   * @return {number} - the number of characters
+   *
+   * @private
+   */
+  __alphabetSize(alphabet) {
+    // a character listed twice does not add to the entropy
+    return new Set(Graphemes.split([].concat(alphabet ?? []).join(''))).size;
+  }
+
+  /**
+   * Find the symbols the config can put in a password that may not
+   * be typeable on common systems
+   *
+   * Notes: Only printable ASCII can be typed on every common keyboard
+   *       layout. Other symbols, like accented letters, currency signs
+   *       and emoji, may need a special layout or input method.
+   *       The words themselves are not checked.
+   *
+   * @return {Array} - the symbols, each listed once
+   *
+   * @private
+   */
+  __untypeableSymbols() {
+    const config = this.#config;
+    const symbols = [];
+    const symbolsOf = (alphabet) =>
+      Graphemes.split([].concat(alphabet ?? []).join(''));
+
+    if (config.separator_type === 'RANDOM') {
+      symbols.push(...symbolsOf(
+        config.separator_alphabet || config.symbol_alphabet));
+    } else if (config.separator_type === 'FIXED') {
+      symbols.push(...symbolsOf(config.separator_character));
+    }
+    if (config.padding_type !== 'NONE') {
+      if (config.padding_character_type === 'RANDOM') {
+        symbols.push(...symbolsOf(
+          config.padding_alphabet || config.symbol_alphabet));
+      } else if (config.padding_character_type === 'FIXED') {
+        symbols.push(...symbolsOf(config.padding_character));
+      }
+    }
+    if (config.character_substitutions &&
+      config.substitution_mode !== 'NEVER') {
+      Object.values(config.character_substitutions).forEach((sb) =>
+        symbols.push(...symbolsOf([].concat(sb))));
+    }
+    return [...new Set(symbols)]
+      .filter((symbol) => !TYPEABLE_SYMBOL.test(symbol));
+  }
+
+  /**
+   * Check if the config contains at least one character substitution
+   * which replaces a single character with multiple characters
+   *
+   * @return {boolean} - true if there is a multi-character substitution
+   *
+   * @private
+   */
+  __hasMultiCharacterSubstitutions() {
+    const substitutions = this.#config.character_substitutions;
+    if (!substitutions || this.#config.substitution_mode === 'NEVER') {
+      return false;
+    }
+    return Object.values(substitutions).some((sb) =>
+      [].concat(sb).some((el) => Graphemes.length(el) > 1));
+  }
+
   /**
    * Calculate Dictionary statistics
    *
@@ -630,7 +888,9 @@ class Statistics {
 
     let filteredWords = [];
     filteredWords = this.#dictionary.filteredWordList(
-      this.#config.word_length_min, this.#config.word_length_max);
+      this.#config.word_length_min, this.#config.word_length_max,
+      Boolean(this.#config.allow_accents),
+      Exclusions.fromConfig(this.#config));
 
     log.trace(`_calcDictStats:
      config: ${JSON.stringify(this.#config)}
@@ -639,22 +899,28 @@ class Statistics {
     const numWordsTotal = this.#dictionary.getLength();
     const numWordsFiltered = filteredWords.length;
 
-    let minlen = filteredWords[0] ? filteredWords[0].length : 0;
+    let minlen = filteredWords[0] ? Graphemes.length(filteredWords[0]) : 0;
     let maxlen = minlen;
-    for (let i = 1; i < numWordsFiltered; i++) {
-      minlen = Math.min(minlen, filteredWords[i].length);
-      maxlen = Math.max(maxlen, filteredWords[i].length);
+    let containsAccents = false;
+    for (let i = 0; i < numWordsFiltered; i++) {
+      const length = Graphemes.length(filteredWords[i]);
+      minlen = Math.min(minlen, length);
+      maxlen = Math.max(maxlen, length);
+      containsAccents ||= Dictionary.hasAccents(filteredWords[i]);
     }
 
     return {
-      source: '',
+      source: this.#dictionary.source(),
+      language: this.#dictionary.language(),
       numWordsTotal: numWordsTotal,
       numWordsFiltered: numWordsFiltered,
       percentWordsAvailable:
         Math.round((numWordsFiltered / numWordsTotal) * 100),
       filterMinLength: minlen,
       filterMaxLength: maxlen,
-      containsAccents: false,
+      containsAccents: containsAccents,
+      bitsPerWord: numWordsFiltered > 0 ?
+        Math.round(Math.log2(numWordsFiltered) * 100) / 100 : 0,
     };
   }
 
@@ -676,18 +942,20 @@ class Statistics {
 
     // match anything but letters and digits and ignore whitespace
     const re = /[^0-9a-zA-Z]/s;
+    // the alphabets are arrays of characters, or strings in older configs
+    const asText = (alphabet) => [].concat(alphabet).join('');
 
     if (this.#config.padding_type !== 'NONE') {
       if (this.#config.padding_character_type === 'RANDOM') {
         if (this.#config.padding_alphabet) {
-          if (this.#config.padding_alphabet.match(re)) {
+          if (asText(this.#config.padding_alphabet).match(re)) {
             // if we have just one non-word character
             return true;
           }
         }
         else {
           if (this.#config.symbol_alphabet &&
-            this.#config.symbol_alphabet.match(re)) {
+            asText(this.#config.symbol_alphabet).match(re)) {
             // if we have just one non-word character
             return true;
           }
@@ -706,14 +974,14 @@ class Statistics {
     if (this.#config.separator_type !== 'NONE') {
       if (this.#config.separator_type === 'RANDOM') {
         if (this.#config.separator_alphabet) {
-          if (this.#config.separator_alphabet.match(re)) {
+          if (asText(this.#config.separator_alphabet).match(re)) {
             // if we have just one non-word character
             return true;
           }
         }
         else {
           if (this.#config.symbol_alphabet &&
-            this.#config.symbol_alphabet.match(re)) {
+            asText(this.#config.symbol_alphabet).match(re)) {
             // if we have just one non-word character
             return true;
           }
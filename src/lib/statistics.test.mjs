@@ -3,8 +3,17 @@
  */
 /* jest-testenvironment: jsdom */
 
+import {jest} from '@jest/globals';
+import log from 'loglevel';
+
 import {Statistics} from './statistics.mjs';
+import {AttackProfiles} from './attackprofiles.mjs';
 import {DictionaryEN} from './dictionaryEN.mjs';
+import {DictionaryAccents} from '../../test/dictionaryaccents.mjs';
+
+// the accented words of the tests
+const accentedWords = ['caf\u00E9', 'cafe', 'cr\u00E8me', 'na\u00EFve',
+  '\u00FCber', 'stra\u00DFe'];
 
 describe('Test class Statistics', () => {
   const mockDict = new DictionaryEN();
@@ -117,6 +126,28 @@ describe('Test class Statistics', () => {
       expect(me.__randomNumbersRequired()).toBe(expectedNumber);
     });
 
+    test('if character substitutions give a choice', () => {
+      // only properties necessary for the function
+
+      const mockConfig = {
+        num_words: 3,
+        separator_type: 'NONE',
+        padding_digits_before: 0,
+        padding_digits_after: 0,
+        padding_character_type: 'SEPARATOR',
+        case_transform: 'CAPITALISE',
+        character_substitutions: {a: '@', e: ['3', '€'], o: '0'},
+        substitution_mode: 'ALWAYS',
+      };
+
+      const me = new Statistics(mockConfig, mockDict);
+
+      // only the substitution of 'e' needs a random number for each word
+      const expectedNumber = mockConfig.num_words + mockConfig.num_words;
+
+      expect(me.__randomNumbersRequired()).toBe(expectedNumber);
+    });
+
     test('on mock (DEFAULT) preset', () => {
       const me = new Statistics(mock.config, mockDict);
 
@@ -155,7 +186,9 @@ describe('Test class Statistics', () => {
         filterMinLength: 0,
         filterMaxLength: 0,
         containsAccents: false,
-        source: '',
+        bitsPerWord: 0,
+        source: 'DictionaryEN',
+        language: 'en',
       });
     });
 
@@ -182,7 +215,9 @@ describe('Test class Statistics', () => {
         filterMinLength: 4,
         filterMaxLength: 8,
         containsAccents: false,
-        source: '',
+        bitsPerWord: 10.22,
+        source: 'DictionaryEN',
+        language: 'en',
       });
     });
 
@@ -209,10 +244,71 @@ describe('Test class Statistics', () => {
         filterMinLength: 0,
         filterMaxLength: 0,
         containsAccents: false,
+        bitsPerWord: 0,
+        source: 'DictionaryEN',
+        language: 'en',
+      });
+    });
+
+  });
+
+  describe('Test accented dictionaries', () => {
+    const accentConfig = {
+      num_words: 3,
+      word_length_min: 4,
+      word_length_max: 6,
+      separator_type: 'NONE',
+      padding_type: 'NONE',
+      case_transform: 'NONE',
+    };
+
+    test('it strips the accents when they are not allowed', () => {
+      const me = new Statistics({...accentConfig, allow_accents: 0},
+        new DictionaryAccents(accentedWords));
+      expect(me.__calculateDictionaryStats()).toEqual({
+        numWordsTotal: 6,
+        numWordsFiltered: 5,
+        percentWordsAvailable: 83,
+        filterMinLength: 4,
+        filterMaxLength: 6,
+        containsAccents: false,
+        bitsPerWord: 2.32,
         source: '',
+        language: '',
       });
     });
 
+    test('it leaves out the excluded words', () => {
+      const me = new Statistics({...accentConfig, allow_accents: 0,
+        excluded_words: ['cafe', 'Straße']},
+      new DictionaryAccents(accentedWords));
+      const result = me.__calculateDictionaryStats();
+      expect(result.numWordsFiltered).toBe(3);
+      expect(result.percentWordsAvailable).toBe(50);
+      expect(me.calculateStats().entropy.entropySeen.value).toBe(4.75);
+    });
+
+    test('it keeps the accents when they are allowed', () => {
+      const me = new Statistics({...accentConfig, allow_accents: 1},
+        new DictionaryAccents(accentedWords));
+      const result = me.__calculateDictionaryStats();
+      expect(result.numWordsFiltered).toBe(6);
+      expect(result.containsAccents).toBe(true);
+    });
+
+    test('it adds the accents to the entropy', () => {
+      const stripped = new Statistics({...accentConfig, allow_accents: 0},
+        new DictionaryAccents(accentedWords)).calculateStats();
+      const accented = new Statistics({...accentConfig, allow_accents: 1},
+        new DictionaryAccents(accentedWords)).calculateStats();
+
+      // 5 ** 3 and 6 ** 3 permutations
+      expect(stripped.entropy.entropySeen.value).toBe(6.96);
+      expect(accented.entropy.entropySeen.value).toBe(7.75);
+      // 26 ** 15 letters without and (26 + 33) ** 15 with accents
+      expect(stripped.entropy.entropyBlind).toBe(70.5);
+      expect(accented.entropy.entropyBlind).toBe(88.23);
+    });
   });
 
   describe('Test function configStats', () => {
@@ -256,6 +352,149 @@ describe('Test class Statistics', () => {
 
       expect(me.configStats()).toEqual(expected);
     });
+    test('it warns about multi-character substitutions', () => {
+      const mockConfig = {
+        ...mock.config,
+        character_substitutions: {a: '@', e: ['3', '&', '[-']},
+        substitution_mode: 'ALWAYS',
+      };
+      const spy = jest.spyOn(log, 'warn').mockImplementation(() => {});
+
+      const me = new Statistics(mockConfig, mockDict);
+      expect(spy).not.toHaveBeenCalled();
+
+      me.configStats();
+      expect(spy).toHaveBeenCalledTimes(1);
+      expect(spy.mock.calls[0][0]).toMatch(/maximum length/);
+
+      me.configStats(true);
+      expect(spy).toHaveBeenCalledTimes(1);
+
+      spy.mockRestore();
+    });
+
+    test('it does not warn when padding is ADAPTIVE', () => {
+      const mockConfig = {
+        ...mock.config,
+        padding_type: 'ADAPTIVE',
+        pad_to_length: 25,
+        character_substitutions: {e: '[-'},
+      };
+      const spy = jest.spyOn(log, 'warn').mockImplementation(() => {});
+
+      const me = new Statistics(mockConfig, mockDict);
+      me.configStats();
+      expect(spy).not.toHaveBeenCalled();
+
+      spy.mockRestore();
+    });
+
+    test('it warns about symbols that may not be typeable', () => {
+      const mockConfig = {
+        ...mock.config,
+        separator_type: 'RANDOM',
+        separator_alphabet: ['-', '\u{1F44D}\u{1F3FD}', '\u20AC'],
+      };
+      const spy = jest.spyOn(log, 'warn').mockImplementation(() => {});
+
+      const me = new Statistics(mockConfig, mockDict);
+      me.configStats();
+      expect(spy).toHaveBeenCalledTimes(1);
+      expect(spy.mock.calls[0][0]).toMatch(/\u{1F44D}\u{1F3FD} \u20AC/u);
+
+      me.configStats(true);
+      expect(spy).toHaveBeenCalledTimes(1);
+
+      spy.mockRestore();
+    });
+  });
+
+  describe('Test internal function __untypeableSymbols', () => {
+    test('it lists every symbol that can be used once', () => {
+      const mockConfig = {
+        ...mock.config,
+        separator_type: 'RANDOM',
+        separator_alphabet: ['-', '\u00A7', '\u{1F3B2}'],
+        padding_type: 'FIXED',
+        padding_character_type: 'FIXED',
+        padding_character: '\u00A7',
+        character_substitutions: {a: '@', e: ['3', '\u20AC']},
+        substitution_mode: 'ALWAYS',
+      };
+      const me = new Statistics(mockConfig, mockDict);
+      expect(me.__untypeableSymbols())
+        .toEqual(['\u00A7', '\u{1F3B2}', '\u20AC']);
+    });
+
+    test('it ignores symbols that are not used', () => {
+      const mockConfig = {
+        ...mock.config,
+        separator_type: 'FIXED',
+        separator_character: '-',
+        separator_alphabet: ['\u{1F3B2}'],
+        padding_type: 'NONE',
+        padding_alphabet: ['\u00A7'],
+        character_substitutions: {e: '\u20AC'},
+        substitution_mode: 'NEVER',
+      };
+      const me = new Statistics(mockConfig, mockDict);
+      expect(me.__untypeableSymbols()).toEqual([]);
+    });
+  });
+
+  describe('Test internal function __log2', () => {
+    const me = new Statistics(mock.config, mockDict);
+
+    test('it returns the exact number of bits', () => {
+      expect(me.__log2(1024n)).toBe(10);
+      expect(me.__log2(2n ** 200n)).toBe(200);
+      expect(me.__log2(10n)).toBe(3.32);
+      expect(me.__log2(85n ** 36n)).toBe(230.73);
+    });
+
+    test('it returns 0 below 1', () => {
+      expect(me.__log2(1n)).toBe(0);
+      expect(me.__log2(0n)).toBe(0);
+    });
+  });
+
+  describe('Test internal function __permutations', () => {
+    const me = new Statistics(mock.config, mockDict);
+
+    test('it renders small numbers as they are', () => {
+      expect(me.__permutations(0n)).toEqual({value: '0', rendered: '0'});
+      expect(me.__permutations(999999n))
+        .toEqual({value: '999999', rendered: '999999'});
+    });
+
+    test('it renders large numbers with a power of ten', () => {
+      expect(me.__permutations(1000000n)).toEqual(
+        {value: '1000000', rendered: '1.0 \u00D7 10^6'});
+      expect(me.__permutations(1299n * 10n ** 21n).rendered)
+        .toBe('1.2 \u00D7 10^24');
+    });
+
+    test('the stats can be serialized to JSON', () => {
+      const stats = new Statistics(mock.config, mockDict).calculateStats();
+      const json = JSON.parse(JSON.stringify(stats));
+      expect(BigInt(json.entropy.permutationsSeen.value))
+        .toBe(11030316808320000n);
+    });
+  });
+
+  describe('Test internal function __alphabetSize', () => {
+    test('it counts the characters in graphemes', () => {
+      const me = new Statistics(mock.config, mockDict);
+      expect(me.__alphabetSize(['\u{1F44D}\u{1F3FD}', '!', 'e\u0301']))
+        .toBe(3);
+      expect(me.__alphabetSize('\u{1F44D}\u{1F3FD}!')).toBe(2);
+      expect(me.__alphabetSize(undefined)).toBe(0);
+    });
+
+    test('it counts a character listed twice once', () => {
+      const me = new Statistics(mock.config, mockDict);
+      expect(me.__alphabetSize(['!', '-', '!'])).toBe(2);
+    });
   });
 
   describe('Test internal function __calculateEntropyStats', () => {
@@ -274,18 +513,34 @@ describe('Test class Statistics', () => {
       /* eslint-disable max-len */
 
       expect(me.__calculateEntropyStats(dictStats)).toEqual({
-        entropyBlind: 198,
+        minPermutationsBlind: {
+          value: '291989024338772703273075537557661533355712890625',
+          rendered: '2.9 \u00D7 10^47',
+        },
+        maxPermutationsBlind: {
+          value: '157779214788227055699105409939347423136955058449530042707920074462890625',
+          rendered: '1.5 \u00D7 10^71',
+        },
+        permutationsBlind: {
+          value: '214638763942937566941147222561699611508287489414215087890625',
+          rendered: '2.1 \u00D7 10^59',
+        },
+        permutationsSeen: {
+          value: '11030316808320000',
+          rendered: '1.1 \u00D7 10^16',
+        },
+        entropyBlind: 197.09,
         minEntropyBlind: {
-          value: 158,
+          value: 157.67,
           state: 'GOOD',
           equal: false,
         },
         maxEntropyBlind: {
-          value: 237,
+          value: 236.51,
           state: 'GOOD',
         },
         entropySeen: {
-          value: 54,
+          value: 53.29,
           state: 'GOOD',
         },
       });
@@ -323,16 +578,16 @@ describe('Test class Statistics', () => {
 
       const expected = {
         minEntropyBlind: {
-          value: 158,
+          value: 157.67,
           state: 'GOOD',
           equal: true,
         },
         maxEntropyBlind: {
-          value: 158,
+          value: 157.67,
           state: 'OK',
         },
         entropySeen: {
-          value: 47,
+          value: 46.95,
           state: 'POOR',
         },
       };
@@ -374,16 +629,16 @@ describe('Test class Statistics', () => {
 
       const expected = {
         minEntropyBlind: {
-          value: 38,
+          value: 37.6,
           state: 'POOR',
           equal: true,
         },
         maxEntropyBlind: {
-          value: 38,
+          value: 37.6,
           state: 'OK',
         },
         entropySeen: {
-          value: 21,
+          value: 20.44,
           state: 'POOR',
         },
       };
@@ -394,6 +649,74 @@ describe('Test class Statistics', () => {
       expect(result.entropySeen).toEqual(expected.entropySeen);
     });
 
+    test('character substitutions add to the seen entropy', () => {
+      // only use the relevant keys
+      const mockConfig = {
+        symbol_alphabet: '!@',
+        word_length_min: 4,
+        word_length_max: 4,
+        num_words: 2,
+        separator_type: '+',
+        padding_digits_before: 0,
+        padding_digits_after: 0,
+        padding_type: 'NONE',
+        padding_character_type: 'NONE',
+        padding_characters_before: 0,
+        padding_characters_after: 0,
+        case_transform: 'UPPER',
+      };
+      const dictStats = {
+        numWordsTotal: 1259,
+        numWordsFiltered: 1194,
+        percentWordsAvailable: 95,
+        filterMinLength: 4,
+        filterMaxLength: 8,
+        containsAccents: false,
+        source: '',
+      };
+
+      // without substitutions
+      let me = new Statistics(mockConfig, mockDict);
+      expect(me.__calculateEntropyStats(dictStats).entropySeen.value)
+        .toBe(20.44);
+
+      // ALWAYS with a single replacement adds nothing
+      me = new Statistics({
+        ...mockConfig,
+        character_substitutions: {a: '@'},
+        substitution_mode: 'ALWAYS',
+      }, mockDict);
+      expect(me.__calculateEntropyStats(dictStats).entropySeen.value)
+        .toBe(20.44);
+
+      // RANDOM doubles the permutations for every word (2 * 2)
+      me = new Statistics({
+        ...mockConfig,
+        character_substitutions: {a: '@'},
+        substitution_mode: 'RANDOM',
+      }, mockDict);
+      expect(me.__calculateEntropyStats(dictStats).entropySeen.value)
+        .toBe(22.44);
+
+      // RANDOM with 3 replacements gives 4 choices for every word (4 * 4)
+      me = new Statistics({
+        ...mockConfig,
+        character_substitutions: {a: ['@', '4', '^']},
+        substitution_mode: 'RANDOM',
+      }, mockDict);
+      expect(me.__calculateEntropyStats(dictStats).entropySeen.value)
+        .toBe(24.44);
+
+      // NEVER adds nothing
+      me = new Statistics({
+        ...mockConfig,
+        character_substitutions: {a: ['@', '4', '^']},
+        substitution_mode: 'NEVER',
+      }, mockDict);
+      expect(me.__calculateEntropyStats(dictStats).entropySeen.value)
+        .toBe(20.44);
+    });
+
     test('when seen is above threshold should result in GOOD', () => {
       // only use the relevant keys
       const mockConfig = {
@@ -435,7 +758,7 @@ describe('Test class Statistics', () => {
           state: 'OK',
         },
         entropySeen: {
-          value: 187,
+          value: 186.1,
           state: 'GOOD',
         },
       };
@@ -479,11 +802,11 @@ describe('Test class Statistics', () => {
           equal: false,
         },
         maxEntropyBlind: {
-          value: 71,
+          value: 70.5,
           state: 'POOR',
         },
         entropySeen: {
-          value: 31,
+          value: 30.66,
           state: 'POOR',
         },
       };
@@ -536,6 +859,31 @@ describe('Test class Statistics', () => {
     });
   });
 
+  describe('Test internal function __crackTimes', () => {
+    const me = new Statistics(mock.config, mockDict);
+    const stats = me.calculateStats();
+
+    test('it estimates the time for every attack profile', () => {
+      expect(Object.keys(stats.crackTimes)).toEqual(AttackProfiles.names());
+      expect(stats.crackTimes.OFFLINE_FAST_HASH).toEqual({
+        description: AttackProfiles.profile('OFFLINE_FAST_HASH').description,
+        guessesPerSecond: 1e10,
+        blind: {
+          seconds: '14599451216938635163653776877883076667',
+          rendered: 'longer than the age of the universe',
+        },
+        seen: {seconds: '551515', rendered: '6 days'},
+      });
+    });
+
+    test('it renders the seen times for humans', () => {
+      const rendered = Object.values(stats.crackTimes)
+        .map((crackTime) => crackTime.seen.rendered);
+      expect(rendered).toEqual(['6 billion years', '17 million years',
+        '17 thousand years', '6 days']);
+    });
+  });
+
   describe('Test calculateStats', () => {
     test('on mock (DEFAULT) preset', () => {
       const me = new Statistics(mock.config, mockDict);
@@ -544,27 +892,45 @@ describe('Test class Statistics', () => {
 
       const expected = {
         dictionary: {
-          source: '',
+          source: 'DictionaryEN',
+          language: 'en',
           numWordsTotal: 1259,
           numWordsFiltered: 1194,
           percentWordsAvailable: 95,
           filterMinLength: 4,
           filterMaxLength: 8,
           containsAccents: false,
+          bitsPerWord: 10.22,
         },
         entropy: {
-          entropyBlind: 198,
+          minPermutationsBlind: {
+            value: '291989024338772703273075537557661533355712890625',
+            rendered: '2.9 \u00D7 10^47',
+          },
+          maxPermutationsBlind: {
+            value: '157779214788227055699105409939347423136955058449530042707920074462890625',
+            rendered: '1.5 \u00D7 10^71',
+          },
+          permutationsBlind: {
+            value: '214638763942937566941147222561699611508287489414215087890625',
+            rendered: '2.1 \u00D7 10^59',
+          },
+          permutationsSeen: {
+            value: '11030316808320000',
+            rendered: '1.1 \u00D7 10^16',
+          },
+          entropyBlind: 197.09,
           minEntropyBlind: {
-            value: 158,
+            value: 157.67,
             state: 'GOOD',
             equal: false,
           },
           maxEntropyBlind: {
-            value: 237,
+            value: 236.51,
             state: 'GOOD',
           },
           entropySeen: {
-            value: 54,
+            value: 53.29,
             state: 'GOOD',
           },
           blindThreshold: 78,
@@ -574,8 +940,12 @@ describe('Test class Statistics', () => {
           minLength: 24,
           maxLength: 36,
           randomNumbersRequired: 9,
+          diceRollsRequired: 24,
+          diceRollsExpected: 26,
           passwordStrength: 'GOOD',
+          untypeableSymbols: [],
         },
+        crackTimes: expect.any(Object),
       };
       /* eslint-enable max-len */
 
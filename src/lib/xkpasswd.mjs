@@ -7,9 +7,16 @@
 import is from 'is-it-check';
 import log from 'loglevel';
 
-import {RandomBasic} from './randombasic.mjs';
+import {ConfigKeys} from './configkeys.mjs';
+import {RNG} from './rng.mjs';
+import {RandomFactory} from './randomfactory.mjs';
+import {RandomDice} from './randomdice.mjs';
 import {Presets} from './presets.mjs';
-import {DictionaryEN} from './dictionaryEN.mjs';
+import {Dictionary} from './dictionary.mjs';
+import {Dictionaries} from './dictionaries.mjs';
+import {DictionaryDiceware} from './dictionarydiceware.mjs';
+import {Exclusions} from './exclusions.mjs';
+import {Graphemes} from './graphemes.mjs';
 import {Statistics} from './statistics.mjs';
 
 /**
@@ -22,40 +29,163 @@ class XKPasswd {
   #preset; // current preset
   #config; // config section of preset, convenience variable
   #randomGenerator; // random generator
+  #randomInjected; // true if the random generator was passed in
   #statsClass; // Statistics class
   #dictionary; // current dictionary
+  #dictionaryName; // name of the bundled dictionary in use
+  #dictionaryInjected; // true if the dictionary was passed in
+  #exclusions; // the words that are never used
+  #wordPool; // the words that fit the config, see __wordPool()
   #stats; // current stats
+  #presetRequest; // counts the preset changes, see loadPreset()
 
   /**
    * constructor
+   *
+   * The random number generator is chosen by the `random_function`
+   * key of the config, unless one is passed in with `options.rng`.
+   * The same goes for the dictionary, chosen by the `dictionary` key
+   * unless one is passed in with `options.dictionary`.
+   *
    * @constructor
+   *
+   * @param {object} options - optional settings
+   * @param {RNG} options.rng - the random number generator to use
+   * @param {Dictionary} options.dictionary - the dictionary to use
+   * @throws {Error} - when options.rng is not an RNG or
+   *  options.dictionary is not a Dictionary
    */
-  constructor() {
+  constructor(options = {}) {
     this.#preset = new Presets();
+    this.#presetRequest = 0;
     this.#config = this.#preset.config();
-    this.#randomGenerator = new RandomBasic();
-    const dict = new DictionaryEN();
-    this.#dictionary = dict;
-    this.#statsClass = new Statistics(this.#config, dict);
+    this.#exclusions = Exclusions.fromConfig(this.#config);
+    this.#dictionaryInjected = false;
+    if (is.undefined(options.dictionary)) {
+      this.__configureDictionary();
+    } else {
+      this.setDictionary(options.dictionary);
+    }
+    this.#statsClass = new Statistics(this.#config, this.#dictionary);
     this.#stats = {};
 
+    this.#randomInjected = false;
+    if (is.undefined(options.rng)) {
+      this.#randomGenerator =
+        RandomFactory.create(this.#config.random_function);
+      this.__configureRandomIncrement();
+    } else {
+      this.setRandomGenerator(options.rng);
+    }
+
     // the number of passwords this instance has generated
     this.#passwordCounter = 0;
     log.setLevel('debug');
   }
 
   /**
-   * Set a different preset to work with
+   * Create an instance once the dictionary of its preset is loaded
+   *
+   * The constructor can only use dictionaries that are loaded
+   * already, this loads the dictionary named by the `dictionary` key
+   * of `options.preset` first, e.g. one that is split off in the
+   * browser.
+   *
+   * @param {object} options - the options of the constructor
+   * @param {any} options.preset - the preset to start with, see
+   *  setPreset()
+   * @return {Promise<XKPasswd>} - the instance
+   * @throws {Error} - when the options are not valid or the
+   *  dictionary could not be loaded
+   */
+  static async create(options = {}) {
+    const xkpasswd = new XKPasswd(options);
+    if (is.not.undefined(options.preset)) {
+      await xkpasswd.loadPreset(options.preset);
+    }
+    return xkpasswd;
+  }
+
+  /**
+   * Set a different preset to work with, after loading
+   * the dictionary it needs
    *
-   * @param {any} preset
+   * Use this instead of setPreset() when the preset may choose
+   * a dictionary that is not loaded yet, it resolves once the
+   * dictionary is ready.
+   * When the preset is changed again while the dictionary loads,
+   * by loadPreset() or setPreset(), the latest preset wins and
+   * this one is ignored.
+   *
+   * @param {any} preset - see setPreset()
+   * @return {Promise<boolean>} - false when the preset was ignored
+   * @throws {Error} - when the dictionary could not be loaded
+   */
+  async loadPreset(preset) {
+    const presets = this.__toPresets(preset);
+    const request = ++this.#presetRequest;
+    if (!this.#dictionaryInjected) {
+      await Dictionaries.load(presets.config().dictionary);
+    }
+    if (request !== this.#presetRequest) {
+      log.trace(`loadPreset: ignored ${presets.name()}, ` +
+        'a later preset was set');
+      return false;
+    }
+    this.__usePreset(presets);
+    return true;
+  }
+
+  /**
+   * Set a different preset to work with
    *
+   * @param {any} preset - the name of a preset, a preset object
+   *  with a description and a config, or a Presets instance
+   * @throws {Error} - when the dictionary of the preset is unknown
+   *  or not loaded yet, see loadPreset()
    */
   setPreset(preset) {
-    this.#preset = new Presets(preset);
+    this.#presetRequest++;
+    this.__usePreset(this.__toPresets(preset));
+  }
+
+  /**
+   * Get a Presets instance for a preset, an instance is used as it is,
+   * so its config is not normalized again
+   *
+   * @param {any} preset - see setPreset()
+   * @return {Presets} - the preset
+   *
+   * @private
+   */
+  __toPresets(preset) {
+    return (preset instanceof Presets) ? preset : new Presets(preset);
+  }
+
+  /**
+   * Use a preset that is normalized already
+   *
+   * @param {Presets} presets - the preset
+   * @throws {Error} - when the dictionary of the preset is unknown
+   *  or not loaded yet
+   *
+   * @private
+   */
+  __usePreset(presets) {
+    this.#preset = presets;
     this.#config = this.#preset.config();
+    this.#exclusions = Exclusions.fromConfig(this.#config);
+    this.__configureDictionary();
+
+    // an injected random generator always wins over the config
+    if (!this.#randomInjected) {
+      this.#randomGenerator =
+        RandomFactory.create(this.#config.random_function);
+    }
 
     // Refresh the statistics
     this.#statsClass = new Statistics(this.#config, this.#dictionary);
+    this.__configureRandomIncrement();
   }
 
   /**
@@ -68,6 +198,108 @@ class XKPasswd {
     return this.#preset;
   }
 
+  /**
+   * Set the random number generator to use, this overrides
+   * the `random_function` key of the config
+   *
+   * @param {RNG} rng - the random number generator
+   * @throws {Error} - when rng is not an RNG
+   */
+  setRandomGenerator(rng) {
+    if (!(rng instanceof RNG)) {
+      throw new Error('The random generator is not an RNG');
+    }
+    this.#randomGenerator = rng;
+    this.#randomInjected = true;
+    this.__configureRandomIncrement();
+  }
+
+  /**
+   * Set the dictionary to use, this overrides
+   * the `dictionary` key of the config
+   *
+   * @param {Dictionary} dictionary - the dictionary
+   * @throws {Error} - when dictionary is not a Dictionary
+   */
+  setDictionary(dictionary) {
+    if (!(dictionary instanceof Dictionary)) {
+      throw new Error('The dictionary is not a Dictionary');
+    }
+    this.#dictionary = dictionary;
+    this.#dictionaryName = undefined;
+    this.#dictionaryInjected = true;
+
+    // the statistics depend on the dictionary
+    if (is.not.undefined(this.#statsClass)) {
+      this.#statsClass = new Statistics(this.#config, this.#dictionary);
+    }
+  }
+
+  /**
+   * Get the dictionary in use
+   *
+   * @return {Dictionary} - the dictionary
+   */
+  getDictionary() {
+    /* istanbul ignore next @preserve : too simple to test */
+    return this.#dictionary;
+  }
+
+  /**
+   * Create the dictionary named by the `dictionary` key
+   * of the config, unless a dictionary was passed in,
+   * the dictionary must be loaded, see loadPreset()
+   *
+   * @private
+   */
+  __configureDictionary() {
+    // an injected dictionary always wins over the config
+    if (this.#dictionaryInjected ||
+      this.#dictionaryName === this.#config.dictionary) {
+      return;
+    }
+    this.#dictionary = Dictionaries.create(this.#config.dictionary);
+    this.#dictionaryName = this.#config.dictionary;
+  }
+
+  /**
+   * Set the cache size of the random number generator
+   * from the `random_increment` key of the config,
+   * AUTO caches enough random numbers for one password
+   *
+   * @private
+   */
+  __configureRandomIncrement() {
+    let increment = this.#config.random_increment;
+    if (increment === 'AUTO') {
+      increment = this.#statsClass.configStats(true).randomNumbersRequired;
+    }
+    // an incomplete config can not be sized, keep the current increment
+    if (is.integer(increment) && increment > 0) {
+      this.#randomGenerator.setIncrement(increment);
+    }
+  }
+
+  /**
+   * Get the random number generator in use
+   *
+   * @return {RNG} - the random number generator
+   */
+  getRandomGenerator() {
+    /* istanbul ignore next @preserve : too simple to test */
+    return this.#randomGenerator;
+  }
+
+  /**
+   * Get the definitions of all config keys, with their type,
+   * allowed values, default and description
+   *
+   * @return {object} - the definitions indexed by key
+   */
+  static configKeyDefinitions() {
+    return ConfigKeys.definitions();
+  }
+
   /**
    * Get all available presets
    *
@@ -83,12 +315,16 @@ class XKPasswd {
    *
    * @param {number} num - number of passwords to generate
    * @return {object} - contains the passwords and the stats
+   * @throws {Error} - when no word of the dictionary fits the config
    */
   /* istanbul ignore next @preserve : already tested through sub functions */
   generatePassword(num) {
     const passwords = this.passwords(num);
     const stats = this.#statsClass.calculateStats();
 
+    // the random generator belongs to this class, not to the stats
+    stats.randomNumbers = this.#randomGenerator.cacheState();
+
     log.trace(`generatePassword.stats ${JSON.stringify(stats)}`);
     this.#stats = stats;
 
@@ -102,63 +338,17 @@ class XKPasswd {
    * Return a password that adheres to the
    * chosen preset
    *
+   * Notes: Other errors are logged and give an undefined password,
+   *        but a config that no word of the dictionary fits can never
+   *        give a password, so that error reaches the caller.
+   *
    * @return {string}
+   * @throws {Error} - when no word of the dictionary fits the config
    */
   password() {
-    let passwd = '';
+    this.__checkWordPool();
     try {
-      //
-      // start by generating the needed parts of the password
-      //
-      log.trace('starting to generate random words');
-      let words = this.__randomWords();
-      log.trace(`got random words = ${words}`);
-
-      words = this.__transformCase(words);
-      words = this.__substituteCharacters(words);
-      const separator = this.__separator();
-      log.trace(`got separator = ${separator}`);
-
-      const padChar = this.__paddingChar(separator);
-      log.trace(`got padChar = ${padChar}`);
-
-      //
-      // Then assemble the finished password
-      //
-
-      // start with the words and the separator
-      passwd = words.join(separator);
-      log.trace(`assembled base password: ${passwd}`);
-
-      // next add the numbers front and back
-
-      passwd = this.__padWithDigits(passwd, separator);
-      log.trace(`added random digits (as configured): ${passwd}`);
-
-      // then finally add the padding characters
-
-      switch (this.#config.padding_type) {
-      case 'FIXED':
-        // simple fixed padding
-        passwd = this.__padWithChar(passwd, padChar);
-        break;
-
-      case 'ADAPTIVE':
-        // adaptive padding
-        passwd = this.__adaptivePadding(passwd, padChar,
-          this.#config.pad_to_length);
-        break;
-
-      default:
-        break;
-      }
-      log.trace(`added padding (as configured): ${passwd}`);
-
-      // increment the passwords generated counter
-      this.#passwordCounter++;
-
-      // return the finished password
-      return passwd;
+      return this.__assemblePassword();
     } catch (e) {
       /* istanbul ignore next @preserve : too difficult to test */
       log.error(
@@ -167,10 +357,141 @@ class XKPasswd {
     }
   }
 
+  /**
+   * Generate a password from rolls of physical dice
+   *
+   * Every random choice is read from the dice instead of a software
+   * random number generator, see RandomDice. This needs a diceware
+   * dictionary, so every word belongs to exactly one set of rolls.
+   * The word is looked up with DictionaryDiceware.wordByDice() in the
+   * whole list, the word length limits of the config do not apply.
+   * When the rolls give an excluded word, an error asks to roll the
+   * dice for that word again.
+   *
+   * The stats are those of generatePassword(), where
+   * `stats.password.diceRollsRequired` is the minimum number of rolls,
+   * `stats.password.diceRollsExpected` the number of rolls to expect
+   * and `stats.randomNumbers` the rolls that were used, see
+   * RandomDice.cacheState(). When the rolls run out, the error says
+   * how many more rolls are needed at least.
+   *
+   * @param {string|Array} rolls - the rolls, e.g. '31662 14' or [3, 1, 6]
+   * @return {object} - `{passwords, stats}` with a single password
+   * @throws {Error} - when the dictionary is not a diceware dictionary,
+   *  a roll is invalid, the rolls give an excluded word or
+   *  the rolls run out
+   */
+  passwordFromDice(rolls) {
+    if (!(this.#dictionary instanceof DictionaryDiceware)) {
+      throw new Error('Dice rolls need a diceware dictionary');
+    }
+    const dice = new RandomDice(rolls);
+    const config = {
+      ...this.#config,
+      word_length_min: this.#dictionary.getMinWordLength(),
+      word_length_max: this.#dictionary.getMaxWordLength(),
+    };
+
+    // use the dice and the config for this password only
+    const saved = {config: this.#config, rng: this.#randomGenerator};
+    const statistics = new Statistics(config, this.#dictionary);
+    this.#config = config;
+    this.#randomGenerator = dice;
+    try {
+      const password = this.__assemblePassword();
+      const stats = statistics.calculateStats();
+      stats.randomNumbers = dice.cacheState();
+      this.#stats = stats;
+
+      return {
+        passwords: [password],
+        stats: stats,
+      };
+    } catch (error) {
+      if (!dice.ranOut()) {
+        throw error;
+      }
+      // the rolls that were not rejected are part of the minimum
+      const used = dice.rollsConsumed() - dice.rollsRejected();
+      const more = Math.max(1, statistics.diceRollsRequired() - used);
+      throw new Error(`${error.message}, roll at least ${more} more`);
+    } finally {
+      this.#config = saved.config;
+      this.#randomGenerator = saved.rng;
+    }
+  }
+
+  /**
+   * Assemble a password from the parts chosen
+   * with the current config and random generator
+   *
+   * @return {string} - the password
+   * @throws {Error} - when a part can not be generated
+   *
+   * @private
+   */
+  __assemblePassword() {
+    //
+    // start by generating the needed parts of the password
+    //
+    log.trace('starting to generate random words');
+    let words = this.__randomWords();
+    log.trace(`got random words = ${words}`);
+
+    words = this.__transformCase(words);
+    words = this.__substituteCharacters(words);
+    const separator = this.__separator();
+    log.trace(`got separator = ${separator}`);
+
+    // the padding character is only chosen when it is used
+    const padChar = (this.#config.padding_type === 'NONE') ?
+      '' : this.__paddingChar(separator);
+    log.trace(`got padChar = ${padChar}`);
+
+    //
+    // Then assemble the finished password
+    //
+
+    // start with the words and the separator
+    let passwd = words.join(separator);
+    log.trace(`assembled base password: ${passwd}`);
+
+    // next add the numbers front and back
+
+    passwd = this.__padWithDigits(passwd, separator);
+    log.trace(`added random digits (as configured): ${passwd}`);
+
+    // then finally add the padding characters
+
+    switch (this.#config.padding_type) {
+    case 'FIXED':
+      // simple fixed padding
+      passwd = this.__padWithChar(passwd, padChar);
+      break;
+
+    case 'ADAPTIVE':
+      // adaptive padding
+      passwd = this.__adaptivePadding(passwd, padChar,
+        this.#config.pad_to_length);
+      break;
+
+    default:
+      break;
+    }
+    log.trace(`added padding (as configured): ${passwd}`);
+
+    // increment the passwords generated counter
+    this.#passwordCounter++;
+
+    // return the finished password
+    return passwd;
+  }
+
   /**
    * Generate the requested number of passwords
    * @param {number} num - the number of passwords requested
    * @return {array} - the array with num passwords
+   * @throws {Error} - when no word of the dictionary fits the config
    */
   passwords(num) {
     if (is.undefined(num) || is.not.number(num) || num < 1) {
@@ -188,6 +509,9 @@ class XKPasswd {
   /**
    * Pad the password with padChar until the given length
    *
+   * The length is counted in graphemes, so a password is never
+   * cut in the middle of an accented letter or an emoji.
+   *
    * @param {string} passwd - password to be padded
    * @param {string} padChar - padding character
    * @param  {number} maxLen - max length of password
@@ -196,16 +520,14 @@ class XKPasswd {
    * @private
    */
   __adaptivePadding(passwd, padChar, maxLen) {
-    const pwLen = passwd.length;
+    const pwLen = Graphemes.length(passwd);
     padChar = (is.undefined(padChar) || padChar.length === 0) ? ' ' : padChar;
     if (pwLen < maxLen) {
       // if the password is shorter than the target length, pad it out
-      while (passwd.length < maxLen) {
-        passwd += padChar;
-      }
+      passwd += padChar.repeat(maxLen - pwLen);
     } else if (pwLen > maxLen) {
       // if the password is too long, trim it
-      passwd = passwd.substring(0, maxLen);
+      passwd = Graphemes.truncate(passwd, maxLen);
     }
     return passwd;
   }
@@ -281,45 +603,106 @@ class XKPasswd {
    * based on the loaded dictionary
    *
    * Notes: The number of words generated is determined by the num_words
-   *        config key.
+   *        config key. Every word is drawn with a single random number
+   *        from the words that fit the config, see __wordPool().
    *
    * @return {Array} - list of words
+   * @throws {Error} - when no word of the dictionary fits the config
    *
    * @private
    */
   __randomWords() {
+    // the dice give the word listed with the rolls
+    if (this.#randomGenerator instanceof RandomDice) {
+      return this.__diceWords();
+    }
     const numWords = this.#config.num_words;
-    const maxDict = this.#dictionary.getLength();
-
-    log.trace(`__randomWords, minDict: ${this.#dictionary.getMinWordLength()}
-    maxDict: ${this.#dictionary.getMaxWordLength()}`);
-
-    // get the minimum of the 2 input variables and the longest dictionary word
-    let minLength = Math.min(this.#config.word_length_min,
-      this.#config.word_length_max, this.#dictionary.getMaxWordLength());
+    const pool = this.__checkWordPool();
 
-    // get the maximum of the 2 input variables and the shortest dictionary word
-    let maxLength = Math.max(this.#config.word_length_min,
-      this.#config.word_length_max, this.#dictionary.getMinWordLength());
-
-    minLength = Math.max(minLength, this.#dictionary.getMinWordLength());
-    maxLength = Math.min(maxLength, this.#dictionary.getMaxWordLength());
-
-    log.trace(`about to generate ${numWords} words
-      ${minLength} - ${maxLength}`);
+    log.trace(`about to generate ${numWords} words from ${pool.length}`);
 
     const list = [];
     for (let i = 0; i < numWords; i++) {
-      let word = '';
-      do {
-        word = this.#dictionary.word(this.#randomGenerator.randomInt(maxDict));
+      list.push(pool[this.#randomGenerator.randomInt(pool.length)]);
+    }
+    return list;
+  }
+
+  /**
+   * Generate a list of words from rolls of physical dice
+   *
+   * Notes: The rolls are looked up in the whole diceware list, so every
+   *        roll gives the word listed with it. The accents are stripped
+   *        unless allow_accents is set, like in __wordPool().
+   *        An excluded word is not skipped, as that would give another
+   *        word than the one listed with the rolls.
+   *
+   * @return {Array} - list of words
+   * @throws {Error} - when the rolls give an excluded word
+   *  or run out
+   *
+   * @private
+   */
+  __diceWords() {
+    const list = [];
+    for (let i = 0; i < this.#config.num_words; i++) {
+      const rolls = this.#randomGenerator.rolls(this.#dictionary.numDice());
+      let word = this.#dictionary.wordByDice(rolls);
+      if (!this.#config.allow_accents) {
+        word = Dictionary.stripAccents(word);
+      }
+      if (this.#exclusions.has(word)) {
+        throw new Error(`The word (${word}) of the rolls ${rolls} ` +
+          'is excluded, roll the dice for this word again');
       }
-      while (word.length < minLength || word.length > maxLength );
       list.push(word);
     }
     return list;
   }
 
+  /**
+   * Get the words that fit the config and make sure there are any
+   *
+   * @return {Array} - list of words, see __wordPool()
+   * @throws {Error} - when no word of the dictionary fits the config
+   *
+   * @private
+   */
+  __checkWordPool() {
+    const pool = this.__wordPool();
+    if (pool.length === 0) {
+      throw new Error('No words found with a length of ' +
+        `${this.#config.word_length_min} to ${this.#config.word_length_max}` +
+        ` in the dictionary (${this.#dictionary.source()})`);
+    }
+    return pool;
+  }
+
+  /**
+   * Get the words that fit the config: the words of the dictionary
+   * within the word length limits, without accents unless
+   * allow_accents is set, and without the excluded words
+   *
+   * The list is kept until the config or the dictionary changes.
+   *
+   * @return {Array} - list of words
+   *
+   * @private
+   */
+  __wordPool() {
+    if (this.#wordPool?.config !== this.#config ||
+      this.#wordPool.dictionary !== this.#dictionary) {
+      this.#wordPool = {
+        config: this.#config,
+        dictionary: this.#dictionary,
+        words: this.#dictionary.filteredWordList(
+          this.#config.word_length_min, this.#config.word_length_max,
+          Boolean(this.#config.allow_accents), this.#exclusions),
+      };
+    }
+    return this.#wordPool.words;
+  }
+
   /**
    * Get the separator character to use based on the loaded config.
    *
@@ -388,14 +771,76 @@ class XKPasswd {
 
 
   /**
-   * Substitute characters
+   * Apply the character substitutions (if any) specified in the loaded config.
    *
-   * TODO - should this be implemented? there is no config option for it
-   * @param {any} words
-   * @return {any}
+   * Notes:
+   * - The substitutions are controlled by the character_substitutions
+   *   and substitution_mode config variables.
+   * - Substitutions are case sensitive, like in the Perl module.
+   * - Each word makes its own choice for every substituted character,
+   *   all occurrences of that character in the word get the same replacement.
+   * - In ALWAYS mode a character is always replaced, if there are multiple
+   *   replacements one of them is chosen at random.
+   * - In RANDOM mode the choice also includes keeping the original character.
+   * - The words are normalized to NFC like the keys, and only whole
+   *   graphemes are replaced, so `e` does not match the `e` of an `é`
+   *   with a combining accent.
+   *
+   * @param {array} words - array of words to be substituted
+   * @return {array} - array of substituted words
+   * @throws exception when there is a problem
+   *
+   * @private
    */
   __substituteCharacters(words) {
-    return words;
+    // validate args
+    if (is.undefined(words) || is.not.array(words)) {
+      throw new Error('parameter words is not an array');
+    }
+
+    const mode = this.#config.substitution_mode;
+    const substitutions = this.#config.character_substitutions;
+
+    if (mode === 'NEVER' || is.undefined(substitutions)) {
+      return words;
+    }
+
+    log.trace(`__substituteCharacters: ${mode} on ${words}`);
+
+    return words.map((word) => {
+      word = word.normalize('NFC');
+      for (const [char, sub] of Object.entries(substitutions)) {
+        const graphemes = Graphemes.split(word);
+        if (graphemes.includes(char)) {
+          const replacement = this.__substitution(char, sub, mode);
+          word = graphemes.map((grapheme) =>
+            (grapheme === char) ? replacement : grapheme).join('');
+        }
+      }
+      return word;
+    });
+  }
+
+  /**
+   * Choose the replacement for a single substituted character
+   *
+   * @param {string} char - the character to be substituted
+   * @param {string|array} sub - the replacement(s) for the character
+   * @param {string} mode - the substitution mode, ALWAYS or RANDOM
+   * @return {string} - the replacement, could be the original character
+   *
+   * @private
+   */
+  __substitution(char, sub, mode) {
+    const choices = is.array(sub) ? [...sub] : [sub];
+    if (mode === 'RANDOM') {
+      // keeping the original character is one of the choices
+      choices.unshift(char);
+    }
+    if (choices.length === 1) {
+      return choices[0];
+    }
+    return choices[this.#randomGenerator.randomInt(choices.length)];
   }
 
   /**
@@ -2,8 +2,20 @@
  * Testing class XKPassword
  */
 
+import fs from 'fs';
+import {jest} from '@jest/globals';
+import log from 'loglevel';
+
+import {Dictionaries} from './dictionaries.mjs';
 import {Presets} from './presets.mjs';
 import {XKPasswd} from './xkpasswd.mjs';
+import {RNG} from './rng.mjs';
+import {RandomBasic} from './randombasic.mjs';
+import {RandomFactory} from './randomfactory.mjs';
+import {DictionaryCustom} from './dictionarycustom.mjs';
+import {DictionaryDE} from './dictionaryDE.mjs';
+import {DictionaryDiceware} from './dictionarydiceware.mjs';
+import {DictionaryEN} from './dictionaryEN.mjs';
 
 /*
  * Helper function to find duplicates
@@ -221,6 +233,16 @@ describe('Test XKPassword class', () => {
       expect(pw).toHaveLength(5);
       expect(pw).toBe('abcde');
     });
+
+    test('it counts and truncates in graphemes', () => {
+      // the e with a combining accent and the emoji are one grapheme each
+      const passwd = 'cafe\u0301\u{1F44D}\u{1F3FD}';
+      expect(me.__adaptivePadding(passwd, '!', 8)).toBe(passwd + '!!!');
+      expect(me.__adaptivePadding(passwd, '\u{1F3B2}', 7))
+        .toBe(passwd + '\u{1F3B2}\u{1F3B2}');
+      expect(me.__adaptivePadding(passwd, '!', 4)).toBe('cafe\u0301');
+      expect(me.__adaptivePadding(passwd, '!', 3)).toBe('caf');
+    });
   });
 
   describe('Test function toTitleCase', () => {
@@ -338,6 +360,137 @@ describe('Test XKPassword class', () => {
     });
   });
 
+  describe('Test internal function __substituteCharacters', () => {
+    const words = ['apple', 'banana', 'kiwi'];
+
+    test('it throws an error when parameter is wrong', () => {
+      expect(() => me.__substituteCharacters(123)).toThrow(Error);
+      expect(() => me.__substituteCharacters()).toThrow(Error);
+    });
+
+    test('no substitutions does nothing', () => {
+      const trans = me.__substituteCharacters(words);
+      expect(trans).toEqual(words);
+    });
+
+    test('mode NEVER does nothing', () => {
+      const preset = {
+        description: 'mock preset',
+        config: {
+          character_substitutions: {a: '@'},
+          substitution_mode: 'NEVER',
+        },
+      };
+      me.setPreset(preset);
+      const trans = me.__substituteCharacters(words);
+      expect(trans).toEqual(words);
+    });
+
+    test('mode ALWAYS substitutes all characters', () => {
+      const preset = {
+        description: 'mock preset',
+        config: {
+          character_substitutions: {a: '@', i: '!'},
+          substitution_mode: 'ALWAYS',
+        },
+      };
+      me.setPreset(preset);
+      const trans = me.__substituteCharacters(words);
+      expect(trans).toEqual(['@pple', 'b@n@n@', 'k!w!']);
+    });
+
+    test('mode defaults to ALWAYS when there are substitutions', () => {
+      const preset = {
+        description: 'mock preset',
+        config: {
+          character_substitutions: {e: '3'},
+        },
+      };
+      me.setPreset(preset);
+      const trans = me.__substituteCharacters(words);
+      expect(trans).toEqual(['appl3', 'banana', 'kiwi']);
+    });
+
+    test('substitutions are case sensitive', () => {
+      const preset = {
+        description: 'mock preset',
+        config: {
+          character_substitutions: {a: '@'},
+        },
+      };
+      me.setPreset(preset);
+      const trans = me.__substituteCharacters(['APPLE', 'Banana']);
+      expect(trans).toEqual(['APPLE', 'B@n@n@']);
+    });
+
+    test('multiple replacements choose one per word', () => {
+      const preset = {
+        description: 'mock preset',
+        config: {
+          character_substitutions: {a: ['@', '4']},
+          substitution_mode: 'ALWAYS',
+        },
+      };
+      me.setPreset(preset);
+      const trans = me.__substituteCharacters(words);
+      expect(trans[0]).toMatch(/^[@4]pple$/);
+      expect(trans[1]).toMatch(/^b(@n@n@|4n4n4)$/);
+      expect(trans[2]).toBe('kiwi');
+    });
+
+    test('it replaces whole characters only', () => {
+      me.setPreset({
+        description: 'mock preset',
+        config: {
+          character_substitutions: {'e': '3', 'e\u0301': '\u20AC'},
+          substitution_mode: 'ALWAYS',
+        },
+      });
+      // the decomposed words are normalized, the e of an \u00E9 stays
+      expect(me.__substituteCharacters(['cafe\u0301', 'cr\u00E8me', 'ete']))
+        .toEqual(['caf\u20AC', 'cr\u00E8m3', '3t3']);
+      expect(me.__substituteCharacters(['e\u0301te\u0301']))
+        .toEqual(['\u20ACt\u20AC']);
+    });
+
+    test('mode RANDOM may keep the original character', () => {
+      const preset = {
+        description: 'mock preset',
+        config: {
+          character_substitutions: {a: '@'},
+          substitution_mode: 'RANDOM',
+        },
+      };
+      me.setPreset(preset);
+      const results = new Set();
+      for (let i = 0; i < 50; i++) {
+        results.add(me.__substituteCharacters(['apple'])[0]);
+      }
+      expect([...results].sort()).toEqual(['@pple', 'apple']);
+    });
+
+    test('the password contains the substitutions', () => {
+      const preset = {
+        description: 'mock preset',
+        config: {
+          word_length_min: 4,
+          word_length_max: 8,
+          num_words: 3,
+          case_transform: 'LOWER',
+          separator_type: 'FIXED',
+          separator_character: '-',
+          padding_type: 'NONE',
+          padding_digits_before: 0,
+          padding_digits_after: 0,
+          character_substitutions: {a: '@', e: '3', o: '0'},
+        },
+      };
+      me.setPreset(preset);
+      const password = me.password();
+      expect(password).not.toMatch(/[aeo]/);
+    });
+  });
+
   describe('Test password function', () => {
     test('Check if the password function returns a string', () => {
       expect(typeof me.password()).toEqual(expect.any(String));
@@ -525,4 +678,450 @@ describe('Test XKPassword class', () => {
       expect(me.__padWithChar('abc', '-')).toBe('-abc-');
     });
   });
+
+  describe('Test function configKeyDefinitions', () => {
+    test('it returns the definitions of all config keys', () => {
+      const definitions = XKPasswd.configKeyDefinitions();
+      expect(definitions.case_transform.values).toContain('RANDOM');
+      expect(definitions.num_words.default).toBe(3);
+    });
+  });
+
+  describe('Test the random number generator', () => {
+    /**
+     * Helper class that always returns the minimum
+     */
+    class RandomFixed extends RNG {
+      /**
+       * Always return zeros, so every number is the minimum
+       *
+       * @param {int} num - the number of bytes
+       * @return {Uint8Array} - the bytes
+       */
+      __randomBytes(num) {
+        return new Uint8Array(num);
+      }
+
+      /**
+       * Return the name of the source
+       *
+       * @return {string} - name of the source
+       */
+      source() {
+        return 'RandomFixed';
+      }
+    }
+
+    test('it uses the best available generator by default', () => {
+      expect(me.getRandomGenerator().source())
+        .toBe(RandomFactory.availableSources()[0]);
+    });
+
+    test('it uses the generator from the config', () => {
+      me.setPreset({
+        description: 'mock preset',
+        config: {
+          random_function: 'RandomBasic',
+        },
+      });
+      expect(me.getRandomGenerator()).toBeInstanceOf(RandomBasic);
+    });
+
+    test('it throws an error for an unknown generator in the config', () => {
+      expect(() => me.setPreset({
+        description: 'mock preset',
+        config: {
+          random_function: 'RandomFake',
+        },
+      })).toThrow('Unknown random function');
+    });
+
+    test('an injected generator is used and wins over the config', () => {
+      const xk = new XKPasswd({rng: new RandomFixed()});
+      xk.setPreset({
+        description: 'mock preset',
+        config: {
+          random_function: 'RandomBasic',
+        },
+      });
+      expect(xk.getRandomGenerator()).toBeInstanceOf(RandomFixed);
+
+      // the fixed generator always picks the first word and character
+      xk.setPreset('XKCD');
+      expect(xk.passwords(2)[0]).toBe(xk.passwords(2)[1]);
+    });
+
+    test('it throws an error if the injected generator is not an RNG', () => {
+      expect(() => new XKPasswd({rng: {}})).toThrow(Error);
+      expect(() => me.setRandomGenerator(Math)).toThrow(Error);
+    });
+
+    test('the stats report the source of the random numbers', () => {
+      const xk = new XKPasswd({rng: new RandomFixed()});
+      const result = xk.generatePassword(1);
+      expect(result.stats.randomNumbers.source).toBe('RandomFixed');
+    });
+
+    test('AUTO caches the random numbers for one password', () => {
+      const xk = new XKPasswd({rng: new RandomFixed()});
+      xk.setPreset('XKCD');
+      const stats = xk.generatePassword(1).stats;
+      expect(stats.randomNumbers.increment)
+        .toBe(stats.password.randomNumbersRequired);
+    });
+
+    test('it caches the random numbers given in the config', () => {
+      const xk = new XKPasswd({rng: new RandomFixed()});
+      xk.setPreset({
+        description: 'mock preset',
+        config: {
+          ...new Presets('XKCD').config(),
+          random_increment: 500,
+        },
+      });
+      xk.passwords(10);
+      const state = xk.getRandomGenerator().cacheState();
+      expect(state.increment).toBe(500);
+      expect(state.incrementBytes).toBe(2000);
+      expect(state.refills).toBe(1);
+    });
+  });
+
+  describe('Test the dictionary', () => {
+    afterAll(() => {
+      if (Dictionaries.isDictionary('XKP_SLOW')) {
+        Dictionaries.unregister('XKP_SLOW');
+      }
+    });
+
+    test('it uses the English dictionary by default', () => {
+      expect(me.getDictionary()).toBeInstanceOf(DictionaryEN);
+    });
+
+    test('it loads the dictionary from the config', async () => {
+      await me.loadPreset({
+        description: 'mock preset',
+        config: {
+          ...new Presets('XKCD').config(),
+          dictionary: 'DE',
+        },
+      });
+      expect(me.getDictionary()).toBeInstanceOf(DictionaryDE);
+      const stats = me.generatePassword(1).stats;
+      expect(stats.dictionary.source).toBe('DictionaryDE');
+      expect(stats.dictionary.language).toBe('de');
+    });
+
+    test('it creates an instance with a loaded dictionary', async () => {
+      const preset = {
+        description: 'mock preset',
+        config: {
+          ...new Presets('XKCD').config(),
+          dictionary: 'NL',
+        },
+      };
+      expect(Dictionaries.isLoaded('NL')).toBe(false);
+      expect(() => new XKPasswd().setPreset(preset))
+        .toThrow('The dictionary (NL) is not loaded yet');
+
+      const xk = await XKPasswd.create({preset: preset});
+      expect(xk.getDictionary().source()).toBe('DictionaryNL');
+      expect(xk.generatePassword(1).stats.dictionary.language).toBe('nl');
+    });
+
+    test('it normalizes a loaded preset once', async () => {
+      const spy = jest.spyOn(log, 'warn').mockImplementation(() => {});
+      await me.loadPreset({
+        description: 'mock preset',
+        config: {symbol_alphabet: '!a@'},
+      });
+      expect(spy).toHaveBeenCalledTimes(1);
+      expect(me.getPreset().report().symbol_alphabet.letters).toEqual(['a']);
+
+      spy.mockRestore();
+    });
+
+    test('it uses a Presets instance as it is', async () => {
+      const preset = new Presets('WEB32');
+      expect(await me.loadPreset(preset)).toBe(true);
+      expect(me.getPreset()).toBe(preset);
+      me.setPreset(preset);
+      expect(me.getPreset()).toBe(preset);
+    });
+
+    test('the latest preset wins when the loads overlap', async () => {
+      let release;
+      const loading = new Promise((resolve) => {
+        release = resolve;
+      });
+      Dictionaries.register('XKP_SLOW', async () => {
+        await loading;
+        return DictionaryDE;
+      });
+      const slow = me.loadPreset({
+        description: 'slow preset',
+        config: {dictionary: 'XKP_SLOW'},
+      });
+      expect(await me.loadPreset('XKCD')).toBe(true);
+      release();
+      expect(await slow).toBe(false);
+      expect(me.getPreset().name()).toBe('XKCD');
+      expect(me.getDictionary()).toBeInstanceOf(DictionaryEN);
+
+      // a later setPreset() wins as well
+      const load = me.loadPreset({
+        description: 'slow preset',
+        config: {dictionary: 'XKP_SLOW', num_words: 4},
+      });
+      me.setPreset('WEB32');
+      await load;
+      expect(me.getPreset().name()).toBe('WEB32');
+    });
+
+    test('it rejects a preset with an unknown dictionary', async () => {
+      await expect(me.loadPreset({
+        description: 'mock preset',
+        config: {
+          dictionary: 'XX',
+        },
+      })).rejects.toThrow('Unknown dictionary (XX) found');
+    });
+
+    test('it throws an error for an unknown dictionary in the config', () => {
+      expect(() => me.setPreset({
+        description: 'mock preset',
+        config: {
+          dictionary: 'XX',
+        },
+      })).toThrow('Unknown dictionary (XX) found');
+    });
+
+    test('an injected dictionary is used and wins over the config', () => {
+      const words = ['alpha', 'bravo', 'charlie'];
+      const xk = new XKPasswd({dictionary: new DictionaryCustom(words)});
+      xk.setPreset({
+        description: 'mock preset',
+        config: {
+          ...new Presets('XKCD').config(),
+          dictionary: 'DE',
+          case_transform: 'LOWER',
+          separator_type: 'FIXED',
+          separator_character: '-',
+        },
+      });
+      expect(xk.getDictionary()).toBeInstanceOf(DictionaryCustom);
+      xk.password().split('-').forEach((word) => {
+        expect(words).toContain(word);
+      });
+      expect(xk.generatePassword(1).stats.dictionary.numWordsTotal).toBe(3);
+    });
+
+    test('it never uses an excluded word', () => {
+      const xk = new XKPasswd({
+        dictionary: new DictionaryCustom(['alpha', 'bravo', 'delta']),
+      });
+      xk.setPreset({
+        description: 'mock preset',
+        config: {
+          ...new Presets('XKCD').config(),
+          case_transform: 'LOWER',
+          separator_type: 'FIXED',
+          separator_character: '-',
+          num_words: 3,
+          excluded_words: ['Bravo', 'DELTA'],
+        },
+      });
+      expect(xk.passwords(5)).toEqual(new Array(5).fill('alpha-alpha-alpha'));
+      expect(xk.generatePassword(1).stats.dictionary.numWordsFiltered)
+        .toBe(1);
+    });
+
+    test('it throws an error if the injected dictionary is not one', () => {
+      expect(() => new XKPasswd({dictionary: ['alpha']})).toThrow(
+        'The dictionary is not a Dictionary');
+      expect(() => me.setDictionary({})).toThrow(Error);
+    });
+  });
+
+  describe('Test internal function __randomWords', () => {
+    const config = {
+      ...new Presets('XKCD').config(),
+      num_words: 4,
+      word_length_min: 5,
+      word_length_max: 5,
+    };
+
+    test('it draws every word with a single random number', () => {
+      const rng = new RandomBasic();
+      const spy = jest.spyOn(rng, 'randomInt');
+      const xk = new XKPasswd({rng: rng});
+      xk.setPreset({description: 'mock preset', config: config});
+
+      const words = xk.__randomWords();
+      expect(words).toHaveLength(4);
+      words.forEach((word) => expect(word).toHaveLength(5));
+      expect(spy).toHaveBeenCalledTimes(4);
+    });
+
+    test('it throws an error when no word fits the config', () => {
+      const xk = new XKPasswd({
+        dictionary: new DictionaryCustom(['alpha', 'bravo', 'delta']),
+      });
+      xk.setPreset({
+        description: 'mock preset',
+        config: {...config, word_length_min: 6, word_length_max: 9},
+      });
+      expect(() => xk.__randomWords()).toThrow(
+        'No words found with a length of 6 to 9 ' +
+        'in the dictionary (DictionaryCustom)');
+
+      xk.setPreset({
+        description: 'mock preset',
+        config: {...config, excluded_words: ['alpha', 'bravo', 'delta']},
+      });
+      expect(() => xk.__randomWords()).toThrow('No words found');
+    });
+
+    test('the public functions throw the error as well', () => {
+      const xk = new XKPasswd({
+        dictionary: new DictionaryCustom(['alpha', 'bravo', 'delta']),
+      });
+      xk.setPreset({
+        description: 'mock preset',
+        config: {...config, word_length_min: 6, word_length_max: 9},
+      });
+      expect(() => xk.password()).toThrow('No words found');
+      expect(() => xk.passwords(3)).toThrow('No words found');
+      expect(() => xk.generatePassword(3)).toThrow('No words found');
+    });
+  });
+
+  describe('Test function passwordFromDice', () => {
+    const dicewareList = fs.readFileSync(
+      new URL('../../test/diceware-36.txt', import.meta.url), 'utf8');
+    const diceConfig = {
+      ...new Presets('XKCD').config(),
+      num_words: 3,
+      word_length_min: 6,
+      word_length_max: 8,
+      case_transform: 'LOWER',
+      separator_type: 'FIXED',
+      separator_character: '-',
+      padding_type: 'NONE',
+      padding_digits_before: 0,
+      padding_digits_after: 0,
+    };
+    let xk = {};
+
+    beforeEach(() => {
+      xk = new XKPasswd({dictionary: new DictionaryDiceware(dicewareList)});
+      xk.setPreset({description: 'dice preset', config: diceConfig});
+    });
+
+    test('every set of rolls is a word of the diceware list', () => {
+      // the word length limits do not apply, all words have 4 letters
+      const {passwords, stats} = xk.passwordFromDice('11 21 66');
+      expect(passwords).toEqual(['acid-band-card']);
+      expect(stats.password.diceRollsRequired).toBe(6);
+      expect(stats.password.diceRollsExpected).toBe(6);
+      expect(stats.randomNumbers).toEqual({
+        source: 'RandomDice',
+        rollsConsumed: 6,
+        rollsRejected: 0,
+        rollsLeft: 0,
+      });
+    });
+
+    test('the other choices are taken from extra rolls', () => {
+      xk.setPreset({description: 'dice preset', config: {
+        ...diceConfig,
+        separator_type: 'RANDOM',
+        separator_alphabet: ['!', '@', '$', '%', '^', '&'],
+        padding_digits_after: 2,
+      }});
+      // 3 words, 1 separator and 2 digits of 2 dice each, where
+      // 66 is rejected for a digit
+      const {passwords, stats} = xk.passwordFromDice('11 21 66 2 13 66 16 6');
+      expect(passwords).toEqual(['acid@band@card@25']);
+      expect(stats.password.diceRollsRequired).toBe(11);
+      expect(stats.password.diceRollsExpected).toBe(12);
+      expect(stats.randomNumbers.rollsConsumed).toBe(13);
+      expect(stats.randomNumbers.rollsRejected).toBe(2);
+      expect(stats.randomNumbers.rollsLeft).toBe(1);
+    });
+
+    test('it says how many more rolls are needed', () => {
+      xk.setPreset({description: 'dice preset', config: {
+        ...diceConfig,
+        padding_digits_after: 2,
+      }});
+      // both digits are rejected, 2 digits of 2 dice each are missing
+      expect(() => xk.passwordFromDice('11 21 66 66 66'))
+        .toThrow('Not enough dice rolls, all 10 rolls were used, ' +
+          'roll at least 4 more');
+      expect(() => xk.passwordFromDice('11 21 66 12'))
+        .toThrow('Not enough dice rolls, all 8 rolls were used, ' +
+          'roll at least 2 more');
+    });
+
+    test('it takes no rolls for padding that is not added', () => {
+      xk.setPreset({description: 'dice preset', config: {
+        ...diceConfig,
+        padding_type: 'NONE',
+        padding_character_type: 'RANDOM',
+        padding_alphabet: ['!', '@', '$', '%', '^', '&'],
+      }});
+      const {passwords, stats} = xk.passwordFromDice('11 21 66');
+      expect(passwords).toEqual(['acid-band-card']);
+      expect(stats.password.diceRollsRequired).toBe(6);
+    });
+
+    test('the substitutions only take rolls for words with the character',
+      () => {
+        xk.setPreset({description: 'dice preset', config: {
+          ...diceConfig,
+          character_substitutions: {o: '0'},
+          substitution_mode: 'RANDOM',
+        }});
+        // a roll is expected for every word, none of them has an 'o'
+        const {passwords, stats} = xk.passwordFromDice('11 21 66 3');
+        expect(passwords).toEqual(['acid-band-card']);
+        expect(stats.password.diceRollsRequired).toBe(6);
+        expect(stats.password.diceRollsExpected).toBe(9);
+        expect(stats.randomNumbers.rollsConsumed).toBe(6);
+        expect(stats.randomNumbers.rollsLeft).toBe(1);
+      });
+
+    test('the excluded words do not move the other words', () => {
+      xk.setPreset({description: 'dice preset', config: {
+        ...diceConfig,
+        excluded_words: ['acid'],
+      }});
+      const {passwords} = xk.passwordFromDice('12 66 13');
+      expect(passwords).toEqual(['also-card-atom']);
+    });
+
+    test('it asks to roll again for an excluded word', () => {
+      xk.setPreset({description: 'dice preset', config: {
+        ...diceConfig,
+        excluded_words: ['acid'],
+      }});
+      expect(() => xk.passwordFromDice('12 66 11 11'))
+        .toThrow('The word (acid) of the rolls 11 is excluded, ' +
+          'roll the dice for this word again');
+    });
+
+    test('it keeps the random generator and config afterwards', () => {
+      const rng = xk.getRandomGenerator();
+      expect(() => xk.passwordFromDice('11 21'))
+        .toThrow('Not enough dice rolls, all 4 rolls were used');
+      expect(xk.getRandomGenerator()).toBe(rng);
+      expect(xk.getPreset().config().word_length_min).toBe(6);
+    });
+
+    test('it needs a diceware dictionary', () => {
+      expect(() => me.passwordFromDice('11111'))
+        .toThrow('Dice rolls need a diceware dictionary');
+    });
+  });
 });
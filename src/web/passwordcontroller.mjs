@@ -27,6 +27,7 @@ class PasswordController {
     this.#view = view;
 
     this.#view.bindGeneratePassword(this.generatePasswords);
+    this.#view.bindGenerateFromDice(this.generateFromDice);
     log.trace('PasswordController constructor executed');
   }
 
@@ -51,7 +52,27 @@ class PasswordController {
       this.#view.renderPassword(passAndStats, num);
     } catch (error) {
       log.error(`Password generation threw an error ${error}`);
-      this.#view.renderPasswordError('ERROR password generation failed!');
+      this.#view.renderPasswordError(
+        `ERROR password generation failed! ${error.message}`);
+    }
+  };
+
+  /**
+   * Handle the password generation from dice rolls.
+   *
+   * @function generateFromDice
+   * @param {string} rolls - the rolls of the dice
+   */
+  generateFromDice = (rolls) => {
+    try {
+      const passAndStats = this.#model.passwordFromDice(rolls);
+
+      log.trace(`stats ${JSON.stringify(passAndStats.stats)}`);
+      this.#view.renderPassword(passAndStats, 1);
+    } catch (error) {
+      log.error(`Password generation from dice threw an error ${error}`);
+      this.#view.renderPasswordError(
+        `ERROR password generation failed! ${error.message}`);
     }
   };
 };
@@ -40,7 +40,10 @@ class PasswordView {
   #blindEntropy;
   #seenEntropy;
   #entropySuggestion;
+  #crackTimes;
+  #diceRollsNeeded;
   #numberOfPasswords;
+  #diceRolls;
 
   /**
    * @constructor
@@ -56,7 +59,10 @@ class PasswordView {
     this.#blindEntropy = $('#entropy_blind');
     this.#seenEntropy = $('#entropy_seen');
     this.#entropySuggestion = $('#entropy_suggestion');
+    this.#crackTimes = $('#crack_times');
+    this.#diceRollsNeeded = $('#dice_rolls');
     this.#numberOfPasswords = $('#selectAmount');
+    this.#diceRolls = $('#diceRolls');
 
     // Register for changes to the password presentation mode.
     for (const item of this.#passwordPresentationRadio) {
@@ -221,6 +227,22 @@ class PasswordView {
     });
   };
 
+  /**
+   * Bind the generation of a password from dice rolls
+   *
+   * @param {function} handle - the handler, called with the rolls
+   */
+  bindGenerateFromDice(handle) {
+    log.trace('bindGenerateFromDice');
+
+    $('form#generateFromDice').on('submit', (e) => {
+      e.preventDefault();
+      e.stopPropagation(); // stop the event bubbling
+
+      handle(this.#diceRolls.val());
+    });
+  };
+
 
   /**
    * hide statistics section
@@ -252,13 +274,16 @@ class PasswordView {
     const alertBox = [
       `<div class="alert alert-danger d-flex align-items-center alert-dismissible fade show" role="alert">`,
       `  <span class="text-danger"><i class="bi bi-exclamation-square-fill"></i>&nbsp;</span>`,
-      `  <div id="generate_password_errors">${msg}</div>`,
+      `  <div id="generate_password_errors"></div>`,
       `  <button type="button" class="btn-close" data-bs-dismiss="alert" aria-label="Close"></button>`,
       '</div>',
     ].join('');
     /* eslint-enable max-len */
 
-    this.#passwordErrorContainer.append(alertBox);
+    // the message may contain the dice rolls as typed, so it is text
+    const alert = $(alertBox);
+    alert.find('#generate_password_errors').text(msg);
+    this.#passwordErrorContainer.append(alert);
 
     this.__hideStats();
   };
@@ -322,9 +347,31 @@ class PasswordView {
       `and full knowledge above ${stats.entropy.seenThreshold} bits)`;
     this.#entropySuggestion.html(suggestion);
 
+    this.#diceRollsNeeded.text(
+      `at least ${stats.password.diceRollsRequired}, ` +
+      `about ${stats.password.diceRollsExpected} expected`);
+
+    this.__renderCrackTimes(stats.crackTimes);
+
     this.__showStats();
   };
 
+  /**
+   * Render the time to crack a password for every attack profile
+   *
+   * @param {object} crackTimes - the crack times indexed by profile
+   *
+   * @private
+   */
+  __renderCrackTimes(crackTimes) {
+    // the profiles can be registered by users, so use text, not html
+    const items = Object.entries(crackTimes).map(([name, crackTime]) =>
+      $('<li>').attr('title', crackTime.description).text(
+        `${name.toLowerCase().replaceAll('_', ' ')}: ` +
+        `${crackTime.seen.rendered} (${crackTime.blind.rendered})`));
+    this.#crackTimes.empty().append(items);
+  };
+
   /**
    * Render the password strength
    *
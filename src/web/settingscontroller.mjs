@@ -1,6 +1,9 @@
 /* istanbul ignore file @preserve */
 import log from 'loglevel';
 
+import {ConfigImporter} from '../lib/configimporter.mjs';
+import {ConfigKeys} from '../lib/configkeys.mjs';
+
 /**
  * @class SettingsController
  */
@@ -15,6 +18,12 @@ class SettingsController {
    */
   #view;
 
+  /**
+   * @private loadRequest - counts the presets passed on to the model,
+   * only the latest one ends the loading state
+   */
+  #loadRequest = 0;
+
   /**
    * @constructor
    *
@@ -27,6 +36,8 @@ class SettingsController {
 
     this.#view.bindSaveSettings(this.saveSettings);
     this.#view.bindLoadConfig(this.importSettings);
+    this.#view.renderDescriptions(Object.fromEntries(
+      ConfigKeys.keys().map((key) => [key, ConfigKeys.describe(key)])));
     const config = this.#model.getPreset().config();
 
     this.#view.renderSettings(config);
@@ -37,9 +48,12 @@ class SettingsController {
    * Convert the rendered settings back to the model and pass it on
    * to the XKpasswd class to use for password generation
    *
+   * The dictionary of the settings may need to be loaded first,
+   * the view shows this while it happens.
+   *
    * @param {Object} settings - the object containing the new settings
    */
-  saveSettings = (settings) => {
+  saveSettings = async (settings) => {
     log.trace(`controller saveSettings: ${JSON.stringify(settings)}`);
 
     // convert characters back to numbers
@@ -51,9 +65,15 @@ class SettingsController {
       parseInt(settings.padding_characters_after);
     settings.pad_to_length = parseInt(settings.pad_to_length);
 
-    this.#model.setPreset({
-      description: 'Custom preset',
-      config: settings});
+    // the view does not wait for this, so the errors are shown here
+    try {
+      await this.__loadPreset({
+        description: 'Custom preset',
+        config: settings});
+    } catch (e) {
+      log.error(`saveSettings: ${e}`);
+      this.#view.renderConfigError(e);
+    }
   };
 
   /**
@@ -70,17 +90,56 @@ class SettingsController {
    *
    * @param {Object} settings - the object containing the uploaded settings
    */
-  importSettings = (settings) => {
-    this.#model.setPreset({
-      description: 'Custom preset',
-      config: settings});
-
+  importSettings = async (settings) => {
     try {
+      // configs of the Perl module are mapped onto this one,
+      // everything that could not be mapped is reported
+      const {presets, report} = ConfigImporter.import(settings);
+      const preset = Object.values(presets)[0];
+      if (preset === undefined) {
+        throw new Error('The file does not contain a config');
+      }
+
+      // the imported preset is normalized already
+      if (!await this.__loadPreset(preset)) {
+        // a later preset was set while the dictionary loaded
+        return;
+      }
+
       const config = this.#model.getPreset().config();
       this.updateSettings(config);
+
+      if (report.length > 0) {
+        log.trace(`import report: ${JSON.stringify(report)}`);
+        this.#view.renderConfigError(report);
+      } else {
+        this.#view.hideConfigError();
+      }
     }
     catch (e) {
-      this.#view.renderUploadError(e);
+      this.#view.renderConfigError(e);
+    }
+  }
+
+  /**
+   * Pass a preset on to the model, showing the loading state
+   * while the dictionary of the preset loads
+   *
+   * @param {Object|Presets} preset - the preset
+   * @return {Promise<boolean>} - false when a later preset was set
+   *
+   * @private
+   */
+  async __loadPreset(preset) {
+    const request = ++this.#loadRequest;
+    this.#view.renderLoading(true);
+    try {
+      return await this.#model.loadPreset(preset);
+    } finally {
+      // an earlier load must not end the loading of a later one
+      if (request === this.#loadRequest) {
+        this.#view.renderLoading(false);
+      }
     }
   }
 }
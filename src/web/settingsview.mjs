@@ -43,9 +43,12 @@ class SettingsView {
     // get the current preset
     const keys = Object.keys(preset);
 
-    // update all fields
+    // update all fields, the alphabets are arrays of characters
+    // but are edited as text
     keys.forEach((key) => {
-      $(`#${key}`).val(preset[key]);
+      const value = key.endsWith('_alphabet') && Array.isArray(preset[key]) ?
+        preset[key].join('') : preset[key];
+      $(`#${key}`).val(value);
     });
 
     // hide everything that should not be visible
@@ -54,6 +57,18 @@ class SettingsView {
     this.__togglePaddingCharType(preset.padding_character_type);
   };
 
+  /**
+   * Show the description of every config key
+   * as the help text of its field
+   *
+   * @param {object} descriptions - the descriptions indexed by key
+   */
+  renderDescriptions(descriptions) {
+    Object.entries(descriptions).forEach(([key, description]) => {
+      $(`#${key}`).attr('title', description);
+    });
+  }
+
   /**
    * Bind the form to the event handler.
    *
@@ -134,10 +149,10 @@ class SettingsView {
       let reader = new FileReader();
 
       // Set up the callback event to run when the file is read
+      // the controller parses the JSON, so it can report invalid files
       reader.onload = (event) => {
-        const json = JSON.parse(event.target.result);
-        log.trace(`json: ${JSON.stringify(json)}`);
-        handle(json);
+        log.trace(`json: ${event.target.result}`);
+        handle(event.target.result);
       };
 
       // Read the file
@@ -147,10 +162,40 @@ class SettingsView {
   }
 
   /**
-   * Render the error caused by the uploaded configuration
+   * Show or hide that a dictionary is loading, passwords
+   * can not be generated in the meantime
+   *
+   * @param {boolean} loading - true while the dictionary is loading
+   */
+  renderLoading(loading) {
+    $('#dictionaryLoading').toggle(loading);
+    $('#dictionary').prop('disabled', loading);
+
+    // True MVC requires this to be handled by the PasswordView,
+    // but since it's only one line, we don't bother
+    $('#generate').prop('disabled', loading);
+  }
+
+  /**
+   * Render the error(s) caused by the uploaded configuration
+   *
+   * @param {Error|Array} e - either the error or the list of
+   * problems found by Presets.validateConfig()
    */
   renderConfigError(e) {
-    $('#ConfigError').text(e).show();
+    const messages = Array.isArray(e) ?
+      e.map((problem) => `${problem.path}: ${problem.message}`) : [`${e}`];
+
+    const list = $('<ul class="mb-0"></ul>');
+    messages.forEach((message) => list.append($('<li></li>').text(message)));
+    $('#ConfigError').empty().append(list).css('visibility', 'visible');
+  }
+
+  /**
+   * Hide the error(s) of a previously uploaded configuration
+   */
+  hideConfigError() {
+    $('#ConfigError').empty().css('visibility', 'hidden');
   }
 
 
@@ -0,0 +1,42 @@
+/**
+ * Dictionary with accented words for the tests
+ */
+import {Dictionary} from '../src/lib/dictionary.mjs';
+
+/**
+ * Small dictionary with accented words, by default the second `café`
+ * is decomposed (e + combining acute accent)
+ */
+class DictionaryAccents extends Dictionary {
+  #words;
+
+  /**
+   * Constructor
+   *
+   * @param {Array} words - the words of the dictionary
+   */
+  constructor(words = ['caf\u00E9', 'cafe\u0301', 'cafe', 'cr\u00E8me',
+    'na\u00EFve', '\u00FCber', 'big']) {
+    super();
+    this.#words = words;
+    this.__setLength(this.#words.length);
+    this.__setWordLength();
+  }
+
+  /**
+   * @return {Array} - list of words
+   */
+  wordList() {
+    return this.#words;
+  }
+
+  /**
+   * @param {number} index
+   * @return {string} - the word at the index position
+   */
+  word(index) {
+    return this.#words[index];
+  }
+}
+
+export {DictionaryAccents};
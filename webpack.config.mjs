@@ -49,6 +49,15 @@ export default {
       'window.jQuery': 'jquery',
     }),
   ],
+  resolve: {
+    // the Node crypto and fs modules are not available in the browser,
+    // RandomNodeCrypto reports itself as unavailable there and
+    // DictionaryCustom reads files with File.text() instead
+    fallback: {
+      crypto: false,
+      fs: false,
+    },
+  },
   output: {
     path: path.resolve(__dirname, 'dist'),
     filename: '[name].js',